@@ -0,0 +1,251 @@
+// access.js - Контроль доступа: белый список IP, базовая аутентификация и подписанные ссылки
+import fs from 'fs/promises';
+import net from 'net';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+import config from './config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Файл, в котором хранится сгенерированный секрет (если он не задан в конфиге)
+const SECRET_FILE = path.join(__dirname, '.media_secret');
+
+// Секрет для подписи ссылок на медиафайлы
+let mediaSecret = '';
+
+// Приводим IPv4-mapped адреса (::ffff:1.2.3.4) к обычному IPv4
+function normalizeIp(ip) {
+  if (!ip) return '';
+  if (ip.startsWith('::ffff:') && net.isIPv4(ip.substring(7))) {
+    return ip.substring(7);
+  }
+  return ip;
+}
+
+// Сборка списка адресов и подсетей из строк вида '1.2.3.4' или '10.0.0.0/8'
+// Некорректные записи пропускаются с ошибкой в логе (доступ с них не открывается)
+export function buildBlockList(entries) {
+  const list = new net.BlockList();
+
+  for (const entry of entries || []) {
+    const [address, prefix, ...rest] = String(entry).trim().split('/');
+    const normalized = normalizeIp(address);
+    const type = net.isIPv6(normalized) ? 'ipv6' : 'ipv4';
+
+    if (!net.isIP(normalized) || rest.length > 0) {
+      console.log(`❌ Некорректный адрес в allowedIPs, пропущен: ${entry}`);
+      continue;
+    }
+
+    if (prefix !== undefined) {
+      const bits = Number(prefix);
+      if (!/^\d+$/.test(prefix) || bits > (type === 'ipv6' ? 128 : 32)) {
+        console.log(`❌ Некорректная маска подсети в allowedIPs, пропущена: ${entry}`);
+        continue;
+      }
+      list.addSubnet(normalized, bits, type);
+    } else {
+      list.addAddress(normalized, type);
+    }
+  }
+
+  return list;
+}
+
+// Входит ли IP в список (IPv4-mapped адреса сравниваются как IPv4)
+export function isIpInList(list, ip) {
+  const normalized = normalizeIp(ip);
+  if (!net.isIP(normalized)) return false;
+
+  return list.check(normalized, net.isIPv6(normalized) ? 'ipv6' : 'ipv4');
+}
+
+const allowedIPs = config.advanced.allowedIPs || [];
+const allowedList = buildBlockList(allowedIPs);
+
+// Проверка, входит ли IP в белый список
+function isIpAllowed(ip) {
+  if (allowedIPs.length === 0) return true;
+  return isIpInList(allowedList, ip);
+}
+
+// Включена ли базовая аутентификация
+function isBasicAuthConfigured() {
+  const { username, password } = config.advanced.basicAuth || {};
+  return Boolean(username || password);
+}
+
+// Сравнение строк за постоянное время
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+// Проверка заголовка Authorization: Basic ...
+function checkBasicAuth(req) {
+  const header = req.get('authorization') || '';
+  const [scheme, encoded] = header.split(' ');
+
+  if (!scheme || scheme.toLowerCase() !== 'basic' || !encoded) {
+    return false;
+  }
+
+  const decoded = Buffer.from(encoded, 'base64').toString('utf8');
+  const separatorIndex = decoded.indexOf(':');
+  if (separatorIndex === -1) return false;
+
+  const username = decoded.substring(0, separatorIndex);
+  const password = decoded.substring(separatorIndex + 1);
+  const expected = config.advanced.basicAuth;
+
+  // Проверяем обе части, чтобы время ответа не зависело от того, какая не совпала
+  const userOk = safeEqual(username, expected.username || '');
+  const passOk = safeEqual(password, expected.password || '');
+  return userOk && passOk;
+}
+
+// Проверка токена API в заголовке Authorization: Bearer <advanced.apiToken>
+function checkApiToken(req) {
+  const token = config.advanced.apiToken;
+  const [scheme, value] = (req.get('authorization') || '').split(' ');
+  return Boolean(token && scheme?.toLowerCase() === 'bearer' && value && safeEqual(value, token));
+}
+
+// Правила для группы маршрутов (feed, media, admin)
+function getRules(group) {
+  return config.advanced.accessControl?.[group] || { allowedIPs: true, basicAuth: true };
+}
+
+// Требует ли группа маршрутов какой-либо проверки
+function isGroupProtected(group) {
+  const rules = getRules(group);
+  return (rules.allowedIPs && allowedIPs.length > 0) ||
+    (rules.basicAuth && isBasicAuthConfigured());
+}
+
+// Подпись пути медиафайла
+function createSignature(pathname, expires) {
+  return crypto
+    .createHmac('sha256', mediaSecret)
+    .update(`${pathname}:${expires}`)
+    .digest('base64url');
+}
+
+// Проверка подписи в параметрах запроса (?exp=...&sig=...)
+function hasValidSignature(req) {
+  if (!config.advanced.signedMediaUrls?.enabled || !mediaSecret) return false;
+
+  const { exp, sig } = req.query;
+  if (!exp || !sig || typeof sig !== 'string') return false;
+
+  const expires = parseInt(exp, 10);
+  if (isNaN(expires) || expires < Date.now()) return false;
+
+  let pathname;
+  try {
+    pathname = decodeURIComponent(req.originalUrl.split('?')[0]);
+  } catch (e) {
+    return false;
+  }
+
+  return safeEqual(sig, createSignature(pathname, expires));
+}
+
+// Загрузка секрета для подписи ссылок (из конфига или из файла .media_secret)
+export async function initAccessControl() {
+  const signed = config.advanced.signedMediaUrls || {};
+
+  if (signed.secret) {
+    mediaSecret = signed.secret;
+    return;
+  }
+
+  try {
+    mediaSecret = (await fs.readFile(SECRET_FILE, 'utf8')).trim();
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+
+  if (!mediaSecret) {
+    mediaSecret = crypto.randomBytes(32).toString('hex');
+    await fs.writeFile(SECRET_FILE, mediaSecret, { mode: 0o600 });
+    if (config.advanced.verboseLogging) {
+      console.log(`🔑 Сгенерирован секрет для подписи ссылок: ${SECRET_FILE}`);
+    }
+  }
+}
+
+// Формирование ссылки на медиафайл (с подписью, если медиа защищены)
+// urlPath - уже закодированный путь, например /tracks/Artist%20-%20Title%2Ftrack.mp3
+export function mediaUrl(baseUrl, urlPath) {
+  const signed = config.advanced.signedMediaUrls || {};
+
+  if (!signed.enabled || !mediaSecret || !isGroupProtected('media')) {
+    return `${baseUrl}${urlPath}`;
+  }
+
+  // Округляем срок действия до суток, чтобы ссылки не менялись при каждой пересборке RSS
+  const day = 24 * 60 * 60 * 1000;
+  const ttl = signed.ttl || 30 * day;
+  const expires = Math.ceil((Date.now() + ttl) / day) * day;
+  const sig = createSignature(decodeURIComponent(urlPath), expires);
+
+  return `${baseUrl}${urlPath}?exp=${expires}&sig=${sig}`;
+}
+
+// Настроена ли аутентификация для изменений (загрузка, удаление и правка треков): логин или токен API
+export function isAdminAuthConfigured() {
+  return isBasicAuthConfigured() || Boolean(config.advanced.apiToken);
+}
+
+// Middleware для изменяющих запросов панели и API: разрешены только с логином или токеном API,
+// даже если сама панель открыта (пустые basicAuth и allowedIPs)
+// sendError(res, status, message) - ответ в формате роутера (HTML или JSON)
+export function requireAdminAuth(sendError) {
+  return (req, res, next) => {
+    if (!isAdminAuthConfigured()) {
+      return sendError(res, 403, 'Изменения отключены: задайте логин и пароль в advanced.basicAuth или advanced.apiToken');
+    }
+
+    if (!checkApiToken(req) && !(isBasicAuthConfigured() && checkBasicAuth(req))) {
+      if (isBasicAuthConfigured()) {
+        res.setHeader('WWW-Authenticate', 'Basic realm="YouTube RSS Server", charset="UTF-8"');
+      }
+      return sendError(res, 401, 'Нужна авторизация');
+    }
+
+    next();
+  };
+}
+
+// Middleware для группы маршрутов: 'feed', 'media' или 'admin'
+export function accessControl(group) {
+  return (req, res, next) => {
+    const rules = getRules(group);
+
+    // Медиафайлы доступны по действующей подписанной ссылке без других проверок
+    if (group === 'media' && hasValidSignature(req)) {
+      return next();
+    }
+
+    if (rules.allowedIPs && !isIpAllowed(req.ip)) {
+      if (config.advanced.verboseLogging) {
+        console.log(`🚫 Доступ запрещен для IP ${normalizeIp(req.ip)} (${req.method} ${req.originalUrl})`);
+      }
+      return res.status(403).send('Forbidden');
+    }
+
+    // Токен API заменяет логин для панели и API
+    if (rules.basicAuth && isBasicAuthConfigured() && !checkBasicAuth(req) &&
+      !(group === 'admin' && checkApiToken(req))) {
+      res.setHeader('WWW-Authenticate', 'Basic realm="YouTube RSS Server", charset="UTF-8"');
+      return res.status(401).send('Unauthorized');
+    }
+
+    next();
+  };
+}
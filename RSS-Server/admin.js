@@ -0,0 +1,442 @@
+// admin.js - Панель управления: список треков, правки метаданных, загрузка файлов и обложек
+import express from 'express';
+import fs from 'fs/promises';
+import path from 'path';
+import multer from 'multer';
+import sharp from 'sharp';
+
+import config from './config.js';
+import { escapeHtml } from './html.js';
+import { isAdminAuthConfigured, requireAdminAuth } from './access.js';
+import { getLibraryEntries, getLibraryEntryById } from './library.js';
+import { getOverride, setOverride, CUSTOM_COVERS_DIR } from './overrides.js';
+import { AUDIO_EXTENSIONS, audioUpload, receiveUpload, placeUploadedTrack } from './uploads.js';
+import { getPublishDate } from './schedule.js';
+import { resolveTrackCover, getCoverRenditionUrl } from './covers.js';
+
+// Поддерживаемые расширения обложек
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+// Максимальный размер загружаемой обложки в мегабайтах
+const COVER_MAX_SIZE_MB = 20;
+
+// Загрузка обложки трека в скрытую папку рядом с библиотекой
+const coverUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(CUSTOM_COVERS_DIR, { recursive: true })
+        .then(() => cb(null, CUSTOM_COVERS_DIR))
+        .catch(cb);
+    },
+    // Имя строится из id найденного трека (req.coverTrackId), а не из параметра запроса
+    filename: (req, file, cb) => {
+      const ext = path.extname(file.originalname).toLowerCase();
+      cb(null, `${req.coverTrackId}_${Date.now()}${ext}`);
+    },
+  }),
+  defParamCharset: 'utf8',
+  limits: { fileSize: COVER_MAX_SIZE_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    cb(null, IMAGE_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase()));
+  },
+});
+
+// Описание источника обложки для формы редактирования
+const COVER_SOURCE_LABELS = {
+  custom: 'Используется загруженная обложка',
+  embedded: 'Используется обложка из тегов файла',
+  sidecar: 'Используется картинка рядом с треком',
+  folder: 'Используется картинка папки',
+  placeholder: 'Обложки нет - используется заглушка с названием',
+};
+
+// Миниатюра обложки для формы: копия /covers самого маленького разрешенного размера (WebP, если разрешен)
+function getCoverPreviewUrl(baseUrl, id, cover) {
+  const { sizes = [], formats = [] } = config.rss.youtube.renditions || {};
+  if (!cover || !sizes.length || !formats.length) return null;
+
+  const format = formats.includes('webp') ? 'webp' : formats[0];
+  return getCoverRenditionUrl(baseUrl, id, cover.filename, Math.min(...sizes), format);
+}
+
+// Дата для поля datetime-local (локальное время сервера): "2026-01-31T18:00"
+function toDateTimeLocal(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Общий шаблон страниц панели
+function renderPage(title, body) {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>${escapeHtml(title)} - YouTube RSS Server</title>
+      <meta charset="utf-8">
+      <style>
+        body { font-family: Arial; max-width: 1100px; margin: 0 auto; padding: 20px; }
+        h1 { color: #ff0000; }
+        a { color: #0066cc; }
+        code { background: #f5f5f5; padding: 2px 5px; border-radius: 3px; }
+        table { width: 100%; border-collapse: collapse; margin: 15px 0; }
+        th, td { text-align: left; padding: 8px; border-bottom: 1px solid #eee; vertical-align: top; }
+        th { background: #f0f8ff; }
+        .info { background: #f0f8ff; padding: 15px; border-radius: 8px; margin: 15px 0; }
+        .btn { background: #007bff; color: white; padding: 8px 12px; border: none; border-radius: 5px; cursor: pointer; text-decoration: none; display: inline-block; margin: 3px; }
+        .btn:hover { background: #0056b3; }
+        .btn-danger { background: #dc3545; }
+        .btn-danger:hover { background: #a71d2a; }
+        .status { padding: 2px 8px; border-radius: 10px; font-size: 13px; white-space: nowrap; }
+        .status-ok { background: #e6ffed; color: #1e7e34; }
+        .status-hidden { background: #f5f5f5; color: #666; }
+        .status-skipped { background: #fff3cd; color: #856404; }
+        .status-scheduled { background: #e7f1ff; color: #004085; }
+        .status-error { background: #f8d7da; color: #721c24; }
+        .path { color: #888; font-size: 12px; }
+        label { display: block; margin: 10px 0 4px; font-weight: bold; }
+        input[type=text], input[type=number], input[type=datetime-local], textarea, select { width: 100%; padding: 6px; box-sizing: border-box; }
+        textarea { height: 120px; }
+        .hint { color: #888; font-size: 12px; font-weight: normal; }
+        .cover-preview { width: 150px; height: 150px; border-radius: 5px; }
+      </style>
+    </head>
+    <body>
+      <p><a href="/">← Статус</a> · <a href="/admin">Треки</a></p>
+      ${body}
+    </body>
+    </html>
+  `;
+}
+
+// Статус трека в основном фиде
+function getTrackStatus(entry, skippedReasons) {
+  if (entry.error) {
+    return { className: 'status-error', label: `Ошибка чтения: ${entry.error}` };
+  }
+  const override = getOverride(entry.track.id);
+  if (override.hidden) {
+    return { className: 'status-hidden', label: 'Скрыт' };
+  }
+
+  const publishDate = getPublishDate(entry, override);
+  if (publishDate && publishDate > new Date()) {
+    return { className: 'status-scheduled', label: `Запланирован на ${publishDate.toLocaleString()}` };
+  }
+
+  const reason = skippedReasons.get(entry.file.relativePath);
+  if (reason) {
+    return { className: 'status-skipped', label: `Пропущен: ${reason}` };
+  }
+
+  return { className: 'status-ok', label: 'В фиде' };
+}
+
+// Отправлена ли форма со страницы этого же сервера (по заголовку Origin или Referer)
+// Защита от CSRF: браузер подставляет сохраненный логин Basic и в запросы со сторонних сайтов
+function isSameOrigin(req, baseUrl) {
+  const source = req.get('origin') || req.get('referer');
+  if (!source) return false;
+
+  try {
+    const { host } = new URL(source);
+    return host === req.get('host') || host === new URL(baseUrl).host;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Создание роутера панели управления
+// refreshFeeds(baseUrl) - сброс кэша как в /refresh-rss, getSkippedReasons() - причины пропуска треков
+export function createAdminRouter({ getBaseUrl, refreshFeeds, getSkippedReasons }) {
+  const router = express.Router();
+  router.use(express.urlencoded({ extended: false }));
+
+  // Применение изменений через сброс кэша и возврат на страницу
+  const applyChanges = async (req, res, redirectTo) => {
+    await refreshFeeds(getBaseUrl(req));
+    res.redirect(303, redirectTo);
+  };
+
+  // Страница с ошибкой
+  const sendError = (res, status, message) => {
+    res.status(status).send(renderPage('Ошибка', `<h1>Ошибка</h1><p>${escapeHtml(message)}</p>`));
+  };
+
+  // Обработка ошибок обработчиков: статус берется из ошибки загрузки, иначе 500
+  const handle = (fn) => async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (error) {
+      if (!error.status) {
+        console.error('❌ Ошибка панели управления:', error);
+      }
+      if (!res.headersSent) {
+        sendError(res, error.status || 500, error.message);
+      }
+    }
+  };
+
+  // Все изменения: только с настроенным логином и только из форм самой панели
+  const requireAuth = requireAdminAuth(sendError);
+  router.post('*', requireAuth, (req, res, next) => {
+    if (!isSameOrigin(req, getBaseUrl(req))) {
+      if (config.advanced.verboseLogging) {
+        console.log(`🚫 Отклонен запрос панели с чужого сайта: ${req.get('origin') || req.get('referer') || 'без Origin и Referer'}`);
+      }
+      return sendError(res, 403, 'Запрос отправлен не со страницы панели управления');
+    }
+    next();
+  });
+
+  // Список треков
+  router.get('/', handle(async (req, res) => {
+    const skippedReasons = getSkippedReasons();
+    const entries = getLibraryEntries()
+      .sort((a, b) => a.file.relativePath.localeCompare(b.file.relativePath));
+
+    const rows = entries.map((entry) => {
+      const status = getTrackStatus(entry, skippedReasons);
+      const override = entry.track ? getOverride(entry.track.id) : {};
+      const title = override.title || entry.metadata?.common?.title || entry.info?.title || entry.file.filename;
+      const artist = override.artist || entry.metadata?.common?.artist || entry.info?.artist || '';
+
+      return `
+        <tr>
+          <td>
+            <strong>${escapeHtml(title)}</strong>
+            <div class="path">${escapeHtml(entry.file.relativePath)}</div>
+          </td>
+          <td>${escapeHtml(artist)}</td>
+          <td><span class="status ${status.className}">${escapeHtml(status.label)}</span></td>
+          <td>${entry.track ? `<a href="/admin/tracks/${encodeURIComponent(entry.track.id)}" class="btn">Изменить</a>` : ''}</td>
+        </tr>`;
+    }).join('');
+
+    res.send(renderPage('Треки', `
+      <h1>🎛️ Управление треками</h1>
+      ${isAdminAuthConfigured() ? '' : `
+      <p class="status status-error">Изменения отключены: задайте логин и пароль в advanced.basicAuth или токен в advanced.apiToken (config.js)</p>`}
+
+      <div class="info">
+        <form method="post" action="/admin/upload" enctype="multipart/form-data">
+          <label>Загрузить аудиофайлы <span class="hint">(${AUDIO_EXTENSIONS.join(', ')})</span></label>
+          <input type="file" name="files" multiple accept="${AUDIO_EXTENSIONS.join(',')}">
+          <button type="submit" class="btn">⬆️ Загрузить</button>
+        </form>
+      </div>
+
+      <p>Файлов в библиотеке: <strong>${entries.length}</strong></p>
+      <table>
+        <tr><th>Трек</th><th>Артист</th><th>Статус</th><th></th></tr>
+        ${rows}
+      </table>
+    `));
+  }));
+
+  // Загрузка аудиофайлов (проверка и размещение по папкам - как в API)
+  // При ошибке самой загрузки (лимиты размера и количества) принятые файлы multer удаляет сам
+  router.post('/upload', handle(async (req, res) => {
+    await receiveUpload(audioUpload.array('files'), req, res);
+
+    const errors = [];
+    for (const file of req.files || []) {
+      try {
+        await placeUploadedTrack(file);
+      } catch (error) {
+        errors.push(`${file.originalname}: ${error.message}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      await refreshFeeds(getBaseUrl(req));
+      const list = errors.map((message) => `<li>${escapeHtml(message)}</li>`).join('');
+      return res.status(400).send(renderPage('Ошибка загрузки', `
+        <h1>⚠️ Не все файлы загружены</h1>
+        <ul>${list}</ul>
+        <p><a href="/admin" class="btn">← К списку треков</a></p>
+      `));
+    }
+
+    await applyChanges(req, res, '/admin');
+  }));
+
+  // Форма редактирования трека
+  router.get('/tracks/:id', handle(async (req, res) => {
+    const entry = getLibraryEntryById(req.params.id);
+    if (!entry) {
+      return res.status(404).send(renderPage('Не найдено', '<h1>Трек не найден</h1>'));
+    }
+
+    const id = entry.track.id;
+    const override = getOverride(id);
+    const sidecar = entry.sidecar?.data || {};
+    const common = entry.metadata.common || {};
+    const action = `/admin/tracks/${encodeURIComponent(id)}`;
+
+    // Дата выхода из файла-спутника или тегов (если в панели не задана своя)
+    const tagPublishDate = getPublishDate(entry);
+    const overridePublishDate = override.publishDate ? new Date(override.publishDate) : null;
+
+    const cover = await resolveTrackCover(entry);
+    const coverSourceLabel = cover ? COVER_SOURCE_LABELS[cover.source] : 'Обложки нет - используется обложка канала';
+    const coverPreviewUrl = getCoverPreviewUrl(getBaseUrl(req), id, cover);
+
+    const explicitOption = (value, label) =>
+      `<option value="${value}"${(override.explicit || '') === value ? ' selected' : ''}>${label}</option>`;
+    const episodeTypeOption = (value, label) =>
+      `<option value="${value}"${(override.episodeType || '') === value ? ' selected' : ''}>${label}</option>`;
+
+    res.send(renderPage('Редактирование', `
+      <h1>✏️ ${escapeHtml(override.title || common.title || entry.info.title)}</h1>
+      <p class="path">${escapeHtml(entry.file.relativePath)} · GUID: <code>${escapeHtml(entry.track.guid)}</code></p>
+
+      <form method="post" action="${action}" class="info">
+        <p class="hint">Пустое поле - значение берется из файла-спутника или тегов файла (показано серым)</p>
+
+        <label>Название</label>
+        <input type="text" name="title" value="${escapeHtml(override.title)}" placeholder="${escapeHtml(sidecar.title || common.title || entry.info.title)}">
+
+        <label>Артист</label>
+        <input type="text" name="artist" value="${escapeHtml(override.artist)}" placeholder="${escapeHtml(sidecar.artist || common.artist || entry.info.artist)}">
+
+        <label>Описание</label>
+        <textarea name="description" placeholder="${escapeHtml(sidecar.description || common.comment?.[0] || '')}">${escapeHtml(override.description)}</textarea>
+
+        <label>Номер выпуска</label>
+        <input type="number" name="episode" min="1" value="${escapeHtml(override.episode)}">
+
+        <label>Сезон</label>
+        <input type="number" name="season" min="1" value="${escapeHtml(override.season)}">
+
+        <label>Тип выпуска</label>
+        <select name="episodeType">
+          ${episodeTypeOption('', 'Обычный (full)')}
+          ${episodeTypeOption('trailer', 'Трейлер (trailer)')}
+          ${episodeTypeOption('bonus', 'Бонус (bonus)')}
+        </select>
+
+        <label>Явный контент</label>
+        <select name="explicit">
+          ${explicitOption('', 'Как в настройках канала')}
+          ${explicitOption('yes', 'Да')}
+          ${explicitOption('no', 'Нет')}
+        </select>
+
+        <label>Дата публикации <span class="hint">(время сервера; до этой даты трек скрыт из фида${tagPublishDate ? `, из файла: ${escapeHtml(tagPublishDate.toLocaleString())}` : ''})</span></label>
+        <input type="datetime-local" name="publishDate" value="${overridePublishDate ? toDateTimeLocal(overridePublishDate) : ''}">
+
+        <label><input type="checkbox" name="hidden"${override.hidden ? ' checked' : ''}> Скрыть из фида (файл не удаляется)</label>
+        <label><input type="checkbox" name="block"${override.block ? ' checked' : ''}> Скрыть из каталога Apple Podcasts (itunes:block)</label>
+
+        <p><button type="submit" class="btn">💾 Сохранить</button></p>
+      </form>
+
+      <div class="info">
+        <h3>🎨 Обложка</h3>
+        ${coverPreviewUrl ? `<img class="cover-preview" src="${escapeHtml(coverPreviewUrl)}" alt="">` : ''}
+        <p>${escapeHtml(coverSourceLabel)}</p>
+        <form method="post" action="${action}/cover" enctype="multipart/form-data">
+          <input type="file" name="cover" accept="${IMAGE_EXTENSIONS.join(',')}">
+          <button type="submit" class="btn">⬆️ Загрузить обложку</button>
+        </form>
+        ${override.cover ? `
+        <form method="post" action="${action}/cover/delete">
+          <button type="submit" class="btn btn-danger">Удалить загруженную обложку</button>
+        </form>` : ''}
+      </div>
+
+      ${entry.sidecar ? `
+      <div class="info">
+        <h3>📄 Файлы-спутники</h3>
+        <p class="path">${entry.sidecar.files.map((file) => escapeHtml(path.relative(config.paths.tracksDir, file))).join('<br>')}</p>
+        ${entry.sidecar.errors.length ? `
+        <p class="status status-error">Некорректные поля не применены:</p>
+        <ul>${entry.sidecar.errors.map((error) => `<li>${escapeHtml(error)}</li>`).join('')}</ul>` : '<p>Ошибок нет</p>'}
+      </div>` : ''}
+    `));
+  }));
+
+  // Сохранение правок трека
+  router.post('/tracks/:id', handle(async (req, res) => {
+    const entry = getLibraryEntryById(req.params.id);
+    if (!entry) {
+      return res.status(404).send(renderPage('Не найдено', '<h1>Трек не найден</h1>'));
+    }
+
+    const toNumber = (value) => {
+      const number = parseInt(value, 10);
+      return number > 0 ? number : null;
+    };
+
+    const publishDate = new Date(req.body.publishDate || '');
+
+    await setOverride(entry.track.id, {
+      title: (req.body.title || '').trim(),
+      artist: (req.body.artist || '').trim(),
+      description: (req.body.description || '').trim(),
+      episode: toNumber(req.body.episode),
+      season: toNumber(req.body.season),
+      explicit: ['yes', 'no'].includes(req.body.explicit) ? req.body.explicit : '',
+      episodeType: ['trailer', 'bonus'].includes(req.body.episodeType) ? req.body.episodeType : '',
+      block: req.body.block === 'on',
+      hidden: req.body.hidden === 'on',
+      publishDate: Number.isNaN(publishDate.getTime()) ? null : publishDate.toISOString(),
+    });
+
+    if (config.advanced.verboseLogging) {
+      console.log(`✏️  Сохранены правки трека: ${entry.file.relativePath}`);
+    }
+
+    await applyChanges(req, res, `/admin/tracks/${encodeURIComponent(entry.track.id)}`);
+  }));
+
+  // Загрузка обложки трека
+  router.post('/tracks/:id/cover', handle(async (req, res) => {
+    // Трек проверяем до приема файла: ничего не пишем на диск для несуществующего id
+    const entry = getLibraryEntryById(req.params.id);
+    if (!entry) {
+      return res.status(404).send(renderPage('Не найдено', '<h1>Трек не найден</h1>'));
+    }
+
+    req.coverTrackId = entry.track.id;
+    await receiveUpload(coverUpload.single('cover'), req, res, COVER_MAX_SIZE_MB);
+
+    if (!req.file) {
+      return res.status(400).send(renderPage('Ошибка', '<h1>Файл не является изображением</h1>'));
+    }
+
+    // Проверяем, что это действительно изображение
+    try {
+      await sharp(req.file.path).metadata();
+    } catch (error) {
+      await fs.unlink(req.file.path).catch(() => {});
+      return res.status(400).send(renderPage('Ошибка', '<h1>Не удалось прочитать изображение</h1>'));
+    }
+
+    const previous = getOverride(entry.track.id).cover;
+    await setOverride(entry.track.id, { cover: req.file.filename });
+    if (previous) {
+      await fs.unlink(path.join(CUSTOM_COVERS_DIR, previous)).catch(() => {});
+    }
+
+    await applyChanges(req, res, `/admin/tracks/${encodeURIComponent(entry.track.id)}`);
+  }));
+
+  // Удаление загруженной обложки
+  router.post('/tracks/:id/cover/delete', handle(async (req, res) => {
+    const entry = getLibraryEntryById(req.params.id);
+    if (!entry) {
+      return res.status(404).send(renderPage('Не найдено', '<h1>Трек не найден</h1>'));
+    }
+
+    const previous = getOverride(entry.track.id).cover;
+    await setOverride(entry.track.id, { cover: null });
+    if (previous) {
+      await fs.unlink(path.join(CUSTOM_COVERS_DIR, previous)).catch(() => {});
+    }
+
+    await applyChanges(req, res, `/admin/tracks/${encodeURIComponent(entry.track.id)}`);
+  }));
+
+  return router;
+}
@@ -0,0 +1,128 @@
+// api.js - JSON API для управления треками
+import express from 'express';
+import path from 'path';
+
+import config from './config.js';
+import { requireAdminAuth } from './access.js';
+import { getLibraryEntry, getLibraryEntryById } from './library.js';
+import { getTrackById } from './registry.js';
+import { clearOverride } from './overrides.js';
+import { audioUpload, receiveUpload, placeUploadedTrack, removeTrackFile } from './uploads.js';
+import { removeTrackCovers, getCoverCacheStats, cleanupCoverCache } from './covers.js';
+import { getStatsSummary } from './stats.js';
+
+const TRACKS_DIR = config.paths.tracksDir;
+
+// Создание роутера API
+// refreshFeeds(baseUrl) - пересборка фидов
+export function createApiRouter({ getBaseUrl, refreshFeeds }) {
+  const router = express.Router();
+
+  // Ответ с ошибкой
+  const sendError = (res, status, message) => res.status(status).json({ success: false, error: message });
+
+  // Изменения - только с логином или токеном API
+  const requireAuth = requireAdminAuth(sendError);
+
+  // Обработка ошибок: статус берется из ошибки загрузки, иначе 500
+  const handle = (fn) => async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (error) {
+      if (!error.status) {
+        console.error('❌ Ошибка API:', error);
+      }
+      if (!res.headersSent) {
+        sendError(res, error.status || 500, error.message);
+      }
+    }
+  };
+
+  // Загрузка трека: multipart/form-data с полем file (и необязательными artist, title)
+  router.post('/tracks', requireAuth, handle(async (req, res) => {
+    await receiveUpload(audioUpload.single('file'), req, res);
+
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'Файл не передан (поле file)' });
+    }
+
+    const placed = await placeUploadedTrack(req.file, req.body);
+
+    // Пересобираем фид, чтобы вернуть итоговую запись
+    const rssCache = await refreshFeeds(getBaseUrl(req));
+    const entry = getLibraryEntry(placed.relativePath);
+
+    if (!entry || entry.error) {
+      return res.status(500).json({
+        success: false,
+        error: `Файл сохранен, но не прочитан: ${entry?.error || 'не найден в библиотеке'}`,
+        path: placed.relativePath,
+      });
+    }
+
+    const item = rssCache.data.rss.channel.item.find(i => i.guid['#text'] === entry.track.guid) || null;
+
+    res.status(201).json({
+      success: true,
+      id: entry.track.id,
+      guid: entry.track.guid,
+      path: placed.relativePath,
+      item,
+      skippedReason: item ? null : (rssCache.skipped.get(placed.relativePath) || null),
+    });
+  }));
+
+  // Удаление трека вместе с кэшированной обложкой и правками
+  router.delete('/tracks/:id', requireAuth, handle(async (req, res) => {
+    const track = getTrackById(req.params.id);
+    const entry = getLibraryEntryById(req.params.id);
+
+    if (!track || !entry) {
+      return res.status(404).json({ success: false, error: 'Трек не найден' });
+    }
+
+    await removeTrackCovers(entry);
+    await clearOverride(track.id);
+    await removeTrackFile(path.join(TRACKS_DIR, entry.file.relativePath));
+
+    if (config.advanced.verboseLogging) {
+      console.log(`🗑️  Удален трек: ${entry.file.relativePath}`);
+    }
+
+    await refreshFeeds(getBaseUrl(req));
+
+    res.json({
+      success: true,
+      id: track.id,
+      guid: track.guid,
+      path: entry.file.relativePath,
+    });
+  }));
+
+  // Статистика скачиваний треков (?id=<id трека> - только один трек)
+  // bytes - все отправленные байты, а не размер уникальных скачиваний
+  router.get('/stats', handle(async (req, res) => {
+    const summary = getStatsSummary();
+    if (req.query.id) {
+      const track = summary.tracks.find(t => t.id === req.query.id);
+      if (!track) {
+        return res.status(404).json({ success: false, error: 'Скачиваний этого трека нет' });
+      }
+      return res.json(track);
+    }
+    res.json(summary);
+  }));
+
+  // Статистика кэша обложек
+  router.get('/covers/stats', handle(async (req, res) => {
+    res.json(await getCoverCacheStats());
+  }));
+
+  // Принудительная очистка кэша обложек
+  router.post('/covers/cleanup', requireAuth, handle(async (req, res) => {
+    const result = await cleanupCoverCache();
+    res.json({ success: true, ...result });
+  }));
+
+  return router;
+}
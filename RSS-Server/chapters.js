@@ -0,0 +1,189 @@
+// chapters.js - Главы треков (миксов): из cue / chapters.json рядом с треком, ID3 CHAP или глав MP4
+import path from 'path';
+
+import { findCompanionFile, readCompanionText } from './sidecars.js';
+import { decodeId3Text, parseId3Frames } from './id3.js';
+
+// Файлы с главами рядом с треком: "mix.mp3" -> "mix.mp3.cue", "mix.mp3.chapters.json", "mix.cue", "mix.chapters.json"
+const CHAPTER_FILE_SUFFIXES = ['.cue', '.chapters.json'];
+
+// Версия формата глав Podcasting 2.0
+const CHAPTERS_FORMAT_VERSION = '1.2.0';
+
+// Кадров в секунде у cue (INDEX mm:ss:ff)
+const CUE_FRAMES_PER_SECOND = 75;
+
+// Подпись файла с главами (путь и время изменения) или null - для отслеживания изменений
+export async function getChapterFileSignature(filePath) {
+  const file = await findCompanionFile(filePath, CHAPTER_FILE_SUFFIXES);
+  return file ? `${file.filePath}:${file.mtimeMs}` : null;
+}
+
+// Значение команды cue без кавычек
+function unquote(value) {
+  return value.trim().replace(/^"(.*)"$/, '$1');
+}
+
+// Разбор cue: главы из TRACK (TITLE, PERFORMER) и INDEX 01
+function parseCue(text) {
+  const chapters = [];
+  let current = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    const match = /^\s*(\w+)\s+(.*)$/.exec(line);
+    if (!match) continue;
+
+    const [, command, value] = match;
+    switch (command.toUpperCase()) {
+      case 'TRACK':
+        current = { title: '', performer: '', startTime: null };
+        chapters.push(current);
+        break;
+      case 'TITLE':
+        if (current) current.title = unquote(value);
+        break;
+      case 'PERFORMER':
+        if (current) current.performer = unquote(value);
+        break;
+      case 'INDEX': {
+        const index = /^01\s+(\d+):(\d{2}):(\d{2})/.exec(value.trim());
+        if (current && index) {
+          current.startTime = Number(index[1]) * 60 + Number(index[2]) + Number(index[3]) / CUE_FRAMES_PER_SECOND;
+        }
+        break;
+      }
+    }
+  }
+
+  return chapters
+    .filter((chapter) => chapter.startTime !== null)
+    .map(({ title, performer, startTime }) => ({
+      startTime,
+      title: performer && title ? `${performer} - ${title}` : title || performer || '',
+    }));
+}
+
+// Разбор chapters.json: формат Podcasting 2.0 ({ chapters: [...] }) или просто список глав
+function parseChaptersJson(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data?.chapters;
+  if (!Array.isArray(list)) {
+    throw new Error('ожидается список глав или { "chapters": [...] }');
+  }
+
+  return list.map((chapter, index) => {
+    if (typeof chapter?.startTime !== 'number' || chapter.startTime < 0) {
+      throw new Error(`глава ${index + 1}: startTime должен быть числом секунд`);
+    }
+    const { startTime, endTime, title, url, img } = chapter;
+    return { startTime, endTime, title: title === undefined ? undefined : String(title), url, img };
+  });
+}
+
+// Главы из фреймов CHAP (ID3v2 Chapter Frame Addendum): время начала/конца и подфреймы TIT2, WXXX
+function parseChapFrame(data, major) {
+  const idEnd = data.indexOf(0);
+  if (idEnd < 0 || idEnd + 17 > data.length) return null;
+
+  const startMs = data.readUInt32BE(idEnd + 1);
+  const endMs = data.readUInt32BE(idEnd + 5);
+  const chapter = { startTime: startMs / 1000 };
+  if (endMs !== 0xffffffff && endMs > startMs) {
+    chapter.endTime = endMs / 1000;
+  }
+
+  for (const frame of parseId3Frames(data.subarray(idEnd + 17), major)) {
+    if (frame.id === 'TIT2') {
+      chapter.title = decodeId3Text(frame.data);
+    } else if (frame.id === 'WXXX') {
+      // Описание (до нулевого байта) и ссылка
+      const url = frame.data.subarray(1).toString('latin1').split('\0').filter(Boolean).pop();
+      if (url && /^https?:\/\//i.test(url)) chapter.url = url;
+    }
+  }
+
+  return chapter;
+}
+
+// Главы из фреймов CHAP тега ID3v2 (music-metadata их не разбирает)
+function getId3Chapters(id3Tag) {
+  if (!id3Tag) return [];
+
+  return id3Tag.frames
+    .filter((frame) => frame.id === 'CHAP')
+    .map((frame) => parseChapFrame(frame.data, id3Tag.major))
+    .filter(Boolean);
+}
+
+// Главы MP4 (music-metadata с includeChapters): смещение в сэмплах
+function getMp4Chapters(metadata) {
+  const sampleRate = metadata?.format?.sampleRate;
+  if (!sampleRate) return [];
+
+  return (metadata.format.chapters || []).map((chapter) => ({
+    startTime: chapter.sampleOffset / sampleRate,
+    title: chapter.title,
+  }));
+}
+
+// Главы трека: { source, signature, chapters: [{ startTime, endTime, title, url, img }], error } или null
+// Приоритет: cue / chapters.json рядом с треком, ID3 CHAP, главы MP4
+// id3Tag - тег ID3v2 файла (id3.js) или null
+export async function readChapters(filePath, metadata, id3Tag) {
+  const file = await findCompanionFile(filePath, CHAPTER_FILE_SUFFIXES);
+
+  if (file) {
+    const signature = `${file.filePath}:${file.mtimeMs}`;
+    try {
+      const text = await readCompanionText(file.filePath);
+      const isCue = file.filePath.toLowerCase().endsWith('.cue');
+      const chapters = isCue ? parseCue(text) : parseChaptersJson(text);
+      return normalize({ source: isCue ? 'cue' : 'json', signature, chapters });
+    } catch (error) {
+      console.log(`⚠️  Не удалось прочитать главы из ${path.basename(file.filePath)}: ${error.message}`);
+      return { source: 'file', signature, chapters: [], error: error.message };
+    }
+  }
+
+  const id3Chapters = getId3Chapters(id3Tag);
+  if (id3Chapters.length) {
+    return normalize({ source: 'id3', signature: null, chapters: id3Chapters });
+  }
+
+  const mp4Chapters = getMp4Chapters(metadata);
+  return mp4Chapters.length ? normalize({ source: 'mp4', signature: null, chapters: mp4Chapters }) : null;
+}
+
+// Сортировка по времени начала и удаление пустых полей
+function normalize(result) {
+  result.chapters = result.chapters
+    .sort((a, b) => a.startTime - b.startTime)
+    .map((chapter) => Object.fromEntries(Object.entries(chapter).filter(([, value]) => value !== undefined && value !== '')));
+  return result.chapters.length ? result : null;
+}
+
+// Главы в формате Podcasting 2.0 (application/json+chapters)
+export function buildChaptersJson(chapters) {
+  return {
+    version: CHAPTERS_FORMAT_VERSION,
+    chapters: chapters.map((chapter) => ({
+      ...chapter,
+      startTime: Math.round(chapter.startTime * 1000) / 1000,
+    })),
+  };
+}
+
+// Метка времени главы: M:SS или H:MM:SS
+function formatTimestamp(seconds) {
+  const total = Math.floor(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+// Список глав для описания выпуска (для клиентов, которые показывают только текст)
+export function formatChapterList(chapters, heading) {
+  const lines = chapters.map((chapter) => `${formatTimestamp(chapter.startTime)} ${chapter.title || ''}`.trim());
+  return heading ? `${heading}\n${lines.join('\n')}` : lines.join('\n');
+}
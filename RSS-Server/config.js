@@ -57,6 +57,69 @@ export default {
     // Подкатегория (опционально)
     subcategory: 'Electronic',
     
+    // Краткое описание для itunes:summary (по умолчанию - description)
+    summary: '',
+    
+    // Тип канала для iTunes: 'episodic' (новые сверху) или 'serial' (слушать по порядку)
+    type: 'episodic',
+    
+    // Скрыть канал из каталога Apple Podcasts (itunes:block)
+    block: false,
+    
+    // Брать номер выпуска и сезон из номера трека и диска в тегах,
+    // если они не заданы в панели управления
+    episodeNumbersFromTags: false,
+    
+    // === PODCASTING 2.0 (пространство имен podcast:) ===
+    podcast: {
+      // podcast:guid канала. Пусто - вычисляется из адреса фида (UUIDv5 по спецификации) при первой сборке
+      // и запоминается в .data/podcast-guids.json: адрес запроса, фильтры и смена домена его уже не меняют
+      // Адрес берется из server.baseUrl, а если он не задан - из первого запроса фида
+      guid: '',
+      
+      // Запрет переноса фида на другие площадки (podcast:locked)
+      locked: false,
+      
+      // Email владельца для podcast:locked (по умолчанию - email)
+      lockedOwner: '',
+      
+      // Тип контента: 'podcast', 'music', 'audiobook' и т.д. (пусто - не указывать)
+      medium: 'music',
+      
+      // Участники канала. Пример: [{ name: 'Name', role: 'host', href: 'https://exemple.com/' }]
+      persons: [],
+      
+      // Указывать артиста и композиторов из тегов как podcast:person у каждого трека
+      trackPersons: true,
+      
+      // Донаты (podcast:value). Пример:
+      // { type: 'lightning', method: 'keysend', suggested: '0.00000005000',
+      //   recipients: [{ name: 'Name', address: '02d5c1bf...', split: 100 }] }
+      value: null,
+    },
+    
+    // === ГЛАВЫ (для миксов и длинных записей) ===
+    // Главы берутся из файла рядом с треком ("mix.mp3" -> "mix.cue" или "mix.chapters.json"),
+    // из тегов ID3 (CHAP) или из глав M4A. Отдаются по адресу /chapters/<guid трека>.json
+    // и указываются в фиде как podcast:chapters (chaptersUrl из файла-спутника важнее)
+    chapters: {
+      // Добавлять список глав с временем начала в описание выпуска
+      inDescription: true,
+      
+      // Заголовок перед списком глав (пусто - без заголовка)
+      heading: 'Tracklist:',
+    },
+    
+    // === ТЕКСТЫ И СУБТИТРЫ ===
+    // Текст берется из файла рядом с треком ("song.mp3" -> "song.vtt", "song.srt" или "song.lrc"),
+    // из тегов ID3 (SYLT - с таймингом, USLT - без) или из текста песни в тегах других форматов.
+    // Отдается по адресу /transcripts/<guid трека>.<vtt|srt|txt> и указывается в фиде как podcast:transcript
+    // (transcripts из файла-спутника важнее). vtt и srt доступны только для текста с таймингом
+    transcripts: {
+      // Форматы, которые указываются в фиде
+      formats: ['vtt', 'srt', 'txt'],
+    },
+    
     // Обложка канала (URL или путь к файлу)
     // ОБЯЗАТЕЛЬНО для YouTube! Рекомендуется квадратное изображение 3000x3000
     // Примечание: будет скачана, обрезана до квадрата и сохранена в .covers_cache
@@ -73,21 +136,105 @@ export default {
       
       // Режим обработки не квадратных обложек:
       // 'crop' - обрезать до квадрата (по центру) - РЕКОМЕНДУЕТСЯ ДЛЯ YOUTUBE
-      // 'background' - добавить белый фон, сохраняя пропорции
+      // 'attention' - умная обрезка: оставить самую заметную часть (лица, яркие детали)
+      // 'entropy' - умная обрезка: оставить самую детализированную часть
+      // 'background' - добавить фон (coverBackground), сохраняя пропорции
       cropMode: 'crop',
       
+      // Фон для режима 'background': цвет ('#ffffff') или 'blur' - размытая копия самой обложки
+      coverBackground: '#ffffff',
+      
+      // Копии обложек по адресу /covers/<id трека или channel>/<размер>.<формат>
+      // (например /covers/abc123/600.webp) - создаются при первом запросе и хранятся в .covers_cache
+      renditions: {
+        // Разрешенные размеры (px) и форматы
+        sizes: [300, 600, 1400, 3000],
+        formats: ['jpeg', 'webp', 'avif'],
+        
+        // Качество сжатия (1-100)
+        quality: { jpeg: 90, webp: 85, avif: 60 },
+      },
+      
       // Автоматически извлекать обложки из MP3 файлов
+      // Если картинок несколько, берется передняя обложка (Cover (front))
       extractCoversFromMP3: true,
       
+      // Если в тегах обложки нет, ищется картинка рядом с треком ("track.mp3" -> "track.jpg"),
+      // затем картинка папки с одним из этих имен (jpg, jpeg, png, webp, регистр не важен)
+      folderCoverNames: ['cover', 'folder', 'front', 'album', 'albumart'],
+      
+      // Заглушка для треков без обложки: название и артист поверх фона
+      // (чтобы YouTube не получал одинаковую обложку канала для всех треков)
+      placeholder: {
+        // Если выключено - используется обложка канала
+        enabled: true,
+        
+        // Цвет фона или два цвета для градиента: '#1f1c2c' или ['#1f1c2c', '#928dab']
+        background: ['#1f1c2c', '#928dab'],
+        
+        // Цвет и шрифт текста
+        textColor: '#ffffff',
+        fontFamily: 'sans-serif',
+      },
+      
       // Использовать обложку трека как thumbnail в YouTube
       useTrackCoverAsThumbnail: true,
+      
+      // Режим совместимости форматов (FLAC, WAV, OGG не принимаются YouTube и строгими клиентами):
+      // 'off' - все форматы попадают в фид как есть (с правильным MIME-типом)
+      // 'exclude' - несовместимые форматы не попадают в фид
+      // 'alternative' - вместо несовместимого файла отдается MP3/M4A с тем же именем из той же папки
+      //                 (если такого нет - трек не попадает в фид)
+      compatibilityMode: 'off',
+      
+      // MIME-типы, которые считаются совместимыми с YouTube
+      compatibleTypes: ['audio/mpeg', 'audio/x-m4a'],
     },
   },
 
+  // === НЕСКОЛЬКО ФИДОВ ===
+  // Основной фид (/rss.xml) строится из всех треков по настройкам rss
+  // Дополнительные фиды доступны по адресу /feeds/<slug>/rss.xml
+  //
+  // Любой фид можно временно отфильтровать параметрами адреса (без изменения конфига):
+  //   artist, album, genre, folder - точное совпадение без учета регистра
+  //   year  - год или диапазон: year=2020, year=2018-2020
+  //   since - дата публикации не раньше: since=2024-01-01 или since=30d (h, d, w, m, y)
+  //   minDuration, maxDuration - длительность в секундах или M:SS: minDuration=5:00
+  //   sort  - date, title, artist или duration; order - asc или desc; limit - сколько треков
+  // Пример: /rss.xml?genre=Techno&since=30d&sort=duration
+  feeds: {
+    // Автоматически создавать фид для каждой папки верхнего уровня в tracks
+    // Пример: папка "My Artist" -> /feeds/my-artist/rss.xml
+    autoFolders: false,
+    
+    // Общие настройки для автоматических фидов (переопределяют rss)
+    // Пример: { description: 'Треки исполнителя', category: 'Music' }
+    folderDefaults: {},
+    
+    // Фиды, заданные вручную. Все поля из rss можно переопределить,
+    // незаданные берутся из rss. filter выбирает треки для фида:
+    //   folder - папка внутри tracks (например 'My Artist' или 'My Artist/Album')
+    //   artist - артист (из ID3 тегов или пути)
+    //   album  - альбом (из ID3 тегов или пути)
+    list: [
+      // {
+      //   slug: 'my-artist',
+      //   title: 'My Artist',
+      //   description: 'Все треки My Artist',
+      //   channelImage: 'https://example.com/my-artist.png',
+      //   author: 'My Artist',
+      //   email: 'artist@example.com',
+      //   category: 'Music',
+      //   filter: { artist: 'My Artist' },
+      // },
+    ],
+  },
+
   // === НАСТРОЙКИ ФАЙЛОВОЙ СИСТЕМЫ ===
   paths: {
     // Папка с треками (относительно папки server.js)
-    // ПРОСТО БРОСАЙТЕ MP3 ФАЙЛЫ В ЭТУ ПАПКУ
+    // ПРОСТО БРОСАЙТЕ MP3 ФАЙЛЫ В ЭТУ ПАПКУ (можно раскладывать по вложенным папкам)
     // Поддерживаются: MP3, M4A, FLAC, WAV, OGG
     // ID3 теги будут извлечены автоматически
     tracksDir: path.join(__dirname, 'tracks'),
@@ -95,17 +242,48 @@ export default {
     // Папка для кэша обложек (не удаляйте, используется для кэширования)
     // Сюда сохраняются обрезанные квадратные обложки
     coversCacheDir: path.join(__dirname, '.covers_cache'),
+    
+    // Папка для служебных данных (реестр треков с GUID и датами публикации)
+    // Не удаляйте: без нее треки получат новые GUID и продублируются в YouTube
+    dataDir: path.join(__dirname, '.data'),
+    
+    // Папка для кэша транскодированных файлов (см. раздел transcoding)
+    transcodeCacheDir: path.join(__dirname, '.transcode_cache'),
   },
 
   // === НАСТРОЙКИ ПАРСИНГА ФАЙЛОВ ===
   fileParsing: {
-    // Паттерн для автоматического определения артиста и названия из папок
-    // Пример: "Artist - Track Name" папка -> артист: "Artist", название: "Track Name"
+    // Шаблон для определения информации о треке из пути к файлу (относительно tracks, без расширения)
+    // Доступные поля: {artist}, {album}, {title}, {track}, {disc}, {year}
+    // Шаблон сопоставляется с концом пути, '/' разделяет папки
+    // Шаблон без '/' проверяется сначала по имени папки с треком, затем по имени файла
+    // Примеры:
+    //   '{artist} - {title}'                  -> "Artist - Track Name.mp3"
+    //   '{artist}/{album}/{track} - {title}'  -> "Artist/Album/01 - Track Name.mp3"
+    //   '{artist}/{album}/{disc}-{track} {title}' -> "Artist/Album/1-01 Track Name.mp3"
+    // Если шаблон не подошел - используется имя папки "Artist - Track Name" и separator
     folderPattern: '{artist} - {title}',
     
     // Разделитель между артистом и названием в имени папки
     separator: ' - ',
     
+    // === НАСТРОЙКИ СКАНИРОВАНИЯ ===
+    // Максимальная глубина вложенности папок (0 - только сама папка tracks)
+    maxDepth: 10,
+    
+    // Включать только файлы, подходящие под эти шаблоны (пусто - все поддерживаемые форматы)
+    // Шаблон без '/' проверяется по имени файла. Пример: ['*.mp3', 'Releases/**']
+    include: [],
+    
+    // Исключать файлы и папки по шаблонам. Пример: ['Drafts/**', '*_preview.mp3']
+    exclude: [],
+    
+    // Переходить по символическим ссылкам
+    followSymlinks: false,
+    
+    // Пропускать скрытые файлы и папки (начинающиеся с точки)
+    skipHidden: true,
+    
     // Искать ID3 теги в аудиофайлах
     // ВКЛЮЧЕНО: извлекает артиста, название, обложку и другую мета-информацию
     readID3Tags: true,
@@ -115,6 +293,141 @@ export default {
     // 2. Имя файла
     // 3. Имя папки
     titlePriority: ['id3', 'filename', 'foldername'],
+    
+    // Файлы-спутники: поля трека без перезаписи тегов (важнее тегов, но правки из панели важнее них)
+    //   рядом с треком: "track.mp3.yml" ("track.mp3.yaml", "track.mp3.json", "track.yml", "track.json")
+    //   на всю папку: meta.json (meta.yml) - общие поля и раздел tracks: { "track.mp3": { ... } }
+    // Поля: title, artist, album, description, notes (Markdown -> content:encoded), link,
+    //   explicit (true/false), episode, season, episodeType (full, trailer, bonus), block, hidden,
+    //   publishDate, chaptersUrl, transcripts [{ url, type, language, rel }], persons [{ name, role, group, href, img }]
+    // Поля проверяются: некорректные не применяются, а ошибки выводятся в лог, в /validate и в панели управления
+  },
+
+  // === ОТЛОЖЕННАЯ ПУБЛИКАЦИЯ ===
+  // Дата выхода трека берется (по приоритету) из панели управления, файла-спутника
+  // ("track.mp3.yml": publishDate: 2026-01-31T18:00:00+03:00, см. fileParsing)
+  // или ID3-тегов. До этой даты трек скрыт из всех фидов, после - фиды пересобираются сами,
+  // а дата выхода становится pubDate трека
+  publishing: {
+    // Учитывать даты выхода
+    enabled: true,
+    
+    // ID3-фреймы с датой выхода (проверяются по порядку). 'TXXX:<имя>' - пользовательский фрейм
+    // TDRL - дата релиза из ID3v2.4 (у старых файлов там часто дата выхода альбома - она станет pubDate)
+    id3Frames: ['TXXX:PUBLISH_DATE', 'TDRL'],
+  },
+
+  // === ЗАГРУЗКА ТРЕКОВ ===
+  // Загрузка через панель управления и API: POST /api/tracks (multipart, поле file),
+  // удаление: DELETE /api/tracks/<id>. Доступ - как у панели (advanced.accessControl.admin),
+  // плюс обязательный логин (advanced.basicAuth) или токен (advanced.apiToken)
+  // Файл проверяется и кладется в папку "{artist} - {title}" (артист и название - из формы или тегов)
+  upload: {
+    // Максимальный размер одного файла в мегабайтах
+    maxSizeMB: 500,
+    
+    // Максимальное количество файлов в одном запросе
+    maxFiles: 20,
+  },
+
+  // === НАСТРОЙКИ ТРАНСКОДИРОВАНИЯ ===
+  // FLAC и WAV слишком большие для RSS, YouTube и подкаст-приложения плохо с ними работают
+  // Треки можно отдавать в сжатом виде по адресу /stream/<id>.(mp3|m4a|opus)
+  // Файлы для RSS транскодируются заранее в фоне: трек попадает в фид, когда готов файл с точным размером
+  transcoding: {
+    // Включить транскодирование (нужен установленный ffmpeg)
+    enabled: false,
+    
+    // Путь к ffmpeg
+    ffmpegPath: 'ffmpeg',
+    
+    // Битрейт для каждого формата
+    bitrates: {
+      mp3: '192k',
+      m4a: '192k',
+      opus: '128k',
+    },
+    
+    // Какие исходные форматы отдавать в RSS транскодированными: расширение -> формат
+    // Остальные форматы отдаются как есть из /tracks
+    enclosureFormats: {
+      flac: 'mp3',
+      wav: 'mp3',
+    },
+    
+    // Максимальный размер кэша транскодированных файлов в МБ
+    maxSizeMB: 2000,
+  },
+
+  // === ОТСЛЕЖИВАНИЕ ИЗМЕНЕНИЙ В БИБЛИОТЕКЕ ===
+  // Сервер следит за папкой tracks и перечитывает только добавленные и измененные файлы
+  // (по событию сверяется только затронутая папка, вся библиотека - при периодической сверке),
+  // а RSS пересобирается в фоне - запросы фида не сканируют папку
+  watcher: {
+    // Следить за изменениями в папке tracks
+    enabled: true,
+    
+    // Пауза после последнего изменения перед обработкой (мс)
+    // Серия событий (например, копирование большой папки) обрабатывается один раз
+    debounceMs: 2000,
+    
+    // Периодическая полная сверка папки (мс, 0 - отключить)
+    // Нужна, если события файловой системы не приходят (сетевые диски, Docker volume)
+    pollInterval: 10 * 60 * 1000,
+  },
+
+  // === УВЕДОМЛЕНИЯ ОБ ИЗМЕНЕНИИ ФИДОВ ===
+  // Когда при пересборке фида меняется состав выпусков (новые, удаленные или измененные GUID),
+  // сервер пингует хабы WebSub и отправляет вебхуки. Последний состав фидов хранится в .data/feed-state.json;
+  // при самой первой сборке фида он только запоминается. Проверить можно локальным приемником:
+  //   npm run receiver  (адреса http://localhost:4000/webhook и http://localhost:4000/hub)
+  push: {
+    websub: {
+      // Хабы WebSub: указываются в фидах (atom:link rel="hub") и получают hub.mode=publish
+      // Пример: ['https://pubsubhubbub.appspot.com/']
+      hubs: [],
+    },
+    
+    // Каждый фид (основной и фиды из feeds) отслеживается отдельно: если трек входит в несколько фидов,
+    // его изменение дает пинг хабов по темам каждого из них и отдельный вебхук feed.changed на каждый фид (feed.slug в теле)
+    
+    // Вебхуки: POST с JSON { event, feed, added, updated, removed, timestamp }
+    // Пример: [{ url: 'https://example.com/hooks/rss', secret: 'long-random-string', feeds: ['main'] }]
+    // feeds - slug фидов, об изменении которых сообщать (не задано - обо всех)
+    // Подпись: заголовок X-Webhook-Signature = "sha256=" + HMAC-SHA256(secret, "<X-Webhook-Timestamp>.<тело>")
+    webhooks: [],
+    
+    // Секрет для вебхуков без своего secret (пусто - без подписи)
+    secret: '',
+    
+    // Время ожидания ответа (мс)
+    timeout: 10 * 1000,
+    
+    // Повторы при ошибке: пауза удваивается от initialDelay до maxDelay (мс)
+    // Ожидающие повторы хранятся в .data/pending-notifications.json и продолжаются после перезапуска
+    retry: {
+      attempts: 5,
+      initialDelay: 30 * 1000,
+      maxDelay: 60 * 60 * 1000,
+    },
+  },
+
+  // === СТАТИСТИКА СКАЧИВАНИЙ ===
+  // Запросы к /tracks и /stream учитываются как скачивания треков и сохраняются в .data/stats.json
+  // Сводка: /api/stats (JSON) и таблица на главной странице
+  stats: {
+    // Вести статистику
+    enabled: true,
+    
+    // Запросы одного трека с того же IP и User-Agent в пределах этого времени (мс) - одно скачивание
+    // (плееры и YouTube качают файл частями через заголовок Range)
+    dedupeWindow: 24 * 60 * 60 * 1000,
+    
+    // Сколько дней хранить счетчики по дням
+    historyDays: 30,
+    
+    // Сколько самых скачиваемых треков показывать на главной странице
+    topTracks: 20,
   },
 
   // === НАСТРОЙКИ КЭШИРОВАНИЯ ===
@@ -122,15 +435,29 @@ export default {
     // Кэшировать обложки (ускоряет генерацию RSS)
     enabled: true,
     
-    // Время жизни кэша обложек в миллисекундах (24 часа)
+    // Сколько хранить неиспользуемые обложки (удаленных треков, старого coverSize)
+    // после последнего запроса, в миллисекундах (24 часа)
     ttl: 24 * 60 * 60 * 1000,
     
-    // Максимальный размер кэша в МБ
+    // Максимальный размер кэша обложек в МБ
+    // При превышении удаляются давно не запрашивавшиеся обложки, которых нет в фидах
     maxSizeMB: 500,
     
+    // Как часто проверять кэш обложек, в миллисекундах (1 час, 0 - только при запуске)
+    cleanupInterval: 60 * 60 * 1000,
+    
     // Время жизни кэша RSS в миллисекундах (5 минут)
-    // Меньшие значения ускоряют обновление, но увеличивают нагрузку
+    // Устаревший RSS отдается сразу, а новый собирается в фоне
+    // Это же время передается клиентам в Cache-Control (max-age)
     rssCacheDuration: 5 * 60 * 1000,
+    
+    // Сколько фидов с фильтрами из запроса (/rss.xml?artist=...&since=30d) держать в кэше
+    // У каждой комбинации параметров свой кэш; давно не запрашивавшиеся вытесняются
+    maxFilteredFeeds: 50,
+    
+    // Сжимать фиды (brotli или gzip - по заголовку Accept-Encoding клиента)
+    // Сжатая версия создается один раз на каждую сборку фида
+    compressFeeds: true,
   },
 
   // === ДОПОЛНИТЕЛЬНЫЕ НАСТРОЙКИ ===
@@ -147,24 +474,31 @@ export default {
     
     // Максимальное количество треков в RSS (YouTube поддерживает до 100)
     // Можно установить больше, но YouTube покажет только первые 100
-    maxTracksInRSS: 10000,
+    // Остальные треки не пропадают: они на следующих страницах (/rss.xml?page=2, ...)
+    // и в полном архиве /rss-full.xml (RFC 5005). Это же размер страницы архива
+    maxTracksInRSS: 100,
     
     // === НАСТРОЙКИ GUID (ВАЖНО ДЛЯ СТАБИЛЬНОСТИ!) ===
     // Метод генерации GUID для выпусков:
     // 'hash' - на основе хэша файла (рекомендуется, постоянный)
     // ИСПОЛЬЗУЙТЕ 'hash' чтобы треки не вылетали из плейлиста YouTube
+    // GUID и дата публикации хранятся в реестре (.data/tracks.json) и привязаны
+    // к отпечатку аудиоданных, поэтому переименование, перемещение и правка тегов их не меняют
     guidMethod: 'hash',
     
     // === НАСТРОЙКИ ОБРАБОТКИ ОБЛОЖЕК ===
-    // Удалять старые кэшированные обложки при запуске
+    // Очищать кэш обложек при запуске и по расписанию (cache.cleanupInterval)
+    // Статистика кэша: /api/covers/stats
     cleanupOldCovers: true,
     
     // Максимальный возраст кэшированных обложек (7 дней)
+    // Более старые обложки удаляются и создаются заново (например, если обновилась обложка канала)
     maxCoverAge: 7 * 24 * 60 * 60 * 1000,
     
     // === НАСТРОЙКИ БЕЗОПАСНОСТИ ===
     // Разрешать доступ к RSS только с определенных IP (оставить пустым для всех)
-    // Пример: ['192.168.1.100', '127.0.0.1']
+    // Поддерживаются отдельные адреса и подсети CIDR
+    // Пример: ['192.168.1.100', '127.0.0.1', '10.0.0.0/8', '2001:db8::/32']
     allowedIPs: [],
     
     // Требовать базовую аутентификацию для RSS (оставить пустым для отключения)
@@ -173,5 +507,37 @@ export default {
       username: '',
       password: '',
     },
+    
+    // Токен для API (заголовок Authorization: Bearer <токен>), заменяет логин и пароль
+    // Загрузка, удаление и правка треков возможны, только если задан basicAuth или apiToken
+    apiToken: '',
+    
+    // Доверенные прокси (IP или CIDR), от которых принимается заголовок X-Forwarded-For
+    // Если пусто - реальным IP клиента считается адрес соединения
+    // Пример: ['127.0.0.1', '172.16.0.0/12']
+    trustedProxies: [],
+    
+    // Какие проверки применять к группам маршрутов:
+    // feed  - фиды и плейлисты (/rss.xml, /feed.json, /atom.xml, /feed, /playlist.m3u8, /playlist.xspf, /opml, /feeds/...)
+    // media - треки и обложки (/tracks, /covers_cache, /covers)
+    // admin - управление и статус (/, /admin, /refresh-rss)
+    accessControl: {
+      feed: { allowedIPs: true, basicAuth: true },
+      media: { allowedIPs: true, basicAuth: true },
+      admin: { allowedIPs: true, basicAuth: true },
+    },
+    
+    // Подписанные ссылки на медиафайлы в RSS
+    // YouTube и подкаст-приложения не умеют передавать логин/пароль,
+    // поэтому если медиа защищены, ссылки в фиде подписываются и действуют ограниченное время
+    signedMediaUrls: {
+      enabled: true,
+      
+      // Секрет для подписи (если пусто - сгенерируется и сохранится в .media_secret)
+      secret: '',
+      
+      // Срок действия ссылки (30 дней)
+      ttl: 30 * 24 * 60 * 60 * 1000,
+    },
   },
 };
\ No newline at end of file
@@ -0,0 +1,597 @@
+// covers.js - Обложки: выбор источника, заглушки, кэш с учетом использования и очистка по возрасту и размеру
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import sharp from 'sharp';
+
+import config from './config.js';
+import { getLibraryEntries, getLibraryEntryById } from './library.js';
+import { MAIN_FEED_SLUG, getFeeds, getFeed } from './feeds.js';
+import { mediaUrl } from './access.js';
+import { getOverride, getCustomCoverPath } from './overrides.js';
+import { escapeHtml } from './html.js';
+
+const COVERS_CACHE_DIR = config.paths.coversCacheDir;
+
+// Расширения картинок рядом с треками
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+// Результат последней очистки: { at, removed, freedBytes, orphaned, expired, evicted, files, sizeMB }
+// files и sizeMB - что осталось в кэше после нее (их показывает страница статуса без обхода кэша)
+let lastCleanup = null;
+
+// Очистка уже выполняется
+let cleanupRunning = null;
+
+// Подписчики на удаление обложек, которые используются в фидах (их нужно пересоздать)
+const expiredListeners = new Set();
+
+// Форматы уменьшенных копий: расширение файла, MIME-тип и качество по умолчанию
+const RENDITION_FORMATS = {
+  jpeg: { extension: 'jpg', mimeType: 'image/jpeg', quality: 90 },
+  webp: { extension: 'webp', mimeType: 'image/webp', quality: 85 },
+  avif: { extension: 'avif', mimeType: 'image/avif', quality: 60 },
+};
+
+// Создаваемые сейчас копии: путь в кэше -> промис
+const renditionJobs = new Map();
+
+// Имя файла в кэше: префикс, хэш ключа источника, размер и формат
+function getCacheFilename(prefix, coverKey, size = config.rss.youtube.coverSize, format = 'jpeg') {
+  const hash = crypto.createHash('md5').update(coverKey).digest('hex').substring(0, 12);
+  return `${prefix}_${hash}_${size}.${RENDITION_FORMATS[format].extension}`;
+}
+
+// Имя копии обложки другого размера и формата (хэш источника тот же)
+function getRenditionFilename(coverFilename, size, format) {
+  return coverFilename.replace(/_\d+\.[a-z]+$/, `_${size}.${RENDITION_FORMATS[format].extension}`);
+}
+
+// Версия обложки - хэш источника из имени файла (меняется вместе с картинкой)
+function getCoverVersion(coverFilename) {
+  return coverFilename.split('_')[1];
+}
+
+// Настройки копий обложек
+function getRenditionSettings() {
+  return config.rss.youtube.renditions || {};
+}
+
+// Цвет из строки '#rrggbb' для sharp
+function parseColor(value, fallback) {
+  const match = /^#?([0-9a-f]{6})$/i.exec(String(value || ''));
+  if (!match) return fallback;
+
+  const number = parseInt(match[1], 16);
+  return { r: number >> 16, g: (number >> 8) & 255, b: number & 255, alpha: 1 };
+}
+
+// Кодирование в нужный формат
+function encodeImage(image, format) {
+  const quality = config.rss.youtube.renditions?.quality?.[format] || RENDITION_FORMATS[format].quality;
+  return image.toFormat(format, { quality }).toBuffer();
+}
+
+// Приведение изображения к квадрату size×size
+// Режимы (rss.youtube.cropMode):
+//   'crop' - обрезка по центру, 'attention' / 'entropy' - умная обрезка по самой заметной / детальной части,
+//   'background' - картинка целиком на фоне (цвет или размытая копия картинки, rss.youtube.coverBackground)
+export async function cropToSquare(imageBuffer, size = 3000, format = 'jpeg') {
+  try {
+    const image = sharp(imageBuffer).rotate();
+    const metadata = await image.metadata();
+    
+    // metadata() возвращает размеры до поворота по EXIF: при orientation 5-8 ширина и высота меняются местами
+    const rotated = (metadata.orientation || 1) >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+    
+    // Если изображение уже квадратное и нужного размера
+    if (width === height && width === size) {
+      return await encodeImage(image, format);
+    }
+    
+    // Определяем режим обрезки
+    const cropMode = config.rss.youtube.cropMode || 'crop';
+    
+    if (cropMode === 'crop') {
+      // Режим обрезки: обрезаем до квадрата по центру
+      const minSize = Math.min(width, height);
+      const left = Math.floor((width - minSize) / 2);
+      const top = Math.floor((height - minSize) / 2);
+      
+      return await encodeImage(image
+        .extract({ left, top, width: minSize, height: minSize })
+        .resize(size, size, { fit: 'fill' }), format);
+    }
+    
+    if (cropMode === 'attention' || cropMode === 'entropy') {
+      // Умная обрезка: sharp выбирает область с лицами и яркими деталями или с наибольшей детализацией
+      return await encodeImage(image.resize(size, size, { fit: 'cover', position: sharp.strategy[cropMode] }), format);
+    }
+    
+    // Режим background: сохраняем пропорции, добавляем фон
+    const background = config.rss.youtube.coverBackground || '#ffffff';
+    const contained = await image
+      .resize(size, size, { fit: 'inside' })
+      .toBuffer({ resolveWithObject: true });
+    
+    let canvas;
+    if (background === 'blur') {
+      // Фон - та же картинка, растянутая на весь квадрат и размытая
+      canvas = sharp(await sharp(imageBuffer).rotate()
+        .resize(size, size, { fit: 'cover' })
+        .blur(Math.max(size / 60, 1))
+        .modulate({ brightness: 0.8 })
+        .toBuffer());
+    } else {
+      canvas = sharp({
+        create: { width: size, height: size, channels: 3, background: parseColor(background, { r: 255, g: 255, b: 255, alpha: 1 }) },
+      });
+    }
+    
+    return await encodeImage(canvas.composite([{
+      input: contained.data,
+      left: Math.floor((size - contained.info.width) / 2),
+      top: Math.floor((size - contained.info.height) / 2),
+    }]), format);
+  } catch (error) {
+    throw new Error(`Ошибка обрезки изображения: ${error.message}`);
+  }
+}
+
+// Имя файла обложки канала в кэше (по адресу исходной картинки)
+export function getChannelCoverFilename(channelImage) {
+  return getCacheFilename('channel', channelImage);
+}
+
+// Настройки заглушки
+function getPlaceholderSettings() {
+  return config.rss.youtube.placeholder || {};
+}
+
+// Картинка рядом с треком или в его папке: сначала "<трек>.jpg", затем "cover.jpg", "folder.png" и т.д.
+async function findImageFile(entry) {
+  const dir = path.dirname(entry.file.path);
+  const trackName = path.parse(entry.file.filename).name.toLowerCase();
+  const folderNames = (config.rss.youtube.folderCoverNames || []).map((name) => name.toLowerCase());
+
+  let images;
+  try {
+    images = (await fs.readdir(dir))
+      .filter((name) => IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+      .map((name) => ({ name, base: path.parse(name).name.toLowerCase() }));
+  } catch (e) {
+    return null;
+  }
+
+  const sidecar = images.find((image) => image.base === trackName);
+  if (sidecar) {
+    return { source: 'sidecar', filePath: path.join(dir, sidecar.name) };
+  }
+
+  for (const folderName of folderNames) {
+    const image = images.find((i) => i.base === folderName);
+    if (image) {
+      return { source: 'folder', filePath: path.join(dir, image.name) };
+    }
+  }
+
+  return null;
+}
+
+// Название и артист трека для заглушки (как в фиде: правки, теги, путь к файлу)
+function getCoverText(entry) {
+  const override = entry.track ? getOverride(entry.track.id) : {};
+  return {
+    title: override.title || entry.metadata?.common?.title || entry.info?.title || entry.file.filename,
+    artist: override.artist || entry.metadata?.common?.artist || entry.info?.artist || '',
+  };
+}
+
+// Перенос текста по словам (примерно по ширине символов)
+function wrapText(text, maxChars, maxLines) {
+  const lines = [];
+  let line = '';
+
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    if (line && (line + ' ' + word).length > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] = `${lines[maxLines - 1].substring(0, maxChars - 1)}…`;
+  }
+  return lines.map((l) => (l.length > maxChars ? `${l.substring(0, maxChars - 1)}…` : l));
+}
+
+// Заглушка: название и артист поверх фона (цвет или градиент из двух цветов)
+async function renderPlaceholder({ title, artist }, size) {
+  const settings = getPlaceholderSettings();
+  const colors = [].concat(settings.background || '#1f1c2c');
+  const textColor = escapeHtml(settings.textColor || '#ffffff');
+  const fontFamily = escapeHtml(settings.fontFamily || 'sans-serif');
+
+  const titleSize = Math.round(size * 0.08);
+  const artistSize = Math.round(size * 0.05);
+  const titleLines = wrapText(title, Math.floor((size * 0.85) / (titleSize * 0.65)), 4);
+  const artistLines = artist ? wrapText(artist, Math.floor((size * 0.85) / (artistSize * 0.55)), 2) : [];
+
+  const lineHeight = (fontSize) => Math.round(fontSize * 1.25);
+  const textHeight = titleLines.length * lineHeight(titleSize) + (artistLines.length ? artistSize : 0) +
+    artistLines.length * lineHeight(artistSize);
+  let y = Math.round((size - textHeight) / 2);
+
+  const textElements = [];
+  for (const line of titleLines) {
+    y += lineHeight(titleSize);
+    textElements.push(`<text x="50%" y="${y}" font-size="${titleSize}" font-weight="bold">${escapeHtml(line)}</text>`);
+  }
+  y += artistSize;
+  for (const line of artistLines) {
+    y += lineHeight(artistSize);
+    textElements.push(`<text x="50%" y="${y}" font-size="${artistSize}" opacity="0.8">${escapeHtml(line)}</text>`);
+  }
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">
+    <defs>
+      <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+        <stop offset="0" stop-color="${escapeHtml(colors[0])}"/>
+        <stop offset="1" stop-color="${escapeHtml(colors[colors.length - 1])}"/>
+      </linearGradient>
+    </defs>
+    <rect width="100%" height="100%" fill="url(#bg)"/>
+    <g fill="${textColor}" font-family="${fontFamily}" text-anchor="middle">
+      ${textElements.join('\n      ')}
+    </g>
+  </svg>`;
+
+  return sharp(Buffer.from(svg)).jpeg({ quality: 90 }).toBuffer();
+}
+
+// Выбор обложки трека: загруженная в панели, из тегов (front cover), картинка рядом с треком,
+// картинка папки, заглушка. Возвращает { source, filename, load() } или null
+export async function resolveTrackCover(entry) {
+  const { file, stat, metadata } = entry;
+
+  const customCoverPath = entry.track ? getCustomCoverPath(entry.track.id) : null;
+  if (customCoverPath) {
+    return {
+      source: 'custom',
+      filename: getCacheFilename('track', `custom:${customCoverPath}`),
+      load: () => fs.readFile(customCoverPath),
+    };
+  }
+
+  const pictures = metadata?.common?.picture || [];
+  if (config.rss.youtube.extractCoversFromMP3 !== false && pictures.length > 0) {
+    const index = Math.max(pictures.findIndex((picture) => /front/i.test(picture.type || '')), 0);
+    if (pictures[index]?.data) {
+      // Для первой картинки ключ прежний, чтобы не пересоздавать уже готовые обложки
+      const coverKey = index === 0 ? `${file.path}:${stat.size}` : `${file.path}:${stat.size}:${index}`;
+      return {
+        source: 'embedded',
+        filename: getCacheFilename('track', coverKey),
+        load: async () => pictures[index].data,
+      };
+    }
+  }
+
+  const image = await findImageFile(entry);
+  if (image) {
+    const imageStat = await fs.stat(image.filePath);
+    return {
+      source: image.source,
+      filename: getCacheFilename('track', `image:${image.filePath}:${imageStat.size}:${imageStat.mtimeMs}`),
+      load: () => fs.readFile(image.filePath),
+    };
+  }
+
+  if (getPlaceholderSettings().enabled !== false) {
+    const text = getCoverText(entry);
+    const coverKey = `placeholder:${text.title}\n${text.artist}\n${JSON.stringify(getPlaceholderSettings())}`;
+    return {
+      source: 'placeholder',
+      filename: getCacheFilename('placeholder', coverKey),
+      load: () => renderPlaceholder(text, config.rss.youtube.coverSize),
+    };
+  }
+
+  return null;
+}
+
+// Удаление кэшированной обложки трека вместе с копиями других размеров и форматов
+export async function removeTrackCovers(entry) {
+  const cover = await resolveTrackCover(entry);
+  if (!cover) return;
+
+  const stem = cover.filename.replace(/\d+\.[a-z]+$/, '');
+  for (const filename of await fs.readdir(COVERS_CACHE_DIR)) {
+    if (filename.startsWith(stem)) {
+      await fs.unlink(path.join(COVERS_CACHE_DIR, filename)).catch(() => {});
+    }
+  }
+}
+
+// Исходная обложка для копий: обложка трека или уже обработанная обложка канала
+async function resolveRenditionSource(id, feedSlug) {
+  if (id !== 'channel') {
+    const entry = getLibraryEntryById(id);
+    return entry && !entry.error ? resolveTrackCover(entry) : null;
+  }
+
+  const feed = await getFeed(feedSlug || MAIN_FEED_SLUG);
+  if (!feed?.channel.channelImage) return null;
+
+  const filename = getChannelCoverFilename(feed.channel.channelImage);
+  const coverPath = path.join(COVERS_CACHE_DIR, filename);
+  try {
+    await fs.access(coverPath);
+  } catch (e) {
+    // Обложка канала еще не скачана (создается при сборке фида)
+    return null;
+  }
+
+  return { source: 'channel', filename, load: () => fs.readFile(coverPath) };
+}
+
+// Копия обложки нужного размера и формата: создается при первом запросе и хранится в кэше
+// id - идентификатор трека или 'channel' (обложка канала фида feedSlug)
+// Возвращает { filePath, mimeType, version } или null, если размер/формат не разрешен или обложки нет
+export async function getCoverRendition(id, size, format, feedSlug = MAIN_FEED_SLUG) {
+  const settings = getRenditionSettings();
+  if (!(settings.sizes || []).includes(size) || !(settings.formats || []).includes(format) || !RENDITION_FORMATS[format]) {
+    return null;
+  }
+
+  const source = await resolveRenditionSource(id, feedSlug);
+  if (!source) return null;
+
+  const filePath = path.join(COVERS_CACHE_DIR, getRenditionFilename(source.filename, size, format));
+  const rendition = { filePath, mimeType: RENDITION_FORMATS[format].mimeType, version: getCoverVersion(source.filename) };
+
+  try {
+    await fs.access(filePath);
+    return rendition;
+  } catch (e) {
+    // Копии еще нет, создаем
+  }
+
+  // Одновременные запросы одной копии ждут одну обработку
+  if (!renditionJobs.has(filePath)) {
+    renditionJobs.set(filePath, (async () => {
+      if (config.advanced.verboseLogging) {
+        console.log(`✂️  Создаем копию обложки ${path.basename(filePath)} (${source.source})`);
+      }
+      const image = await cropToSquare(await source.load(), size, format);
+      const tmpPath = `${filePath}.tmp`;
+      await fs.writeFile(tmpPath, image);
+      await fs.rename(tmpPath, filePath);
+    })().finally(() => renditionJobs.delete(filePath)));
+  }
+
+  await renditionJobs.get(filePath);
+  return rendition;
+}
+
+// Ссылка на копию обложки с версией (по ней копию можно кэшировать навсегда)
+export function getCoverRenditionUrl(baseUrl, id, coverFilename, size, format) {
+  const url = mediaUrl(baseUrl, `/covers/${encodeURIComponent(id)}/${size}.${format}`);
+  return `${url}${url.includes('?') ? '&' : '?'}v=${getCoverVersion(coverFilename)}`;
+}
+
+// Отметка об использовании обложки (время доступа - для вытеснения давно неиспользуемых)
+export async function touchCover(filename) {
+  const coverPath = path.join(COVERS_CACHE_DIR, path.basename(filename));
+  try {
+    const stat = await fs.stat(coverPath);
+    await fs.utimes(coverPath, new Date(), stat.mtime);
+  } catch (e) {
+    // Файла нет - нечего отмечать
+  }
+}
+
+// Имена обложек, на которые сейчас ссылаются фиды (треки библиотеки и обложки каналов)
+async function getLiveCovers() {
+  const live = new Set();
+
+  for (const entry of getLibraryEntries()) {
+    if (entry.error) continue;
+    try {
+      const cover = await resolveTrackCover(entry);
+      if (cover) live.add(cover.filename);
+    } catch (e) {
+      // Картинка удалена во время проверки
+    }
+  }
+
+  for (const feed of (await getFeeds()).values()) {
+    if (feed.channel.channelImage) {
+      live.add(getChannelCoverFilename(feed.channel.channelImage));
+    }
+  }
+
+  // Копии этих обложек для /covers (иначе очистка удаляла бы их, а запросы создавали заново)
+  const { sizes = [], formats = [] } = getRenditionSettings();
+  for (const filename of [...live]) {
+    for (const size of sizes) {
+      for (const format of formats.filter((f) => RENDITION_FORMATS[f])) {
+        live.add(getRenditionFilename(filename, size, format));
+      }
+    }
+  }
+
+  return live;
+}
+
+// Файлы в кэше: { filename, filePath, size, mtimeMs, atimeMs }
+async function listCacheFiles() {
+  const files = [];
+
+  for (const filename of await fs.readdir(COVERS_CACHE_DIR)) {
+    const filePath = path.join(COVERS_CACHE_DIR, filename);
+    try {
+      const stat = await fs.stat(filePath);
+      if (!stat.isFile()) continue;
+      files.push({ filename, filePath, size: stat.size, mtimeMs: stat.mtimeMs, atimeMs: stat.atimeMs });
+    } catch (e) {
+      // Файл удален во время обхода
+    }
+  }
+
+  return files;
+}
+
+// Очистка кэша обложек:
+// 1. Обложки удаленных треков и старых размеров вместе с их копиями /covers - если не запрашивались дольше cache.ttl
+// 2. Обложки старше advanced.maxCoverAge - удаляются и пересоздаются при пересборке фидов
+// 3. Если кэш больше cache.maxSizeMB - удаляются давно не использованные обложки, которых нет в фидах
+async function runCleanup() {
+  const now = Date.now();
+  const ttl = config.cache.ttl ?? 24 * 60 * 60 * 1000;
+  const maxAge = config.advanced.maxCoverAge ?? 7 * 24 * 60 * 60 * 1000;
+  const maxBytes = (config.cache.maxSizeMB || 500) * 1024 * 1024;
+
+  const live = await getLiveCovers();
+  const files = await listCacheFiles();
+  const result = { removed: 0, freedBytes: 0, orphaned: 0, expired: 0, evicted: 0 };
+
+  const remove = async (file, reason) => {
+    try {
+      await fs.unlink(file.filePath);
+    } catch (e) {
+      return false;
+    }
+
+    result.removed++;
+    result.freedBytes += file.size;
+    result[reason]++;
+
+    if (config.advanced.verboseLogging) {
+      console.log(`🧹 Удалена обложка из кэша (${reason}): ${file.filename}`);
+    }
+    return true;
+  };
+
+  const remaining = [];
+  for (const file of files) {
+    const isLive = live.has(file.filename);
+    const lastUsed = Math.max(file.atimeMs, file.mtimeMs);
+
+    if (!isLive && now - lastUsed > ttl) {
+      await remove(file, 'orphaned');
+    } else if (isLive && now - file.mtimeMs > maxAge) {
+      await remove(file, 'expired');
+    } else {
+      remaining.push({ ...file, isLive, lastUsed });
+    }
+  }
+
+  // Ограничение размера: сначала давно не использованные
+  let total = remaining.reduce((sum, file) => sum + file.size, 0);
+  remaining.sort((a, b) => a.lastUsed - b.lastUsed);
+
+  for (const file of remaining) {
+    if (total <= maxBytes) break;
+    if (file.isLive) continue;
+
+    if (await remove(file, 'evicted')) {
+      total -= file.size;
+    }
+  }
+
+  if (total > maxBytes) {
+    console.log(`⚠️  Обложки из фидов занимают ${(total / 1024 / 1024).toFixed(1)} МБ - больше лимита cache.maxSizeMB (${config.cache.maxSizeMB}). Увеличьте лимит или уменьшите coverSize`);
+  }
+
+  lastCleanup = {
+    at: new Date(now).toISOString(),
+    ...result,
+    files: files.length - result.removed,
+    sizeMB: Math.round((total / 1024 / 1024) * 10) / 10,
+  };
+
+  if (result.removed > 0 && config.advanced.verboseLogging) {
+    console.log(`🧹 Очистка кэша обложек: удалено ${result.removed}, освобождено ${(result.freedBytes / 1024 / 1024).toFixed(1)} МБ`);
+  }
+
+  // Устаревшие обложки из фидов пересоздаются при пересборке
+  if (result.expired > 0) {
+    for (const listener of expiredListeners) {
+      try {
+        listener();
+      } catch (error) {
+        console.error('❌ Ошибка обработчика очистки кэша обложек:', error);
+      }
+    }
+  }
+
+  return lastCleanup;
+}
+
+// Очистка кэша (параллельные вызовы объединяются)
+export function cleanupCoverCache() {
+  if (!cleanupRunning) {
+    cleanupRunning = runCleanup().finally(() => {
+      cleanupRunning = null;
+    });
+  }
+  return cleanupRunning;
+}
+
+// Результат последней очистки кэша или null (очистка отключена или еще не выполнялась)
+export function getLastCoverCleanup() {
+  return lastCleanup;
+}
+
+// Статистика кэша обложек (полный обход кэша и обложек библиотеки - только для /api/covers/stats)
+export async function getCoverCacheStats() {
+  const live = await getLiveCovers();
+  const files = await listCacheFiles();
+  const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+  const mtimes = files.map((file) => file.mtimeMs);
+
+  return {
+    files: files.length,
+    sizeBytes: totalBytes,
+    sizeMB: Math.round((totalBytes / 1024 / 1024) * 10) / 10,
+    maxSizeMB: config.cache.maxSizeMB,
+    used: files.filter((file) => live.has(file.filename)).length,
+    orphaned: files.filter((file) => !live.has(file.filename)).length,
+    oldest: files.length ? new Date(Math.min(...mtimes)).toISOString() : null,
+    newest: files.length ? new Date(Math.max(...mtimes)).toISOString() : null,
+    lastCleanup,
+  };
+}
+
+// Подписка на удаление устаревших обложек, которые используются в фидах
+export function onCoversExpired(listener) {
+  expiredListeners.add(listener);
+  return () => expiredListeners.delete(listener);
+}
+
+// Очистка при запуске и по расписанию
+export async function initCoverCache() {
+  if (!config.advanced.cleanupOldCovers) return;
+
+  try {
+    await cleanupCoverCache();
+  } catch (error) {
+    console.error('❌ Ошибка очистки кэша обложек:', error);
+  }
+
+  const interval = config.cache.cleanupInterval ?? 60 * 60 * 1000;
+  if (interval > 0) {
+    setInterval(() => {
+      cleanupCoverCache().catch((error) => {
+        console.error('❌ Ошибка очистки кэша обложек:', error);
+      });
+    }, interval).unref();
+  }
+}
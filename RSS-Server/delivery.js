@@ -0,0 +1,80 @@
+// delivery.js - Отдача готовых фидов: строгий ETag, условные запросы (304) и сжатие gzip/brotli
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { promisify } from 'util';
+
+import config from './config.js';
+
+// Меньше этого размера сжатие не окупается
+const MIN_COMPRESS_SIZE = 1024;
+
+// Поддерживаемые сжатия (в порядке предпочтения)
+const ENCODERS = {
+  br: promisify(zlib.brotliCompress),
+  gzip: promisify(zlib.gzip),
+};
+
+// Параметры сжатия: фиды сжимаются один раз, поэтому можно взять высокую степень
+const ENCODER_OPTIONS = {
+  br: { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 9, [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT } },
+  gzip: { level: 9 },
+};
+
+// Готовое тело ответа: { body, etag, encoded: кодировка -> промис сжатого тела }
+export function createCachedBody(text) {
+  const body = Buffer.from(text, 'utf8');
+  const hash = crypto.createHash('sha1').update(body).digest('base64url');
+
+  return { body, etag: hash, encoded: new Map() };
+}
+
+// Сжатое тело (сжимается при первом запросе и хранится вместе с телом)
+function getEncodedBody(cached, encoding) {
+  if (!cached.encoded.has(encoding)) {
+    const promise = ENCODERS[encoding](cached.body, ENCODER_OPTIONS[encoding]);
+    // Ошибка сжатия не должна остаться в кэше навсегда
+    promise.catch(() => cached.encoded.delete(encoding));
+    cached.encoded.set(encoding, promise);
+  }
+  return cached.encoded.get(encoding);
+}
+
+// Кодировка ответа по заголовку Accept-Encoding (или null - без сжатия)
+function chooseEncoding(req, cached) {
+  if (config.cache.compressFeeds === false || cached.body.length < MIN_COMPRESS_SIZE) {
+    return null;
+  }
+
+  const encoding = req.acceptsEncodings([...Object.keys(ENCODERS), 'identity']);
+  return ENCODERS[encoding] ? encoding : null;
+}
+
+// Отдача готового тела с учетом If-None-Match / If-Modified-Since
+// options - { contentType, lastModified (Date), maxAge (секунды) }
+export async function sendCachedBody(req, res, cached, { contentType, lastModified, maxAge }) {
+  const encoding = chooseEncoding(req, cached);
+
+  // У каждой кодировки свой строгий ETag: байты ответа разные
+  res.vary('Accept-Encoding');
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('ETag', `"${cached.etag}${encoding ? `-${encoding}` : ''}"`);
+  res.setHeader('Cache-Control', `public, max-age=${maxAge}`);
+  if (lastModified) {
+    res.setHeader('Last-Modified', lastModified.toUTCString());
+  }
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  const body = encoding ? await getEncodedBody(cached, encoding) : cached.body;
+  if (encoding) {
+    res.setHeader('Content-Encoding', encoding);
+  }
+  res.setHeader('Content-Length', body.length);
+
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+  res.end(body);
+}
@@ -0,0 +1,248 @@
+// feeds.js - Реестр фидов: основной, из конфига и автоматические по папкам
+import fs from 'fs/promises';
+
+import config from './config.js';
+
+const TRACKS_DIR = config.paths.tracksDir;
+
+// Slug основного фида (/rss.xml)
+export const MAIN_FEED_SLUG = 'main';
+
+// Преобразование имени в slug для адреса фида
+export function slugify(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Параметры запроса, которыми можно отфильтровать фид (/rss.xml?artist=...&since=30d)
+const QUERY_PARAMS = ['artist', 'album', 'genre', 'year', 'folder', 'since', 'minDuration', 'maxDuration', 'limit', 'sort', 'order'];
+
+// Поля сортировки и единицы относительного since (30d, 12h, 2w, 6m, 1y)
+const SORT_FIELDS = ['date', 'title', 'artist', 'duration'];
+const SINCE_UNITS = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000, m: 30 * 24 * 60 * 60 * 1000, y: 365 * 24 * 60 * 60 * 1000 };
+
+// Ошибка в параметрах фильтра (ответ 400)
+function queryError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Путь к фиду относительно baseUrl (filename - rss.xml, feed.json или atom.xml)
+// Для фида с фильтрами из запроса к пути добавляются его параметры
+export function getFeedPath(feed, filename = 'rss.xml') {
+  const feedPath = feed.slug === MAIN_FEED_SLUG ? `/${filename}` : `/feeds/${encodeURIComponent(feed.slug)}/${filename}`;
+  return feed.queryString ? `${feedPath}?${feed.queryString}` : feedPath;
+}
+
+// Ключ кэша фида: у каждой комбинации фильтров из запроса свой кэш
+export function getFeedCacheKey(feed) {
+  return feed.queryString ? `${feed.slug}?${feed.queryString}` : feed.slug;
+}
+
+// Создание описания фида: настройки канала берутся из config.rss и переопределяются полями фида
+function createFeed(slug, overrides = {}, filter = {}) {
+  const { slug: _slug, filter: _filter, ...channelOverrides } = overrides;
+
+  return {
+    slug,
+    channel: { ...config.rss, ...channelOverrides },
+    filter,
+  };
+}
+
+// Основной фид со всеми треками
+export function getMainFeed() {
+  return createFeed(MAIN_FEED_SLUG);
+}
+
+// Список всех фидов: slug -> фид
+export async function getFeeds() {
+  const feeds = new Map();
+  feeds.set(MAIN_FEED_SLUG, getMainFeed());
+
+  // Фиды из конфига
+  for (const definition of config.feeds?.list || []) {
+    const slug = slugify(definition.slug || definition.title || '');
+    if (!slug || feeds.has(slug)) {
+      console.log(`⚠️  Фид пропущен: пустой или повторяющийся slug "${definition.slug || definition.title}"`);
+      continue;
+    }
+    feeds.set(slug, createFeed(slug, definition, definition.filter));
+  }
+
+  // Автоматические фиды по папкам верхнего уровня
+  if (config.feeds?.autoFolders) {
+    try {
+      const entries = await fs.readdir(TRACKS_DIR, { withFileTypes: true });
+
+      for (const entry of entries) {
+        if (!entry.isDirectory() || entry.name.startsWith('.')) continue;
+
+        const slug = slugify(entry.name);
+        if (!slug || feeds.has(slug)) continue;
+
+        feeds.set(slug, createFeed(slug, {
+          title: `${config.rss.title} - ${entry.name}`,
+          ...config.feeds.folderDefaults,
+        }, { folder: entry.name }));
+      }
+    } catch (error) {
+      if (config.advanced.verboseLogging) {
+        console.error('❌ Ошибка чтения папки tracks:', error);
+      }
+    }
+  }
+
+  return feeds;
+}
+
+// Поиск фида по slug
+export async function getFeed(slug) {
+  const feeds = await getFeeds();
+  return feeds.get(slug) || null;
+}
+
+// Сравнение строк без учета регистра
+function sameText(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+// Лежит ли файл в папке (относительно tracks)
+function isInFolder(relativePath, folder) {
+  const prefix = folder.replace(/\/+$/, '');
+  return relativePath === prefix || relativePath.startsWith(`${prefix}/`);
+}
+
+// Подходит ли файл под фильтр папки (проверяется до чтения метаданных)
+export function matchesFolderFilter(feed, file) {
+  const folder = feed.filter?.folder;
+  if (!folder) return true;
+
+  return isInFolder(file.relativePath, folder);
+}
+
+// Подходит ли трек под фильтры артиста и альбома
+export function matchesTrackFilter(feed, { artist, album }) {
+  const filter = feed.filter || {};
+
+  if (filter.artist && !sameText(filter.artist, artist)) return false;
+  if (filter.album && !sameText(filter.album, album)) return false;
+
+  return true;
+}
+
+// Длительность из запроса: секунды или [H:]M:SS
+function parseDurationParam(name, value) {
+  const parts = value.split(':');
+  if (parts.length > 3 || !parts.every((part) => /^\d+$/.test(part))) {
+    throw queryError(`Некорректный ${name}: ${value} (секунды или M:SS)`);
+  }
+  return parts.reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+// Разбор одного параметра фильтра: каноничное значение (для ключа кэша) и значение для проверки
+function parseQueryParam(name, value) {
+  switch (name) {
+    case 'year': {
+      const match = /^(\d{4})(?:-(\d{4}))?$/.exec(value);
+      if (!match) throw queryError(`Некорректный year: ${value} (например 2020 или 2018-2020)`);
+      const from = Number(match[1]);
+      const to = Number(match[2] || match[1]);
+      return { canonical: from === to ? `${from}` : `${from}-${to}`, value: { from, to } };
+    }
+    case 'since': {
+      const relative = /^(\d+)([hdwmy])$/.exec(value);
+      if (relative) {
+        return { canonical: value, value: { ago: Number(relative[1]) * SINCE_UNITS[relative[2]] } };
+      }
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) throw queryError(`Некорректный since: ${value} (дата или 30d, 12h, 2w, 6m, 1y)`);
+      return { canonical: date.toISOString(), value: { date } };
+    }
+    case 'minDuration':
+    case 'maxDuration': {
+      const seconds = parseDurationParam(name, value);
+      return { canonical: `${seconds}`, value: seconds };
+    }
+    case 'limit': {
+      if (!/^[1-9]\d{0,5}$/.test(value)) throw queryError(`Некорректный limit: ${value}`);
+      return { canonical: value, value: Number(value) };
+    }
+    case 'sort':
+      if (!SORT_FIELDS.includes(value)) throw queryError(`Некорректный sort: ${value} (${SORT_FIELDS.join(', ')})`);
+      return { canonical: value, value };
+    case 'order':
+      if (value !== 'asc' && value !== 'desc') throw queryError(`Некорректный order: ${value} (asc или desc)`);
+      return { canonical: value, value };
+    default:
+      // Текстовые фильтры: artist, album, genre, folder
+      return { canonical: value, value };
+  }
+}
+
+// Фид с фильтрами из параметров запроса (без параметров возвращается сам фид)
+// Некорректные значения - ошибка со status 400
+export function applyFeedQuery(feed, params) {
+  const query = {};
+  const canonical = new URLSearchParams();
+
+  for (const name of QUERY_PARAMS) {
+    // Повторенный параметр - берем последнее значение
+    const raw = [].concat(params[name] ?? []).pop();
+    const value = typeof raw === 'string' ? raw.trim() : '';
+    if (!value) continue;
+
+    const parsed = parseQueryParam(name, value);
+    query[name] = parsed.value;
+    canonical.set(name, parsed.canonical);
+  }
+
+  if (canonical.size === 0) return feed;
+  return { ...feed, query, queryString: canonical.toString() };
+}
+
+// Подходит ли трек под фильтры из запроса
+// track - { artist, album, genres, year, relativePath, duration (с), date (дата публикации) }
+export function matchesFeedQuery(feed, track, now = Date.now()) {
+  const query = feed.query;
+  if (!query) return true;
+
+  if (query.artist && !sameText(query.artist, track.artist)) return false;
+  if (query.album && !sameText(query.album, track.album)) return false;
+  if (query.genre && !(track.genres || []).some((genre) => sameText(query.genre, genre))) return false;
+  if (query.folder && !isInFolder(track.relativePath, query.folder)) return false;
+  if (query.year && !(track.year >= query.year.from && track.year <= query.year.to)) return false;
+
+  if (query.since) {
+    const since = query.since.date ? query.since.date.getTime() : now - query.since.ago;
+    if (!(track.date?.getTime() >= since)) return false;
+  }
+
+  if (query.minDuration !== undefined && !(track.duration >= query.minDuration)) return false;
+  if (query.maxDuration !== undefined && !(track.duration <= query.maxDuration)) return false;
+
+  return true;
+}
+
+// Порядок и количество треков по параметрам sort, order и limit
+// getValues(item) - { date, title, artist, duration } для сортировки
+// По умолчанию - по дате публикации, новые сверху
+export function sortFeedItems(feed, items, getValues) {
+  const query = feed.query || {};
+  const field = query.sort || 'date';
+  const direction = (query.order || (field === 'date' || field === 'duration' ? 'desc' : 'asc')) === 'asc' ? 1 : -1;
+
+  const sorted = [...items].sort((a, b) => {
+    const valueA = getValues(a)[field];
+    const valueB = getValues(b)[field];
+    if (typeof valueA === 'string' || typeof valueB === 'string') {
+      return direction * String(valueA ?? '').localeCompare(String(valueB ?? ''), undefined, { sensitivity: 'base', numeric: true });
+    }
+    return direction * ((valueA ?? 0) - (valueB ?? 0));
+  });
+
+  return query.limit ? sorted.slice(0, query.limit) : sorted;
+}
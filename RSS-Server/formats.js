@@ -0,0 +1,32 @@
+// formats.js - MIME-типы аудиофайлов и совместимость форматов с YouTube
+import path from 'path';
+
+import config from './config.js';
+
+// MIME-типы по расширению (используются, если контейнер не удалось определить)
+export const MIME_TYPES_BY_EXTENSION = {
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/x-m4a',
+  '.flac': 'audio/flac',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+};
+
+// Определение MIME-типа по контейнеру, который нашел music-metadata
+export function getAudioMimeType(metadata, filePath) {
+  const container = (metadata.format?.container || '').toLowerCase();
+  
+  if (container === 'mpeg') return 'audio/mpeg';
+  if (container === 'flac') return 'audio/flac';
+  if (container === 'wave') return 'audio/wav';
+  if (container === 'ogg') return 'audio/ogg';
+  if (/m4a|m4b|mp4|mp42|isom|3gp/.test(container)) return 'audio/x-m4a';
+  
+  return MIME_TYPES_BY_EXTENSION[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+// Принимает ли YouTube этот формат
+export function isCompatibleType(mimeType) {
+  const compatibleTypes = config.rss.youtube.compatibleTypes || ['audio/mpeg', 'audio/x-m4a'];
+  return compatibleTypes.includes(mimeType);
+}
@@ -0,0 +1,85 @@
+// html.js - Экранирование текста для вставки в HTML (страницы панели, описания выпусков, SVG-заглушки)
+// и очистка HTML из Markdown по белому списку тегов
+
+// Экранирование текста для вставки в HTML
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Разрешенные теги и их атрибуты (остальные теги убираются, текст внутри них остается)
+const ALLOWED_TAGS = {
+  a: ['href', 'title'],
+  img: ['src', 'alt', 'title'],
+  ol: ['start'],
+  th: ['align'],
+  td: ['align'],
+  ...Object.fromEntries([
+    'p', 'br', 'hr', 'strong', 'b', 'em', 'i', 'del', 's', 'code', 'pre', 'blockquote', 'ul', 'li',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'table', 'thead', 'tbody', 'tr',
+  ].map((tag) => [tag, []])),
+};
+
+// Атрибуты со ссылками: допускаются только http(s) и mailto
+const URL_ATTRIBUTES = ['href', 'src'];
+const SAFE_URL_PATTERN = /^(https?|mailto):/i;
+
+// Комментарии и теги, которые удаляются вместе с содержимым (незакрытый - до конца текста)
+const DROPPED_PATTERN = /<!--[\s\S]*?(?:-->|$)|<(script|style|iframe|object|embed|noscript|textarea|template|title)\b[\s\S]*?(?:<\/\1\s*>|$)/gi;
+
+// Тег с атрибутами или одиночные < и > (они экранируются)
+const TAG_PATTERN = /<(\/?)([a-z][a-z0-9]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>|[<>]/gi;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+// Символ по коду из сущности (&#...;), для несуществующих кодов - знак замены
+function fromCodePoint(code) {
+  return code <= 0x10ffff ? String.fromCodePoint(code) : '\uFFFD';
+}
+
+// Значение атрибута без HTML-сущностей (&#58; и т.п. не должны скрыть javascript: в ссылке)
+function decodeEntities(value) {
+  return value
+    .replace(/&#x([0-9a-f]+);?/gi, (match, hex) => fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);?/g, (match, code) => fromCodePoint(Number(code)))
+    .replace(/&colon;/gi, ':')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+// Разрешенный тег с разрешенными атрибутами (значения заново экранируются) или пустая строка
+function renderAllowedTag(closing, name, attributes) {
+  const tag = name.toLowerCase();
+  if (!Object.hasOwn(ALLOWED_TAGS, tag)) return '';
+  if (closing) return `</${tag}>`;
+
+  let result = `<${tag}`;
+  for (const [, rawName, ...values] of attributes.matchAll(ATTRIBUTE_PATTERN)) {
+    const attribute = rawName.toLowerCase();
+    if (!ALLOWED_TAGS[tag].includes(attribute)) continue;
+
+    const value = decodeEntities(values.find((v) => v !== undefined) ?? '');
+    // Пробелы и управляющие символы внутри схемы браузеры пропускают ("java\tscript:")
+    if (URL_ATTRIBUTES.includes(attribute) && !SAFE_URL_PATTERN.test(value.replace(/[\s\u0000-\u001f]+/g, ''))) continue;
+
+    result += ` ${attribute}="${escapeHtml(value)}"`;
+  }
+  return `${result}>`;
+}
+
+// Очистка HTML по белому списку: теги и атрибуты не из списка, скрипты, стили и комментарии удаляются,
+// ссылки - только http(s) и mailto. Для HTML из Markdown (заметки файлов-спутников), который попадает в content:encoded
+export function sanitizeHtml(html) {
+  return String(html ?? '')
+    .replace(DROPPED_PATTERN, '')
+    .replace(TAG_PATTERN, (match, closing, name, attributes) => {
+      if (match === '<') return '&lt;';
+      if (match === '>') return '&gt;';
+      return renderAllowedTag(closing, name, attributes);
+    });
+}
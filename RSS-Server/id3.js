@@ -0,0 +1,100 @@
+// id3.js - Чтение фреймов ID3v2, которые music-metadata не разбирает или разбирает не полностью (CHAP, SYLT)
+import fs from 'fs/promises';
+
+// Размер в 4 байтах syncsafe (по 7 бит) - заголовки ID3v2.4
+function readSyncsafe(buffer, offset) {
+  return ((buffer[offset] & 0x7f) << 21) | ((buffer[offset + 1] & 0x7f) << 14) |
+    ((buffer[offset + 2] & 0x7f) << 7) | (buffer[offset + 3] & 0x7f);
+}
+
+// Строка в кодировке ID3 (0 - latin1, 1 - UTF-16 с BOM, 2 - UTF-16BE, 3 - UTF-8)
+export function decodeId3String(data, encoding) {
+  let text;
+
+  if (encoding === 1) {
+    text = data[0] === 0xfe && data[1] === 0xff
+      ? Buffer.from(data.subarray(2, data.length - (data.length % 2))).swap16().toString('utf16le')
+      : data.subarray(data[0] === 0xff && data[1] === 0xfe ? 2 : 0).toString('utf16le');
+  } else if (encoding === 2) {
+    text = Buffer.from(data.subarray(0, data.length - (data.length % 2))).swap16().toString('utf16le');
+  } else {
+    text = data.toString(encoding === 3 ? 'utf8' : 'latin1');
+  }
+
+  return text.replace(/\0+$/, '');
+}
+
+// Текст фрейма с байтом кодировки в начале (TIT2 и другие T***)
+export function decodeId3Text(data) {
+  return decodeId3String(data.subarray(1), data[0]);
+}
+
+// Конец строки, завершенной нулем (в UTF-16 - двумя нулями по четному смещению): индекс нуля или длина
+export function findId3Terminator(data, offset, encoding) {
+  if (encoding === 1 || encoding === 2) {
+    for (let i = offset; i + 1 < data.length; i += 2) {
+      if (data[i] === 0 && data[i + 1] === 0) return i;
+    }
+    return data.length;
+  }
+
+  const index = data.indexOf(0, offset);
+  return index < 0 ? data.length : index;
+}
+
+// Длина завершающего нуля строки
+export function getId3TerminatorLength(encoding) {
+  return encoding === 1 || encoding === 2 ? 2 : 1;
+}
+
+// Фреймы ID3v2 из буфера (тег или подфреймы CHAP): [{ id, data }]
+export function parseId3Frames(buffer, major) {
+  const frames = [];
+  let offset = 0;
+
+  while (offset + 10 <= buffer.length) {
+    const id = buffer.toString('latin1', offset, offset + 4);
+    if (!/^[A-Z0-9]{4}$/.test(id)) break; // Дальше заполнитель (padding)
+
+    const size = major === 4 ? readSyncsafe(buffer, offset + 4) : buffer.readUInt32BE(offset + 4);
+    const formatFlags = buffer[offset + 9];
+    const data = buffer.subarray(offset + 10, offset + 10 + size);
+    offset += 10 + size;
+
+    // Сжатые и зашифрованные фреймы не читаем
+    if (formatFlags & 0x0f && major === 4) continue;
+    if (formatFlags & 0xc0 && major === 3) continue;
+
+    frames.push({ id, data });
+  }
+
+  return frames;
+}
+
+// ID3v2-тег в начале файла: { major, frames } или null (нет тега или версия не поддерживается)
+export async function readId3Tag(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const header = Buffer.alloc(10);
+    await handle.read(header, 0, 10, 0);
+    if (header.toString('latin1', 0, 3) !== 'ID3') return null;
+
+    const major = header[3];
+    const flags = header[5];
+    // Только ID3v2.3 и 2.4 без unsynchronisation для всего тега
+    if ((major !== 3 && major !== 4) || flags & 0x80) return null;
+
+    const tag = Buffer.alloc(readSyncsafe(header, 6));
+    await handle.read(tag, 0, tag.length, 10);
+
+    // Расширенный заголовок
+    let offset = 0;
+    if (flags & 0x40) {
+      offset = major === 4 ? readSyncsafe(tag, 0) : tag.readUInt32BE(0) + 4;
+    }
+
+    return { major, frames: parseId3Frames(tag.subarray(offset), major) };
+  } finally {
+    await handle.close();
+  }
+}
@@ -0,0 +1,532 @@
+// library.js - Сканирование папки с треками, индекс библиотеки и отслеживание изменений
+import fs from 'fs/promises';
+import { watch } from 'fs';
+import path from 'path';
+import { parseFile } from 'music-metadata';
+
+import config from './config.js';
+import { resolveTrack, finishInitialImport } from './registry.js';
+import { readSidecar, getSidecarSignature } from './sidecars.js';
+import { readId3Tag } from './id3.js';
+import { readChapters, getChapterFileSignature } from './chapters.js';
+import { readTranscript, getTranscriptFileSignature } from './transcripts.js';
+
+const TRACKS_DIR = config.paths.tracksDir;
+
+// Индекс библиотеки: относительный путь -> { file, stat, sidecar, metadata, chapters, transcript, track, info }
+// или { file, stat, sidecar, error }
+// sidecar - данные файлов-спутников (sidecars.js): { signature, files, data, errors } или null
+// chapters - главы трека (chapters.js): { source, signature, chapters, error } или null
+// transcript - текст или субтитры трека (transcripts.js): { source, signature, cues или text, error } или null
+const libraryIndex = new Map();
+
+// Записи индекса по id трека (только прочитанные файлы): id -> запись libraryIndex
+const entriesById = new Map();
+
+// Номер версии индекса (увеличивается при каждом изменении)
+let libraryVersion = 0;
+
+// Подписчики на изменения библиотеки
+const changeListeners = new Set();
+
+// Очередь пересканирований (чтобы они не шли параллельно)
+let syncQueue = Promise.resolve();
+
+// Таймер отложенного пересканирования
+let rescanTimer = null;
+
+// Пути из событий fs.watch с прошлого пересканирования (null - нужна полная сверка)
+let pendingPaths = new Set();
+
+// С прошлого сканирования менялись картинки рядом с треками (обложки папок и треков)
+let imagesChanged = false;
+
+// Поддерживаемые аудиоформаты
+const AUDIO_FILE_PATTERN = /\.(mp3|m4a|flac|wav|ogg)$/i;
+
+// Картинки, которые могут быть обложками
+const IMAGE_FILE_PATTERN = /\.(jpe?g|png|webp)$/i;
+
+// Поля шаблона folderPattern, которые содержат только цифры
+const NUMERIC_FIELDS = ['track', 'disc', 'year'];
+
+// Преобразование glob-шаблона в регулярное выражение
+// Поддерживаются: **, *, ?, {a,b}
+function globToRegExp(glob) {
+  let regex = '';
+  let inGroup = false;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        // '**/' - любое количество папок (в том числе ноль)
+        if (glob[i + 2] === '/') {
+          regex += '(?:.*/)?';
+          i += 2;
+        } else {
+          regex += '.*';
+          i += 1;
+        }
+      } else {
+        regex += '[^/]*';
+      }
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else if (char === '{') {
+      regex += '(?:';
+      inGroup = true;
+    } else if (char === '}' && inGroup) {
+      regex += ')';
+      inGroup = false;
+    } else if (char === ',' && inGroup) {
+      regex += '|';
+    } else {
+      regex += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${regex}$`, 'i');
+}
+
+// Компиляция списка шаблонов в функцию проверки
+// Шаблон без '/' проверяется по имени файла/папки на любой глубине (как в .gitignore)
+function compilePatterns(patterns) {
+  const compiled = (patterns || []).map((pattern) => ({
+    regex: globToRegExp(pattern),
+    matchBaseName: !pattern.includes('/'),
+  }));
+
+  return (relativePath) => compiled.some(({ regex, matchBaseName }) =>
+    regex.test(matchBaseName ? path.posix.basename(relativePath) : relativePath)
+  );
+}
+
+const scanSettings = config.fileParsing;
+const isIncluded = compilePatterns(scanSettings.include);
+const isExcluded = compilePatterns(scanSettings.exclude);
+
+// Относительный путь с прямыми слешами (для шаблонов)
+function toPosix(relativePath) {
+  return relativePath.split(path.sep).join('/');
+}
+
+// Обход папки (recursive - со вложенными папками)
+async function walk(dir, depth, visited, files, recursive = true) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (config.advanced.verboseLogging) {
+      console.error(`❌ Ошибка чтения папки ${dir}:`, error.message);
+    }
+    return;
+  }
+
+  for (const entry of entries) {
+    if (scanSettings.skipHidden !== false && entry.name.startsWith('.')) {
+      continue;
+    }
+
+    const entryPath = path.join(dir, entry.name);
+    const relativePath = toPosix(path.relative(TRACKS_DIR, entryPath));
+
+    let isDirectory = entry.isDirectory();
+    let isFile = entry.isFile();
+
+    if (entry.isSymbolicLink()) {
+      if (!scanSettings.followSymlinks) continue;
+
+      try {
+        const stat = await fs.stat(entryPath);
+        isDirectory = stat.isDirectory();
+        isFile = stat.isFile();
+      } catch (e) {
+        // Битая ссылка
+        continue;
+      }
+    }
+
+    if (isDirectory) {
+      if (!recursive) continue;
+      if (isExcluded(relativePath) || isExcluded(`${relativePath}/`)) continue;
+
+      const maxDepth = scanSettings.maxDepth ?? Infinity;
+      if (depth >= maxDepth) continue;
+
+      // Защита от циклов через символические ссылки
+      const realPath = await fs.realpath(entryPath);
+      if (visited.has(realPath)) continue;
+      visited.add(realPath);
+
+      await walk(entryPath, depth + 1, visited, files);
+    } else if (isFile && AUDIO_FILE_PATTERN.test(entry.name)) {
+      if (isExcluded(relativePath)) continue;
+      if (scanSettings.include?.length && !isIncluded(relativePath)) continue;
+
+      const folder = path.relative(TRACKS_DIR, dir);
+      files.push({
+        path: entryPath,
+        folder,
+        filename: entry.name,
+        relativePath,
+      });
+    }
+  }
+}
+
+// Поиск аудиофайлов (рекурсивно, с учетом глубины и шаблонов include/exclude)
+export async function findAudioFiles() {
+  const files = [];
+  const visited = new Set();
+
+  try {
+    visited.add(await fs.realpath(TRACKS_DIR));
+    await walk(TRACKS_DIR, 0, visited, files);
+  } catch (error) {
+    if (config.advanced.verboseLogging) {
+      console.error('❌ Ошибка чтения папки tracks:', error);
+    }
+  }
+
+  return files;
+}
+
+// Папка с файлом (относительный путь, '' - сама папка tracks)
+function getParentDir(relativePath) {
+  const parent = path.posix.dirname(relativePath);
+  return parent === '.' ? '' : parent;
+}
+
+// Попадает ли папка в полный обход: глубина, скрытые папки и шаблоны exclude
+function isDirScannable(dir) {
+  const parts = dir ? dir.split('/') : [];
+  if (parts.length > (scanSettings.maxDepth ?? Infinity)) return false;
+
+  return parts.every((part, index) => {
+    const prefix = parts.slice(0, index + 1).join('/');
+    return !(scanSettings.skipHidden !== false && part.startsWith('.')) &&
+      !isExcluded(prefix) && !isExcluded(`${prefix}/`);
+  });
+}
+
+// Области пересканирования для пути из события fs.watch: [{ dir, recursive }]
+// Папка пересканируется целиком, у файла - только его папка без вложенных,
+// у удаленного пути удаляются записи под ним и проверяется его папка (там могли быть файлы-спутники)
+async function getRescanScopes(relativePath) {
+  const parentScope = { dir: getParentDir(relativePath), recursive: false };
+
+  let stat;
+  try {
+    stat = await fs.lstat(path.join(TRACKS_DIR, relativePath));
+    if (stat.isSymbolicLink() && scanSettings.followSymlinks) {
+      stat = await fs.stat(path.join(TRACKS_DIR, relativePath));
+    }
+  } catch (e) {
+    return [{ dir: relativePath, recursive: true }, parentScope];
+  }
+
+  return stat.isDirectory() ? [{ dir: relativePath, recursive: true }] : [parentScope];
+}
+
+// Входит ли файл в область пересканирования
+function isInScope(relativePath, { dir, recursive }) {
+  if (recursive) {
+    return !dir || relativePath === dir || relativePath.startsWith(`${dir}/`);
+  }
+  return getParentDir(relativePath) === dir;
+}
+
+// Поиск аудиофайлов только в областях пересканирования (без повторов)
+async function findAudioFilesInScopes(scopes) {
+  const files = new Map();
+
+  for (const { dir, recursive } of scopes) {
+    if (!isDirScannable(dir)) continue;
+
+    const dirPath = path.join(TRACKS_DIR, dir);
+    const found = [];
+    try {
+      if (!(await fs.stat(dirPath)).isDirectory()) continue;
+      await walk(dirPath, dir ? dir.split('/').length : 0, new Set([await fs.realpath(dirPath)]), found, recursive);
+    } catch (e) {
+      // Папка удалена во время сканирования
+      continue;
+    }
+
+    for (const file of found) {
+      files.set(file.relativePath, file);
+    }
+  }
+
+  return [...files.values()];
+}
+
+// Сборка регулярного выражения из шаблона вида '{artist}/{album}/{track} - {title}'
+function compileFolderPattern(template) {
+  const fields = [];
+  let regex = '';
+  let lastIndex = 0;
+
+  for (const match of template.matchAll(/\{(\w+)\}/g)) {
+    regex += template.substring(lastIndex, match.index).replace(/[.*+?^$()|[\]\\{}]/g, '\\$&');
+    regex += NUMERIC_FIELDS.includes(match[1]) ? '(\\d+)' : '([^/]+?)';
+    fields.push(match[1]);
+    lastIndex = match.index + match[0].length;
+  }
+  regex += template.substring(lastIndex).replace(/[.*+?^$()|[\]\\{}]/g, '\\$&');
+
+  // Шаблон сопоставляется с концом пути, поэтому файл может лежать глубже
+  return { regex: new RegExp(`(?:^|/)${regex}$`), fields, isSingleSegment: !template.includes('/') };
+}
+
+const folderPattern = scanSettings.folderPattern ? compileFolderPattern(scanSettings.folderPattern) : null;
+
+// Парсинг информации из относительного пути файла по шаблону folderPattern
+// Шаблон без '/' проверяется сначала по имени папки (как раньше), затем по имени файла
+// Если шаблон не подошел - артист и название берутся из имени папки через separator
+export function parseTrackInfo(relativePath) {
+  const separator = scanSettings.separator;
+  const posixPath = toPosix(relativePath);
+  const parsed = path.posix.parse(posixPath);
+
+  const info = {
+    artist: config.rss.author,
+    title: parsed.name,
+    album: '',
+    track: null,
+    disc: null,
+    year: null,
+  };
+
+  const folderName = path.posix.basename(parsed.dir);
+  const candidates = folderPattern?.isSingleSegment
+    ? [folderName, parsed.name]
+    : [path.posix.join(parsed.dir, parsed.name)];
+
+  const match = folderPattern && candidates
+    .map((candidate) => candidate.match(folderPattern.regex))
+    .find(Boolean);
+
+  if (match) {
+    folderPattern.fields.forEach((field, index) => {
+      const value = match[index + 1].trim();
+      info[field] = NUMERIC_FIELDS.includes(field) ? parseInt(value, 10) : value;
+    });
+    return info;
+  }
+
+  const folderParts = folderName.split(separator);
+  if (folderParts.length >= 2) {
+    info.artist = folderParts[0].trim();
+    info.title = folderParts.slice(1).join(separator).trim();
+  }
+
+  return info;
+}
+
+// Чтение метаданных и регистрация трека
+async function indexFile(file, stat) {
+  const sidecar = await readSidecar(file.path);
+
+  try {
+    // includeChapters - главы MP4; CHAP и SYLT из ID3 music-metadata не разбирает, они читаются отдельно
+    const metadata = await parseFile(file.path, { includeChapters: true });
+    const id3Tag = await readId3Tag(file.path);
+    const chapters = await readChapters(file.path, metadata, id3Tag);
+    const transcript = await readTranscript(file.path, metadata, id3Tag);
+    const track = await resolveTrack(file.path, stat);
+    return { file, stat, sidecar, metadata, chapters, transcript, track, info: parseTrackInfo(file.relativePath) };
+  } catch (error) {
+    if (config.advanced.verboseLogging) {
+      console.log(`⚠️  Пропускаем файл ${file.filename}: ${error.message}`);
+    }
+    return { file, stat, sidecar, error: error.message };
+  }
+}
+
+// Сверка индекса с содержимым папки: метаданные читаются только у новых и измененных файлов
+// changedPaths - пути из событий fs.watch: сверяются только затронутые папки (без него - вся библиотека)
+async function syncIndex(changedPaths) {
+  const scopes = changedPaths ? (await Promise.all(changedPaths.map(getRescanScopes))).flat() : null;
+  const files = scopes ? await findAudioFilesInScopes(scopes) : await findAudioFiles();
+  const seen = new Set();
+  const changes = { added: [], changed: [], removed: [] };
+
+  for (const file of files) {
+    let stat;
+    try {
+      stat = await fs.stat(file.path);
+    } catch (e) {
+      // Файл удален во время сканирования
+      continue;
+    }
+    seen.add(file.relativePath);
+
+    const sidecarSignature = await getSidecarSignature(file.path);
+    const chapterSignature = await getChapterFileSignature(file.path);
+    const transcriptSignature = await getTranscriptFileSignature(file.path);
+    const existing = libraryIndex.get(file.relativePath);
+    if (existing && existing.stat.size === stat.size && existing.stat.mtimeMs === stat.mtimeMs &&
+      (existing.sidecar?.signature ?? null) === sidecarSignature &&
+      // У нечитаемого файла нет ни глав, ни текста - файлы с ними для него не важны
+      (existing.error || ((existing.chapters?.signature ?? null) === chapterSignature &&
+        (existing.transcript?.signature ?? null) === transcriptSignature))) {
+      continue;
+    }
+
+    setIndexEntry(file.relativePath, await indexFile(file, stat));
+    (existing ? changes.changed : changes.added).push(file.relativePath);
+  }
+
+  for (const relativePath of [...libraryIndex.keys()]) {
+    if (!seen.has(relativePath) && (!scopes || scopes.some((scope) => isInScope(relativePath, scope)))) {
+      setIndexEntry(relativePath, null);
+      changes.removed.push(relativePath);
+    }
+  }
+
+  // Изменение обложки в папке не меняет треки, но фиды нужно пересобрать
+  changes.images = imagesChanged;
+  imagesChanged = false;
+
+  const total = changes.added.length + changes.changed.length + changes.removed.length;
+  if (total > 0 || changes.images) {
+    libraryVersion++;
+
+    if (config.advanced.verboseLogging) {
+      console.log(`📚 Библиотека обновлена: +${changes.added.length} ~${changes.changed.length} -${changes.removed.length}${changes.images ? ', изменены обложки' : ''}`);
+    }
+
+    for (const listener of changeListeners) {
+      try {
+        listener(changes);
+      } catch (error) {
+        console.error('❌ Ошибка обработчика изменений библиотеки:', error);
+      }
+    }
+  }
+
+  return changes;
+}
+
+// Пересканирование библиотеки (вызовы выполняются по очереди)
+// changedPaths - относительные пути измененных файлов и папок (без него - полная сверка)
+export function rescanLibrary(changedPaths) {
+  const result = syncQueue.then(() => syncIndex(changedPaths));
+  syncQueue = result.catch(() => {});
+  return result;
+}
+
+// Отложенное пересканирование: серия событий (например, копирование папки) обрабатывается один раз
+// relativePath - путь из события fs.watch (без него - полная сверка)
+function scheduleRescan(relativePath) {
+  const debounceMs = config.watcher?.debounceMs ?? 2000;
+
+  if (relativePath === undefined) {
+    pendingPaths = null;
+  } else if (pendingPaths) {
+    pendingPaths.add(relativePath);
+  }
+
+  clearTimeout(rescanTimer);
+  rescanTimer = setTimeout(() => {
+    const changedPaths = pendingPaths ? [...pendingPaths] : undefined;
+    pendingPaths = new Set();
+    rescanTimer = null;
+    rescanLibrary(changedPaths).catch((error) => {
+      console.error('❌ Ошибка сканирования библиотеки:', error);
+    });
+  }, debounceMs);
+}
+
+// Запуск отслеживания изменений в папке tracks
+function startWatcher() {
+  const settings = config.watcher || {};
+
+  if (settings.enabled !== false) {
+    try {
+      const watcher = watch(TRACKS_DIR, { recursive: true }, (eventType, filename) => {
+        // Скрытые файлы (служебные данные рядом с библиотекой) не влияют на фид
+        if (filename && scanSettings.skipHidden !== false &&
+          filename.split(path.sep).some((part) => part.startsWith('.'))) {
+          return;
+        }
+        if (filename && IMAGE_FILE_PATTERN.test(filename)) {
+          imagesChanged = true;
+        }
+        // Без имени файла (переполнение очереди событий) - полная сверка
+        scheduleRescan(filename ? toPosix(String(filename)) : undefined);
+      });
+
+      watcher.on('error', (error) => {
+        console.error('❌ Ошибка отслеживания папки tracks:', error.message);
+      });
+
+      if (config.advanced.verboseLogging) {
+        console.log(`👀 Отслеживание изменений в папке: ${TRACKS_DIR}`);
+      }
+    } catch (error) {
+      console.log(`⚠️  Не удалось включить отслеживание изменений: ${error.message}`);
+    }
+  }
+
+  // Периодическая полная сверка (на случай пропущенных событий, например на сетевых дисках)
+  if (settings.pollInterval > 0) {
+    setInterval(() => scheduleRescan(), settings.pollInterval).unref();
+  }
+}
+
+// Первичное сканирование библиотеки и запуск отслеживания
+export async function initLibrary() {
+  await rescanLibrary();
+  finishInitialImport();
+  startWatcher();
+
+  if (config.advanced.verboseLogging) {
+    console.log(`📚 В библиотеке ${libraryIndex.size} файлов`);
+  }
+}
+
+// Замена записи индекса по относительному пути (null - удаление) вместе с картой по id трека
+function setIndexEntry(relativePath, entry) {
+  const existing = libraryIndex.get(relativePath);
+  if (existing?.track && entriesById.get(existing.track.id) === existing) {
+    entriesById.delete(existing.track.id);
+  }
+
+  if (!entry) {
+    libraryIndex.delete(relativePath);
+    return;
+  }
+
+  libraryIndex.set(relativePath, entry);
+  if (entry.track) entriesById.set(entry.track.id, entry);
+}
+
+// Все записи индекса (включая пропущенные файлы с ошибкой)
+export function getLibraryEntries() {
+  return [...libraryIndex.values()];
+}
+
+// Запись индекса по относительному пути файла или null
+export function getLibraryEntry(relativePath) {
+  return libraryIndex.get(relativePath) || null;
+}
+
+// Запись индекса по id трека (guid без urn:uuid:) или null
+export function getLibraryEntryById(id) {
+  return entriesById.get(id) || null;
+}
+
+// Текущая версия индекса
+export function getLibraryVersion() {
+  return libraryVersion;
+}
+
+// Подписка на изменения библиотеки
+export function onLibraryChange(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
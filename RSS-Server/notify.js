@@ -0,0 +1,369 @@
+// notify.js - Уведомления об изменении фидов: пинг хабов WebSub и подписанные вебхуки с повторами
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+import config from './config.js';
+import { getFeedPath } from './feeds.js';
+import { FEED_FORMATS } from './outputs.js';
+
+const STATE_FILE = path.join(config.paths.dataDir, 'feed-state.json');
+const PENDING_FILE = path.join(config.paths.dataDir, 'pending-notifications.json');
+
+// Версия состояния: в версии 1 подпись считалась по всему выпуску, вместе с адресами из запроса
+const STATE_VERSION = 2;
+
+// Последний известный состав фидов: slug -> { guid -> { signature, title } }
+const feedStates = new Map();
+
+// Адрес сервера при первой сборке фидов - постоянный адрес для уведомлений, если server.baseUrl не задан
+let firstBaseUrl = null;
+
+// Ожидающие повтора доставки: id -> доставка (хранятся на диске, чтобы пережить перезапуск)
+const pendingDeliveries = new Map();
+
+// Очередь записей ожидающих доставок
+let pendingWriteChain = Promise.resolve();
+
+// Загрузка состояния с диска (один раз)
+let stateLoading = null;
+
+// Очередь записей состояния (чтобы не переименовывать один временный файл дважды)
+let writeChain = Promise.resolve();
+
+// Названия доставок для лога
+const DELIVERY_NAMES = {
+  webhook: 'Вебхук',
+  hub: 'Хаб WebSub',
+};
+
+// Форматы фида, которые являются темами (topic) WebSub
+const TOPIC_FORMATS = ['rss', 'atom', 'json'];
+
+// Хабы WebSub из конфига
+export function getHubUrls() {
+  return config.push?.websub?.hubs || [];
+}
+
+// Вебхуки для фида: { url, secret, feeds } (без feeds - для всех фидов)
+function getWebhooks(slug) {
+  return (config.push?.webhooks || [])
+    .map((webhook) => (typeof webhook === 'string' ? { url: webhook } : webhook))
+    .filter((webhook) => !webhook.feeds || webhook.feeds.includes(slug));
+}
+
+// Нужно ли следить за составом фида: есть хабы WebSub (у каждого фида свои темы) или вебхук для этого фида
+export function isFeedWatched(slug) {
+  return getHubUrls().length > 0 || getWebhooks(slug).length > 0;
+}
+
+// Чтение сохраненного состава фидов
+function loadState() {
+  if (!stateLoading) {
+    stateLoading = (async () => {
+      try {
+        const data = JSON.parse(await fs.readFile(STATE_FILE, 'utf8'));
+        // Подписи старой версии не сравнимы с новыми: такие выпуски запоминаются заново без уведомления об изменении
+        const compatible = data.version === STATE_VERSION;
+        for (const [slug, items] of Object.entries(data.feeds || {})) {
+          feedStates.set(slug, new Map(Object.entries(items).map(([guid, known]) =>
+            [guid, compatible ? known : { ...known, signature: null }])));
+        }
+        firstBaseUrl = data.baseUrl || null;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error('❌ Ошибка чтения состояния фидов:', error.message);
+        }
+      }
+    })();
+  }
+  return stateLoading;
+}
+
+// Запись состава фидов на диск (через временный файл)
+function saveState() {
+  writeChain = writeChain.catch(() => {}).then(async () => {
+    const data = {
+      version: STATE_VERSION,
+      baseUrl: firstBaseUrl,
+      feeds: Object.fromEntries([...feedStates].map(([slug, items]) => [slug, Object.fromEntries(items)])),
+    };
+
+    const tmpFile = `${STATE_FILE}.tmp`;
+    await fs.mkdir(path.dirname(STATE_FILE), { recursive: true });
+    await fs.writeFile(tmpFile, JSON.stringify(data, null, 2));
+    await fs.rename(tmpFile, STATE_FILE);
+  });
+  return writeChain;
+}
+
+// Текст GUID выпуска
+function getGuid(item) {
+  return item.guid?.['#text'] ?? item.guid;
+}
+
+// Подпись выпуска по полям, которые не зависят от адреса запроса
+// (хост и подпись ссылок на файл и обложку меняются без изменения самого выпуска)
+function getItemSignature(item, relativePath) {
+  const fields = [
+    getGuid(item), item.title, item.description, item.pubDate,
+    item.enclosure?.['@_length'], item.enclosure?.['@_type'], relativePath,
+  ];
+  return crypto.createHash('sha1').update(JSON.stringify(fields)).digest('hex');
+}
+
+// Краткое описание выпуска для вебхука (rebase - перевод ссылки на постоянный адрес сервера)
+function describeItem(item, rebase) {
+  return {
+    guid: getGuid(item),
+    title: item.title,
+    author: item['itunes:author'],
+    url: rebase(item.enclosure?.['@_url']),
+    pubDate: new Date(item.pubDate).toISOString(),
+  };
+}
+
+// Сравнение выпусков фида с прошлой сборкой: { added, updated (выпуски фида), removed ({ guid, title }) }
+// или null, если ничего не изменилось
+// При первой сборке фида состав только запоминается - иначе весь архив ушел бы как новые выпуски
+// itemPaths - карта выпуск -> относительный путь файла, baseUrl - адрес, с которым собран фид
+export async function detectFeedChanges(slug, items, { itemPaths = new Map(), baseUrl = null } = {}) {
+  await loadState();
+
+  const baseUrlRecorded = !firstBaseUrl && Boolean(baseUrl);
+  if (baseUrlRecorded) {
+    firstBaseUrl = baseUrl;
+  }
+
+  const previous = feedStates.get(slug);
+  const current = new Map(items.map((item) =>
+    [getGuid(item), { signature: getItemSignature(item, itemPaths.get(item) ?? null), title: item.title }]));
+  feedStates.set(slug, current);
+
+  const changes = { added: [], updated: [], removed: [] };
+  let resigned = false;
+  if (previous) {
+    for (const item of items) {
+      const known = previous.get(getGuid(item));
+      if (!known) {
+        changes.added.push(item);
+      } else if (known.signature === null) {
+        resigned = true;
+      } else if (known.signature !== current.get(getGuid(item)).signature) {
+        changes.updated.push(item);
+      }
+    }
+    for (const [guid, known] of previous) {
+      if (!current.has(guid)) {
+        changes.removed.push({ guid, title: known.title });
+      }
+    }
+  }
+
+  const changed = changes.added.length + changes.updated.length + changes.removed.length > 0;
+  if (changed || !previous || resigned || baseUrlRecorded) {
+    saveState().catch((error) => {
+      console.error('❌ Ошибка сохранения состояния фидов:', error);
+    });
+  }
+
+  if (!previous && config.advanced.verboseLogging) {
+    console.log(`📌 Запомнен состав фида ${slug}: ${items.length} треков`);
+  }
+
+  return changed ? changes : null;
+}
+
+// Пауза перед повтором: экспоненциально растет от initialDelay до maxDelay, со случайным разбросом
+function getRetryDelay(attempt) {
+  const retry = config.push?.retry || {};
+  const delay = Math.min((retry.initialDelay || 30 * 1000) * 2 ** (attempt - 1), retry.maxDelay || 60 * 60 * 1000);
+  return Math.round(delay * (0.5 + Math.random() / 2));
+}
+
+// Запись ожидающих повтора доставок на диск (через временный файл)
+function savePendingDeliveries() {
+  pendingWriteChain = pendingWriteChain.catch(() => {}).then(async () => {
+    const data = { version: 1, deliveries: [...pendingDeliveries.values()] };
+
+    const tmpFile = `${PENDING_FILE}.tmp`;
+    await fs.mkdir(path.dirname(PENDING_FILE), { recursive: true });
+    await fs.writeFile(tmpFile, JSON.stringify(data, null, 2));
+    await fs.rename(tmpFile, PENDING_FILE);
+  });
+  pendingWriteChain.catch((error) => {
+    console.error('❌ Ошибка сохранения очереди уведомлений:', error);
+  });
+  return pendingWriteChain;
+}
+
+// Секрет вебхука: свой secret из push.webhooks или общий push.secret
+// Берется из конфига при каждой попытке, поэтому в очередь на диске не попадает
+function getWebhookSecret(url) {
+  const webhook = (config.push?.webhooks || []).find((item) => (typeof item === 'string' ? item : item.url) === url);
+  return webhook?.secret || config.push?.secret;
+}
+
+// Параметры fetch для доставки (время подписи вебхука обновляется при каждой попытке)
+function createRequest(delivery) {
+  if (delivery.type === 'hub') {
+    return {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'User-Agent': 'YT-RSS-Server' },
+      body: delivery.body,
+    };
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  const secret = getWebhookSecret(delivery.url);
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'YT-RSS-Server',
+    'X-Webhook-Event': delivery.event,
+    'X-Webhook-Delivery': delivery.id,
+    'X-Webhook-Timestamp': String(timestamp),
+  };
+  if (secret) {
+    headers['X-Webhook-Signature'] = `sha256=${signWebhookPayload(secret, timestamp, delivery.body)}`;
+  }
+  return { method: 'POST', headers, body: delivery.body };
+}
+
+// Повтор доставки в назначенное время (просроченный - сразу)
+function scheduleRetry(delivery) {
+  setTimeout(() => deliver(delivery), Math.max(delivery.retryAt - Date.now(), 0)).unref();
+}
+
+// Доставка больше не ожидает повтора (доставлена или попытки кончились)
+function forgetDelivery(delivery) {
+  if (pendingDeliveries.delete(delivery.id)) {
+    savePendingDeliveries();
+  }
+}
+
+// Отправка запроса с повторами при ошибке сети или ответе не 2xx
+// delivery - { id, type: 'webhook' | 'hub', url, event, body, attempt, retryAt }
+async function deliver(delivery) {
+  const attempts = config.push?.retry?.attempts ?? 5;
+  const name = DELIVERY_NAMES[delivery.type];
+  const { attempt } = delivery;
+
+  try {
+    const response = await fetch(delivery.url, {
+      ...createRequest(delivery),
+      signal: AbortSignal.timeout(config.push?.timeout || 10 * 1000),
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    if (config.advanced.verboseLogging || attempt > 1) {
+      console.log(`📨 ${name}: доставлено (${delivery.url}${attempt > 1 ? `, попытка ${attempt}` : ''})`);
+    }
+    forgetDelivery(delivery);
+  } catch (error) {
+    if (attempt >= attempts) {
+      console.error(`❌ ${name}: не доставлено после ${attempt} попыток (${delivery.url}): ${error.message}`);
+      forgetDelivery(delivery);
+      return;
+    }
+
+    const delay = getRetryDelay(attempt);
+    console.log(`⚠️  ${name}: ошибка (${delivery.url}): ${error.message}. Повтор через ${Math.round(delay / 1000)} с`);
+    delivery.attempt = attempt + 1;
+    delivery.retryAt = Date.now() + delay;
+    pendingDeliveries.set(delivery.id, delivery);
+    savePendingDeliveries();
+    scheduleRetry(delivery);
+  }
+}
+
+// Возобновление повторов, не выполненных до остановки сервера
+export async function resumePendingDeliveries() {
+  try {
+    const data = JSON.parse(await fs.readFile(PENDING_FILE, 'utf8'));
+    for (const delivery of data.deliveries || []) {
+      pendingDeliveries.set(delivery.id, delivery);
+      scheduleRetry(delivery);
+    }
+
+    if (pendingDeliveries.size > 0) {
+      console.log(`📨 Возобновлены повторы уведомлений: ${pendingDeliveries.size}`);
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('❌ Ошибка чтения очереди уведомлений:', error.message);
+    }
+  }
+}
+
+// Ожидание записи состава фидов на диск (при остановке сервера)
+export function flushFeedState() {
+  return writeChain;
+}
+
+// Ожидание записи очереди повторов на диск (при остановке сервера)
+export function flushPendingDeliveries() {
+  return pendingWriteChain;
+}
+
+// Подпись тела вебхука: HMAC-SHA256 от "<timestamp>.<тело>" (время защищает от повторной отправки)
+export function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Вебхук: POST с JSON, заголовками события и подписью (если задан секрет)
+function sendWebhook(webhook, payload) {
+  deliver({
+    id: crypto.randomUUID(),
+    type: 'webhook',
+    url: webhook.url,
+    event: payload.event,
+    body: JSON.stringify(payload),
+    attempt: 1,
+  });
+}
+
+// Пинг хаба WebSub: hub.mode=publish для каждой темы (адреса фида в разных форматах)
+function pingHub(hubUrl, topicUrl) {
+  deliver({
+    id: crypto.randomUUID(),
+    type: 'hub',
+    url: hubUrl,
+    body: new URLSearchParams({ 'hub.mode': 'publish', 'hub.url': topicUrl }).toString(),
+    attempt: 1,
+  });
+}
+
+// Постоянный адрес сервера для тем WebSub и ссылок в вебхуках: server.baseUrl из конфига,
+// а если он не задан - адрес первой сборки фидов (а не адрес запроса, из-за которого фид пересобрался)
+function getCanonicalBaseUrl(baseUrl) {
+  return config.server.baseUrl || firstBaseUrl || baseUrl;
+}
+
+// Рассылка уведомлений об изменении фида (в фоне, ошибки только логируются)
+// baseUrl - адрес, с которым собран фид (ссылки выпусков переводятся на постоянный адрес)
+export function publishFeedChanges(feed, baseUrl, changes) {
+  const canonicalBaseUrl = getCanonicalBaseUrl(baseUrl);
+  const rebase = (url) => (url?.startsWith(baseUrl) ? `${canonicalBaseUrl}${url.slice(baseUrl.length)}` : url);
+
+  console.log(`📣 Фид ${feed.slug} изменился: +${changes.added.length} ~${changes.updated.length} -${changes.removed.length}`);
+
+  for (const hubUrl of getHubUrls()) {
+    for (const format of TOPIC_FORMATS) {
+      pingHub(hubUrl, `${canonicalBaseUrl}${getFeedPath(feed, FEED_FORMATS[format].filename)}`);
+    }
+  }
+
+  const payload = {
+    event: 'feed.changed',
+    feed: { slug: feed.slug, title: feed.channel.title, url: `${canonicalBaseUrl}${getFeedPath(feed)}` },
+    added: changes.added.map((item) => describeItem(item, rebase)),
+    updated: changes.updated.map((item) => describeItem(item, rebase)),
+    removed: changes.removed,
+    timestamp: new Date().toISOString(),
+  };
+  for (const webhook of getWebhooks(feed.slug)) {
+    sendWebhook(webhook, payload);
+  }
+}
@@ -0,0 +1,271 @@
+// outputs.js - Другие форматы фида: JSON Feed 1.1 и Atom из тех же данных, что и RSS
+import { XMLBuilder } from 'fast-xml-parser';
+
+import { FEED_HISTORY_NAMESPACE } from './paging.js';
+
+// Форматы фида: имя файла в адресе и MIME-тип
+// m3u8 и xspf - плейлисты для медиаплееров из тех же треков, что и фид
+export const FEED_FORMATS = {
+  rss: { filename: 'rss.xml', mimeType: 'application/rss+xml' },
+  json: { filename: 'feed.json', mimeType: 'application/feed+json' },
+  atom: { filename: 'atom.xml', mimeType: 'application/atom+xml' },
+  m3u8: { filename: 'playlist.m3u8', mimeType: 'audio/x-mpegurl' },
+  xspf: { filename: 'playlist.xspf', mimeType: 'application/xspf+xml' },
+};
+
+// MIME-тип списка фидов OPML
+export const OPML_MIME_TYPE = 'text/x-opml';
+
+// Типы из заголовка Accept -> формат (для /feed)
+const ACCEPT_TYPES = {
+  'application/rss+xml': 'rss',
+  'application/feed+json': 'json',
+  'application/json': 'json',
+  'application/atom+xml': 'atom',
+  'application/xml': 'rss',
+  'text/xml': 'rss',
+};
+
+// Формат фида по заголовку Accept (по умолчанию RSS)
+export function negotiateFeedFormat(req) {
+  const type = req.accepts(Object.keys(ACCEPT_TYPES));
+  return type ? ACCEPT_TYPES[type] : 'rss';
+}
+
+// Длительность itunes:duration (H:MM:SS, M:SS или секунды) в секундах
+function parseDuration(value) {
+  const parts = String(value ?? '').split(':').map(Number);
+  if (parts.some(Number.isNaN)) return undefined;
+  return parts.reduce((total, part) => total * 60 + part, 0) || undefined;
+}
+
+// Дата из RSS (toUTCString) в ISO 8601
+function toIsoDate(value) {
+  return new Date(value).toISOString();
+}
+
+// Текст GUID выпуска
+function getGuid(item) {
+  return item.guid?.['#text'] ?? item.guid;
+}
+
+// JSON Feed 1.1 (https://www.jsonfeed.org/version/1.1/)
+// Поля iTunes и Podcasting 2.0 без аналогов в JSON Feed - в расширении _podcast
+// links - ссылки навигации по страницам (paging.js), из них используется next; hubs - адреса хабов WebSub
+export function buildJsonFeed(rssData, feedUrl, links = [], hubs = []) {
+  const channel = rssData.rss.channel;
+
+  const items = (channel.item || []).map((item) => {
+    const enclosure = item.enclosure || {};
+    return {
+      id: getGuid(item),
+      url: item.link,
+      title: item.title,
+      content_html: item['content:encoded']?.__cdata,
+      content_text: item.description,
+      image: item['itunes:image']?.['@_href'],
+      date_published: toIsoDate(item.pubDate),
+      authors: item['itunes:author'] ? [{ name: item['itunes:author'] }] : undefined,
+      attachments: [{
+        url: enclosure['@_url'],
+        mime_type: enclosure['@_type'],
+        size_in_bytes: Number(enclosure['@_length']) || undefined,
+        duration_in_seconds: parseDuration(item['itunes:duration']),
+      }],
+      _podcast: {
+        episode: item['itunes:episode'],
+        season: item['itunes:season'],
+        episode_type: item['itunes:episodeType'],
+        explicit: item['itunes:explicit'],
+      },
+    };
+  });
+
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: channel.title,
+    home_page_url: channel.link,
+    feed_url: feedUrl,
+    next_url: links.find((link) => link.rel === 'next')?.href,
+    description: channel.description,
+    icon: channel['itunes:image']?.['@_href'],
+    authors: [{ name: channel['itunes:author'] }],
+    language: channel.language,
+    hubs: hubs.length ? hubs.map((url) => ({ type: 'WebSub', url })) : undefined,
+    items,
+    _podcast: {
+      guid: channel['podcast:guid'],
+      type: channel['itunes:type'],
+      explicit: channel['itunes:explicit'],
+      category: channel['itunes:category']?.['@_text'],
+      medium: channel['podcast:medium'],
+    },
+  };
+
+  // undefined-поля выпадают при сериализации
+  return JSON.stringify(feed, null, 2);
+}
+
+// Строка M3U без переводов строк (перевод строки начинает новую запись)
+function m3uText(value) {
+  return String(value ?? '').replace(/[\r\n]+/g, ' ').trim();
+}
+
+// Плейлист M3U8 (расширенный M3U в UTF-8): #EXTINF с длительностью и "артист - название" перед адресом трека
+export function buildM3uPlaylist(rssData) {
+  const channel = rssData.rss.channel;
+  const lines = ['#EXTM3U', `#PLAYLIST:${m3uText(channel.title)}`];
+
+  for (const item of channel.item || []) {
+    const duration = Math.round(parseDuration(item['itunes:duration']) ?? -1);
+    const title = item['itunes:author'] ? `${item['itunes:author']} - ${item.title}` : item.title;
+    lines.push(`#EXTINF:${duration},${m3uText(title)}`);
+    if (item['itunes:image']?.['@_href']) {
+      lines.push(`#EXTIMG:${item['itunes:image']['@_href']}`);
+    }
+    lines.push(item.enclosure['@_url']);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+// Плейлист XSPF 1 (https://www.xspf.org/spec)
+export function buildXspfPlaylist(rssData, feedUrl) {
+  const channel = rssData.rss.channel;
+
+  const tracks = (channel.item || []).map((item) => {
+    const duration = parseDuration(item['itunes:duration']);
+    return {
+      location: item.enclosure['@_url'],
+      identifier: getGuid(item),
+      title: item.title,
+      creator: item['itunes:author'],
+      annotation: item.description,
+      info: item.link,
+      image: item['itunes:image']?.['@_href'],
+      duration: duration ? Math.round(duration * 1000) : undefined,
+    };
+  });
+
+  const playlist = {
+    '?xml': { '@_version': '1.0', '@_encoding': 'UTF-8' },
+    playlist: {
+      '@_version': '1',
+      '@_xmlns': 'http://xspf.org/ns/0/',
+      title: channel.title,
+      creator: channel['itunes:author'],
+      annotation: channel.description,
+      info: channel.link,
+      location: feedUrl,
+      image: channel['itunes:image']?.['@_href'],
+      date: toIsoDate(channel.lastBuildDate),
+      trackList: { track: tracks },
+    },
+  };
+
+  return buildXml(playlist);
+}
+
+// Список фидов OPML 2.0 для подписки на все фиды сразу
+// feeds - [{ title, description, xmlUrl, htmlUrl, language }]
+export function buildOpml(title, feeds) {
+  const opml = {
+    '?xml': { '@_version': '1.0', '@_encoding': 'UTF-8' },
+    opml: {
+      '@_version': '2.0',
+      head: { title },
+      body: {
+        outline: feeds.map((feed) => ({
+          '@_type': 'rss',
+          '@_text': feed.title,
+          '@_title': feed.title,
+          '@_description': feed.description,
+          '@_xmlUrl': feed.xmlUrl,
+          '@_htmlUrl': feed.htmlUrl,
+          '@_language': feed.language,
+        })),
+      },
+    },
+  };
+
+  return buildXml(opml);
+}
+
+// XML из объекта (атрибуты - с префиксом @_, пустые элементы не выводятся)
+function buildXml(data) {
+  const builder = new XMLBuilder({
+    ignoreAttributes: false,
+    format: true,
+    suppressEmptyNode: true,
+    attributeNamePrefix: '@_',
+  });
+
+  return builder.build(data);
+}
+
+// Atom 1.0 (RFC 4287)
+// links - ссылки навигации по страницам, historyMarker - fh:archive или fh:complete (paging.js), hubs - хабы WebSub
+export function buildAtomFeed(rssData, feedUrl, links = [], historyMarker = null, hubs = []) {
+  const channel = rssData.rss.channel;
+  const items = channel.item || [];
+  const imageUrl = channel['itunes:image']?.['@_href'];
+
+  const entries = items.map((item) => {
+    const enclosure = item.enclosure || {};
+    const entry = {
+      id: getGuid(item),
+      title: item.title,
+      published: toIsoDate(item.pubDate),
+      updated: toIsoDate(item.pubDate),
+      author: { name: item['itunes:author'] },
+      link: [
+        { '@_rel': 'alternate', '@_href': item.link },
+        {
+          '@_rel': 'enclosure',
+          '@_href': enclosure['@_url'],
+          '@_type': enclosure['@_type'],
+          '@_length': enclosure['@_length'],
+        },
+      ],
+      summary: item.description,
+    };
+
+    const html = item['content:encoded']?.__cdata;
+    if (html) {
+      entry.content = { '@_type': 'html', '#text': html };
+    }
+    return entry;
+  });
+
+  const feed = {
+    feed: {
+      '@_xmlns': 'http://www.w3.org/2005/Atom',
+      '@_xml:lang': channel.language,
+      id: `urn:uuid:${channel['podcast:guid']}`,
+      title: channel.title,
+      subtitle: channel.description,
+      updated: items.length ? toIsoDate(items[0].pubDate) : toIsoDate(channel.lastBuildDate),
+      link: [
+        { '@_rel': 'self', '@_href': feedUrl, '@_type': FEED_FORMATS.atom.mimeType },
+        { '@_rel': 'alternate', '@_href': channel.link },
+        ...links.map((link) => ({ '@_rel': link.rel, '@_href': link.href, '@_type': FEED_FORMATS.atom.mimeType })),
+        ...hubs.map((hub) => ({ '@_rel': 'hub', '@_href': hub })),
+      ],
+      author: {
+        name: channel['itunes:author'],
+        email: channel['itunes:owner']?.['itunes:email'],
+      },
+      rights: channel.copyright,
+      icon: imageUrl,
+      logo: imageUrl,
+      entry: entries,
+    },
+  };
+
+  if (historyMarker) {
+    feed.feed['@_xmlns:fh'] = FEED_HISTORY_NAMESPACE;
+    feed.feed[historyMarker] = '';
+  }
+
+  return buildXml(feed);
+}
@@ -0,0 +1,86 @@
+// overrides.js - Ручные правки треков из админки (хранятся рядом с библиотекой)
+import fs from 'fs/promises';
+import path from 'path';
+
+import config from './config.js';
+
+const TRACKS_DIR = config.paths.tracksDir;
+
+// Файл с правками и папка с загруженными обложками (скрытые - сканер их не видит)
+const OVERRIDES_FILE = path.join(TRACKS_DIR, '.overrides.json');
+export const CUSTOM_COVERS_DIR = path.join(TRACKS_DIR, '.covers');
+
+// Поля, которые можно переопределить
+const OVERRIDE_FIELDS = ['title', 'artist', 'description', 'episode', 'season', 'explicit', 'hidden', 'cover', 'publishDate', 'episodeType', 'block'];
+
+// Правки: id трека -> { поле: значение }
+let overrides = {};
+
+// Загрузка правок с диска
+export async function loadOverrides() {
+  try {
+    overrides = JSON.parse(await fs.readFile(OVERRIDES_FILE, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      console.error('❌ Ошибка чтения файла правок:', e.message);
+    }
+    overrides = {};
+  }
+}
+
+// Запись правок на диск (через временный файл)
+async function saveOverrides() {
+  const tmpFile = `${OVERRIDES_FILE}.tmp`;
+  await fs.writeFile(tmpFile, JSON.stringify(overrides, null, 2));
+  await fs.rename(tmpFile, OVERRIDES_FILE);
+}
+
+// Правки для трека (пустой объект, если их нет)
+export function getOverride(id) {
+  return overrides[id] || {};
+}
+
+// Сохранение правок трека
+// Пустые значения удаляют поле, чтобы снова использовались данные из тегов
+export async function setOverride(id, changes) {
+  const current = { ...getOverride(id) };
+
+  for (const field of OVERRIDE_FIELDS) {
+    if (!(field in changes)) continue;
+
+    const value = changes[field];
+    if (value === '' || value === null || value === undefined || value === false) {
+      delete current[field];
+    } else {
+      current[field] = value;
+    }
+  }
+
+  if (Object.keys(current).length > 0) {
+    overrides[id] = current;
+  } else {
+    delete overrides[id];
+  }
+
+  await saveOverrides();
+  return current;
+}
+
+// Удаление всех правок трека вместе с загруженной обложкой
+export async function clearOverride(id) {
+  const customCoverPath = getCustomCoverPath(id);
+  if (customCoverPath) {
+    await fs.unlink(customCoverPath).catch(() => {});
+  }
+
+  if (overrides[id]) {
+    delete overrides[id];
+    await saveOverrides();
+  }
+}
+
+// Путь к загруженной обложке трека (или null)
+export function getCustomCoverPath(id) {
+  const cover = getOverride(id).cover;
+  return cover ? path.join(CUSTOM_COVERS_DIR, cover) : null;
+}
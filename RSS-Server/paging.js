@@ -0,0 +1,70 @@
+// paging.js - Постраничные и архивные фиды (RFC 5005): /rss.xml?page=N и полный архив /rss-full.xml
+import config from './config.js';
+
+// Пространство имен истории фида (fh:complete, fh:archive)
+export const FEED_HISTORY_NAMESPACE = 'http://purl.org/syndication/history/1.0';
+
+// Страница "полный архив" - все треки без разбиения (/rss-full.xml)
+export const FULL_ARCHIVE = 'full';
+export const FULL_ARCHIVE_FILENAME = 'rss-full.xml';
+
+// Треков на странице (первая страница - обычный фид)
+export function getPageSize() {
+  return Math.max(config.advanced.maxTracksInRSS || 0, 1);
+}
+
+// Количество страниц (хотя бы одна, даже пустая)
+export function getPageCount(itemsCount) {
+  return Math.max(Math.ceil(itemsCount / getPageSize()), 1);
+}
+
+// Номер страницы из ?page= (1, если не указан; null, если некорректный)
+export function parsePage(value) {
+  if (value === undefined || value === '') return 1;
+  return /^[1-9]\d{0,5}$/.test(value) ? Number(value) : null;
+}
+
+// Номер страницы, на которую попадает трек с позицией index в отсортированном списке
+export function getItemPage(index) {
+  return Math.floor(index / getPageSize()) + 1;
+}
+
+// Треки страницы (или все - для полного архива)
+export function getPageItems(items, page) {
+  if (page === FULL_ARCHIVE) return items;
+
+  const size = getPageSize();
+  return items.slice((page - 1) * size, page * size);
+}
+
+// Ссылки навигации страницы: [{ rel, href }]
+// pageUrl(n) - адрес страницы n. Первая страница - текущий фид (subscription document),
+// остальные - архивные документы: next/prev-archive ведут к более старым трекам, previous/next-archive - к новым
+export function getPageLinks(pageUrl, page, pageCount) {
+  if (page === FULL_ARCHIVE || pageCount < 2) return [];
+
+  const links = [
+    { rel: 'first', href: pageUrl(1) },
+    { rel: 'last', href: pageUrl(pageCount) },
+  ];
+
+  if (page < pageCount) {
+    links.push({ rel: 'next', href: pageUrl(page + 1) });
+    links.push({ rel: 'prev-archive', href: pageUrl(page + 1) });
+  }
+  if (page > 1) {
+    links.push({ rel: 'previous', href: pageUrl(page - 1) });
+    links.push({ rel: 'current', href: pageUrl(1) });
+  }
+  if (page > 2) {
+    links.push({ rel: 'next-archive', href: pageUrl(page - 1) });
+  }
+
+  return links;
+}
+
+// Отметка истории фида: fh:complete для полного архива, fh:archive для страниц после первой
+export function getHistoryMarker(page) {
+  if (page === FULL_ARCHIVE) return 'fh:complete';
+  return page > 1 ? 'fh:archive' : null;
+}
@@ -0,0 +1,242 @@
+// podcast.js - Теги пространств имен iTunes и Podcasting 2.0 для канала и выпусков
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+import config from './config.js';
+import { escapeHtml } from './html.js';
+
+const GUIDS_FILE = path.join(config.paths.dataDir, 'podcast-guids.json');
+
+// Пространства имен, которые объявляются в корне RSS
+export const FEED_NAMESPACES = {
+  '@_xmlns:itunes': 'http://www.itunes.com/dtds/podcast-1.0.dtd',
+  '@_xmlns:podcast': 'https://podcastindex.org/namespace/1.0',
+  '@_xmlns:atom': 'http://www.w3.org/2005/Atom',
+  '@_xmlns:content': 'http://purl.org/rss/1.0/modules/content/',
+};
+
+// Пространство имен UUIDv5 для podcast:guid (по спецификации Podcast Index)
+const PODCAST_GUID_NAMESPACE = 'ead4c236-bf58-58c6-a2c6-a6b28d128cb6';
+
+// Вычисленные podcast:guid фидов: slug -> guid
+// Запоминаются при первой сборке фида, чтобы guid не зависел от адреса последующих запросов
+const podcastGuids = new Map();
+
+// Очередь записей на диск
+let writeChain = Promise.resolve();
+
+// Допустимые значения
+const EPISODE_TYPES = ['full', 'trailer', 'bonus'];
+const SHOW_TYPES = ['episodic', 'serial'];
+
+// UUIDv5 из строки
+function uuidV5(name, namespace) {
+  const namespaceBytes = Buffer.from(namespace.replace(/-/g, ''), 'hex');
+  const hash = crypto.createHash('sha1').update(namespaceBytes).update(name).digest();
+
+  hash[6] = (hash[6] & 0x0f) | 0x50;
+  hash[8] = (hash[8] & 0x3f) | 0x80;
+
+  const hex = hash.subarray(0, 16).toString('hex');
+  return `${hex.substring(0, 8)}-${hex.substring(8, 12)}-${hex.substring(12, 16)}-${hex.substring(16, 20)}-${hex.substring(20)}`;
+}
+
+// Загрузка запомненных podcast:guid с диска
+export async function loadPodcastGuids() {
+  try {
+    const data = JSON.parse(await fs.readFile(GUIDS_FILE, 'utf8'));
+    for (const [slug, guid] of Object.entries(data.feeds || {})) {
+      podcastGuids.set(slug, guid);
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('❌ Ошибка чтения podcast:guid фидов:', error.message);
+    }
+  }
+}
+
+// Запись podcast:guid на диск (через временный файл)
+function savePodcastGuids() {
+  writeChain = writeChain.catch(() => {}).then(async () => {
+    const data = { version: 1, feeds: Object.fromEntries(podcastGuids) };
+
+    const tmpFile = `${GUIDS_FILE}.tmp`;
+    await fs.mkdir(path.dirname(GUIDS_FILE), { recursive: true });
+    await fs.writeFile(tmpFile, JSON.stringify(data, null, 2));
+    await fs.rename(tmpFile, GUIDS_FILE);
+  });
+  return writeChain;
+}
+
+// podcast:guid канала: из настроек или UUIDv5 от адреса фида без протокола и завершающего слэша
+// feedUrl - постоянный адрес фида (baseUrl и slug, без параметров фильтра); guid вычисляется по нему
+// один раз и запоминается по slug, поэтому запрос по другому адресу или смена домена его не меняют
+export function getPodcastGuid(channel, slug, feedUrl) {
+  if (channel.podcast?.guid) return channel.podcast.guid;
+
+  if (!podcastGuids.has(slug)) {
+    podcastGuids.set(slug, uuidV5(feedUrl.replace(/^[a-z]+:\/\//i, '').replace(/\/+$/, ''), PODCAST_GUID_NAMESPACE));
+    savePodcastGuids().catch((error) => {
+      console.error('❌ Ошибка сохранения podcast:guid фидов:', error);
+    });
+  }
+  return podcastGuids.get(slug);
+}
+
+// Да/нет в формате iTunes
+function yesNo(value) {
+  return value === true || value === 'yes' || value === 'Yes' ? 'Yes' : 'No';
+}
+
+// Текстовое описание в HTML для content:encoded (абзацы и переносы строк)
+export function textToHtml(text) {
+  return String(text ?? '')
+    .split(/\r?\n\s*\r?\n/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean)
+    .map((paragraph) => `<p>${escapeHtml(paragraph).replace(/\r?\n/g, '<br>')}</p>`)
+    .join('\n');
+}
+
+// Участник выпуска или канала: { name, role, group, href, img }
+function buildPerson(person) {
+  const tag = { '#text': person.name };
+  if (person.role) tag['@_role'] = person.role;
+  if (person.group) tag['@_group'] = person.group;
+  if (person.href) tag['@_href'] = person.href;
+  if (person.img) tag['@_img'] = person.img;
+  return tag;
+}
+
+// Блок podcast:value (донаты через Lightning и т.п.)
+function buildValue(value) {
+  const tag = {
+    '@_type': value.type || 'lightning',
+    '@_method': value.method || 'keysend',
+  };
+  if (value.suggested) tag['@_suggested'] = value.suggested;
+
+  tag['podcast:valueRecipient'] = (value.recipients || []).map((recipient) => {
+    const recipientTag = {
+      '@_name': recipient.name,
+      '@_type': recipient.type || 'node',
+      '@_address': recipient.address,
+      '@_split': recipient.split,
+    };
+    if (recipient.customKey) recipientTag['@_customKey'] = recipient.customKey;
+    if (recipient.customValue) recipientTag['@_customValue'] = recipient.customValue;
+    if (recipient.fee) recipientTag['@_fee'] = 'true';
+    return recipientTag;
+  });
+
+  return tag;
+}
+
+// Категория iTunes с подкатегорией
+function buildCategory(channel) {
+  const category = { '@_text': channel.category };
+  if (channel.subcategory) {
+    category['itunes:category'] = { '@_text': channel.subcategory };
+  }
+  return category;
+}
+
+// Теги канала: iTunes, atom:link на сам фид и Podcasting 2.0
+// podcastGuid - guid канала (getPodcastGuid)
+export function buildChannelTags(channel, feedUrl, imageUrl, podcastGuid) {
+  const podcast = channel.podcast || {};
+
+  const tags = {
+    'atom:link': {
+      '@_href': feedUrl,
+      '@_rel': 'self',
+      '@_type': 'application/rss+xml',
+    },
+
+    // iTunes обложка канала
+    'itunes:image': {
+      '@_href': imageUrl
+    },
+
+    'itunes:owner': {
+      'itunes:name': channel.author,
+      'itunes:email': channel.email
+    },
+    'itunes:author': channel.author,
+    'itunes:summary': channel.summary || channel.description,
+    'itunes:type': SHOW_TYPES.includes(channel.type) ? channel.type : 'episodic',
+    'itunes:explicit': channel.explicit,
+    'itunes:category': buildCategory(channel),
+  };
+
+  if (channel.block) {
+    tags['itunes:block'] = yesNo(channel.block);
+  }
+
+  // Podcasting 2.0
+  tags['podcast:guid'] = podcastGuid;
+  tags['podcast:locked'] = {
+    '#text': podcast.locked ? 'yes' : 'no',
+    '@_owner': podcast.lockedOwner || channel.email,
+  };
+  if (podcast.medium) {
+    tags['podcast:medium'] = podcast.medium;
+  }
+  if (podcast.persons?.length) {
+    tags['podcast:person'] = podcast.persons.map(buildPerson);
+  }
+  if (podcast.value?.recipients?.length) {
+    tags['podcast:value'] = buildValue(podcast.value);
+  }
+
+  return tags;
+}
+
+// Теги выпуска: номер, сезон, тип, блокировка, описание и Podcasting 2.0
+// episode - { title, description, episode, season, episodeType, block, persons, chaptersUrl, transcripts }
+export function buildItemTags(episode) {
+  const tags = {
+    'itunes:title': episode.title,
+    'itunes:episodeType': EPISODE_TYPES.includes(episode.episodeType) ? episode.episodeType : 'full',
+  };
+
+  if (episode.episode) {
+    tags['itunes:episode'] = episode.episode;
+  }
+  if (episode.season) {
+    tags['itunes:season'] = episode.season;
+  }
+  if (episode.block) {
+    tags['itunes:block'] = 'Yes';
+  }
+
+  tags['itunes:summary'] = episode.description;
+  tags['content:encoded'] = { __cdata: episode.html || textToHtml(episode.description) };
+
+  if (episode.season) {
+    tags['podcast:season'] = episode.season;
+  }
+  if (episode.episode) {
+    tags['podcast:episode'] = episode.episode;
+  }
+  if (episode.chaptersUrl) {
+    tags['podcast:chapters'] = {
+      '@_url': episode.chaptersUrl,
+      '@_type': 'application/json+chapters',
+    };
+  }
+  if (episode.transcripts?.length) {
+    tags['podcast:transcript'] = episode.transcripts.map((transcript) => {
+      const tag = { '@_url': transcript.url, '@_type': transcript.type };
+      if (transcript.language) tag['@_language'] = transcript.language;
+      if (transcript.rel) tag['@_rel'] = transcript.rel;
+      return tag;
+    });
+  }
+  if (episode.persons?.length) {
+    tags['podcast:person'] = episode.persons.map(buildPerson);
+  }
+
+  return tags;
+}
@@ -0,0 +1,409 @@
+// registry.js - Постоянный реестр треков: стабильные GUID и даты публикации
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+import config from './config.js';
+
+const TRACKS_DIR = config.paths.tracksDir;
+const REGISTRY_FILE = path.join(config.paths.dataDir, 'tracks.json');
+
+// Записи реестра: id -> запись
+const records = new Map();
+
+// Индексы для быстрого поиска
+const pathIndex = new Map();        // относительный путь -> id
+const fingerprintIndex = new Map(); // отпечаток аудио -> [id, ...]
+
+// Реестр создан с нуля при этом запуске (первичный импорт библиотеки)
+let isInitialImport = false;
+
+// Отложенное сохранение
+let saveTimer = null;
+let writeChain = Promise.resolve();
+
+// Очередь, чтобы параллельные запросы не регистрировали один трек дважды
+let queue = Promise.resolve();
+
+// Генерация GUID в формате urn:uuid из хэша пути и размера файла
+// (та же схема, что использовалась до появления реестра - GUID существующих треков не меняются)
+function generateStableGuid(filePath, stat) {
+  try {
+    const fileKey = `${filePath}:${stat.size}`;
+    const hash = crypto.createHash('sha256').update(fileKey).digest('hex');
+    const uuid = `${hash.substring(0, 8)}-${hash.substring(8, 12)}-${hash.substring(12, 16)}-${hash.substring(16, 20)}-${hash.substring(20, 32)}`;
+    return `urn:uuid:${uuid}`;
+  } catch (error) {
+    const backupHash = crypto.createHash('md5').update(filePath).digest('hex');
+    return `urn:uuid:${backupHash.substring(0, 8)}-${backupHash.substring(8, 12)}-${backupHash.substring(12, 16)}-${backupHash.substring(16, 20)}-${backupHash.substring(20, 32)}`;
+  }
+}
+
+// Чтение куска файла
+async function readBytes(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+// Границы аудиоданных MP3: без ID3v2 в начале и ID3v1/APEv2 в конце
+async function mpegAudioRange(handle, size) {
+  let start = 0;
+  let end = size;
+
+  const header = await readBytes(handle, 0, 10);
+  if (header.length === 10 && header.toString('latin1', 0, 3) === 'ID3') {
+    const tagSize = (header[6] << 21) | (header[7] << 14) | (header[8] << 7) | header[9];
+    const hasFooter = (header[5] & 0x10) !== 0;
+    start = 10 + tagSize + (hasFooter ? 10 : 0);
+  }
+
+  if (end - start > 128) {
+    const id3v1 = await readBytes(handle, end - 128, 3);
+    if (id3v1.toString('latin1') === 'TAG') end -= 128;
+  }
+
+  if (end - start > 32) {
+    const apeFooter = await readBytes(handle, end - 32, 32);
+    if (apeFooter.toString('latin1', 0, 8) === 'APETAGEX') {
+      const tagSize = apeFooter.readUInt32LE(12);
+      const hasHeader = (apeFooter.readUInt32LE(20) & 0x80000000) !== 0;
+      end -= tagSize + (hasHeader ? 32 : 0);
+    }
+  }
+
+  return { start, end };
+}
+
+// Границы аудиоданных FLAC: после всех блоков метаданных
+async function flacAudioRange(handle, size) {
+  const magic = await readBytes(handle, 0, 4);
+  if (magic.toString('latin1') !== 'fLaC') return { start: 0, end: size };
+
+  let position = 4;
+  while (position < size) {
+    const blockHeader = await readBytes(handle, position, 4);
+    if (blockHeader.length < 4) break;
+
+    const isLast = (blockHeader[0] & 0x80) !== 0;
+    const length = blockHeader.readUIntBE(1, 3);
+    position += 4 + length;
+    if (isLast) break;
+  }
+
+  return { start: position, end: size };
+}
+
+// Границы аудиоданных WAV: содержимое чанка data
+async function riffAudioRange(handle, size) {
+  const magic = await readBytes(handle, 0, 12);
+  if (magic.toString('latin1', 0, 4) !== 'RIFF') return { start: 0, end: size };
+
+  let position = 12;
+  while (position + 8 <= size) {
+    const chunk = await readBytes(handle, position, 8);
+    const id = chunk.toString('latin1', 0, 4);
+    const length = chunk.readUInt32LE(4);
+
+    if (id === 'data') {
+      return { start: position + 8, end: Math.min(position + 8 + length, size) };
+    }
+    position += 8 + length + (length % 2);
+  }
+
+  return { start: 0, end: size };
+}
+
+// Границы аудиоданных MP4/M4A: содержимое атома mdat
+async function mp4AudioRange(handle, size) {
+  let position = 0;
+
+  while (position + 8 <= size) {
+    const atom = await readBytes(handle, position, 16);
+    if (atom.length < 8) break;
+
+    let length = atom.readUInt32BE(0);
+    const type = atom.toString('latin1', 4, 8);
+    let headerSize = 8;
+
+    if (length === 1 && atom.length >= 16) {
+      length = Number(atom.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (length === 0) {
+      length = size - position;
+    }
+    if (length < headerSize) break;
+
+    if (type === 'mdat') {
+      return { start: position + headerSize, end: Math.min(position + length, size) };
+    }
+    position += length;
+  }
+
+  return { start: 0, end: size };
+}
+
+// Хэширование диапазона байт файла
+function hashRange(filePath, start, end) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    if (end <= start) {
+      resolve(hash.digest('hex'));
+      return;
+    }
+
+    createReadStream(filePath, { start, end: end - 1 })
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+// Хэширование OGG: учитываются только страницы со звуком (заголовки и комментарии имеют granule 0)
+function hashOggPages(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    let pending = Buffer.alloc(0);
+
+    createReadStream(filePath)
+      .on('data', (chunk) => {
+        pending = Buffer.concat([pending, chunk]);
+
+        while (pending.length >= 27) {
+          if (pending.toString('latin1', 0, 4) !== 'OggS') {
+            // Потеряли синхронизацию - ищем следующую страницу
+            const next = pending.indexOf('OggS', 1, 'latin1');
+            pending = next === -1 ? Buffer.alloc(0) : pending.subarray(next);
+            continue;
+          }
+
+          const segments = pending[26];
+          if (pending.length < 27 + segments) break;
+
+          let bodyLength = 0;
+          for (let i = 0; i < segments; i++) bodyLength += pending[27 + i];
+
+          const pageLength = 27 + segments + bodyLength;
+          if (pending.length < pageLength) break;
+
+          if (pending.readBigInt64LE(6) !== 0n) {
+            hash.update(pending.subarray(27 + segments, pageLength));
+          }
+          pending = pending.subarray(pageLength);
+        }
+      })
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+// Отпечаток содержимого: хэш только аудиоданных, без тегов
+// Поэтому правка ID3 тегов или переименование файла не меняют отпечаток
+async function fingerprintAudio(filePath, size) {
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (ext === '.ogg') {
+    return hashOggPages(filePath);
+  }
+
+  const handle = await fs.open(filePath, 'r');
+  let range;
+  try {
+    switch (ext) {
+      case '.mp3':
+        range = await mpegAudioRange(handle, size);
+        break;
+      case '.flac':
+        range = await flacAudioRange(handle, size);
+        break;
+      case '.wav':
+        range = await riffAudioRange(handle, size);
+        break;
+      case '.m4a':
+        range = await mp4AudioRange(handle, size);
+        break;
+      default:
+        range = { start: 0, end: size };
+    }
+  } finally {
+    await handle.close();
+  }
+
+  return hashRange(filePath, range.start, range.end);
+}
+
+// Добавление записи в индексы
+function indexRecord(record) {
+  records.set(record.id, record);
+  pathIndex.set(record.path, record.id);
+
+  const ids = fingerprintIndex.get(record.fingerprint) || [];
+  if (!ids.includes(record.id)) ids.push(record.id);
+  fingerprintIndex.set(record.fingerprint, ids);
+}
+
+// Удаление записи из индексов пути и отпечатка (перед обновлением)
+function unindexRecord(record) {
+  if (pathIndex.get(record.path) === record.id) {
+    pathIndex.delete(record.path);
+  }
+
+  const ids = (fingerprintIndex.get(record.fingerprint) || []).filter((id) => id !== record.id);
+  if (ids.length > 0) {
+    fingerprintIndex.set(record.fingerprint, ids);
+  } else {
+    fingerprintIndex.delete(record.fingerprint);
+  }
+}
+
+// Существует ли файл
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Запись реестра на диск (через временный файл, чтобы не повредить его при сбое)
+// Записи выполняются по очереди, чтобы не переименовывать один временный файл дважды
+function writeRegistry() {
+  writeChain = writeChain.catch(() => {}).then(async () => {
+    const data = {
+      version: 1,
+      tracks: Object.fromEntries(records),
+    };
+
+    const tmpFile = `${REGISTRY_FILE}.tmp`;
+    await fs.mkdir(path.dirname(REGISTRY_FILE), { recursive: true });
+    await fs.writeFile(tmpFile, JSON.stringify(data, null, 2));
+    await fs.rename(tmpFile, REGISTRY_FILE);
+  });
+  return writeChain;
+}
+
+// Отложенное сохранение: несколько изменений подряд записываются один раз
+function scheduleSave() {
+  if (saveTimer) return;
+
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    writeRegistry().catch((error) => {
+      console.error('❌ Ошибка сохранения реестра треков:', error);
+    });
+  }, 1000);
+}
+
+// Обновление пути и размеров у существующей записи
+function updateRecord(record, changes) {
+  unindexRecord(record);
+  Object.assign(record, changes);
+  indexRecord(record);
+  scheduleSave();
+  return record;
+}
+
+// Поиск или регистрация трека
+async function resolveTrackUnsafe(filePath, stat) {
+  const relativePath = path.relative(TRACKS_DIR, filePath);
+
+  // Быстрый путь: файл на месте и не изменялся - отпечаток не пересчитываем
+  const knownId = pathIndex.get(relativePath);
+  const known = knownId ? records.get(knownId) : null;
+  if (known && known.size === stat.size && known.mtimeMs === stat.mtimeMs) {
+    return known;
+  }
+
+  const fingerprint = await fingerprintAudio(filePath, stat.size);
+  const fileInfo = { path: relativePath, size: stat.size, mtimeMs: stat.mtimeMs };
+
+  // Тот же звук: файл переименован, перемещен или у него изменились теги
+  for (const id of fingerprintIndex.get(fingerprint) || []) {
+    const record = records.get(id);
+    if (record.path === relativePath || !(await fileExists(path.join(TRACKS_DIR, record.path)))) {
+      if (record.path !== relativePath && config.advanced.verboseLogging) {
+        console.log(`🔀 Трек перемещен: ${record.path} -> ${relativePath}`);
+      }
+      return updateRecord(record, fileInfo);
+    }
+  }
+
+  // Тот же путь, но звук изменился (например, файл перезаписан новой версией) - GUID сохраняем
+  if (known) {
+    if (config.advanced.verboseLogging) {
+      console.log(`♻️  Аудио изменилось, GUID сохранен: ${relativePath}`);
+    }
+    return updateRecord(known, { ...fileInfo, fingerprint });
+  }
+
+  // Новый трек
+  // GUID из пути и размера может быть занят старой записью (файл удален или перемещен,
+  // а на его место попал другой того же размера) - тогда добавляем отпечаток и счетчик
+  let guid = generateStableGuid(filePath, stat);
+  for (let attempt = 1; records.has(guid.replace('urn:uuid:', '')); attempt++) {
+    guid = generateStableGuid(`${filePath}:${fingerprint}:${attempt}`, stat);
+  }
+
+  const record = {
+    id: guid.replace('urn:uuid:', ''),
+    guid,
+    fingerprint,
+    ...fileInfo,
+    // При первичном импорте берем дату изменения файла, чтобы не перемешать существующий фид
+    firstSeen: (isInitialImport ? stat.mtime : new Date()).toISOString(),
+  };
+
+  indexRecord(record);
+  scheduleSave();
+
+  if (config.advanced.verboseLogging) {
+    console.log(`🆕 Новый трек в реестре: ${relativePath}`);
+  }
+
+  return record;
+}
+
+// Получение записи реестра для файла (GUID и дата первого появления)
+export function resolveTrack(filePath, stat) {
+  const result = queue.then(() => resolveTrackUnsafe(filePath, stat));
+  queue = result.catch(() => {});
+  return result;
+}
+
+// Получение записи по id (uuid из GUID)
+export function getTrackById(id) {
+  return records.get(id) || null;
+}
+
+// Загрузка реестра с диска
+export async function loadRegistry() {
+  try {
+    const data = JSON.parse(await fs.readFile(REGISTRY_FILE, 'utf8'));
+    for (const record of Object.values(data.tracks || {})) {
+      indexRecord(record);
+    }
+
+    if (config.advanced.verboseLogging) {
+      console.log(`🗂️  Загружен реестр треков: ${records.size} записей`);
+    }
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+    isInitialImport = true;
+  }
+}
+
+// Завершение первичного импорта: дальше новые треки получают текущую дату
+export function finishInitialImport() {
+  isInitialImport = false;
+}
+
+// Немедленное сохранение (при завершении работы)
+export async function flushRegistry() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+  await writeRegistry();
+}
@@ -0,0 +1,103 @@
+// schedule.js - Отложенная публикация: дата выхода трека и пересборка фидов по ее наступлении
+import config from './config.js';
+
+// Максимальная задержка таймера (setTimeout не поддерживает больше ~24.8 суток)
+const MAX_TIMER_DELAY = 24 * 60 * 60 * 1000;
+
+// Ближайшая дата окончания эмбарго и ее таймер
+let nextEmbargoAt = null;
+let embargoTimer = null;
+
+// Подписчики на окончание эмбарго
+const embargoListeners = new Set();
+
+// Настройки отложенной публикации
+function getSettings() {
+  return config.publishing || {};
+}
+
+// Разбор даты из правки, файла-спутника или тега (null, если дата не задана или некорректна)
+function parseDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Дата выхода из ID3-тегов (первый найденный фрейм из настроек)
+function getTagPublishDate(metadata) {
+  const frames = getSettings().id3Frames || [];
+  const tags = Object.values(metadata?.native || {}).flat();
+
+  for (const frame of frames) {
+    const tag = tags.find((t) => t.id === frame);
+    const date = parseDate(Array.isArray(tag?.value) ? tag.value[0] : tag?.value);
+    if (date) return date;
+  }
+
+  return null;
+}
+
+// Дата публикации трека (или null, если не задана)
+// Приоритет: правка в панели управления, файл-спутник, ID3-теги
+export function getPublishDate(entry, override = {}) {
+  if (getSettings().enabled === false) return null;
+
+  return parseDate(override.publishDate)
+    || parseDate(entry.sidecar?.data?.publishDate)
+    || getTagPublishDate(entry.metadata);
+}
+
+// Уведомление подписчиков о наступлении даты выхода
+function fireEmbargoEnd() {
+  embargoTimer = null;
+
+  // Дата дальше максимальной задержки таймера - ждем дальше
+  if (nextEmbargoAt > Date.now()) {
+    startTimer();
+    return;
+  }
+
+  nextEmbargoAt = null;
+
+  if (config.advanced.verboseLogging) {
+    console.log('⏰ Наступила дата публикации, обновляем фиды');
+  }
+
+  for (const listener of embargoListeners) {
+    try {
+      listener();
+    } catch (error) {
+      console.error('❌ Ошибка обработчика отложенной публикации:', error);
+    }
+  }
+}
+
+// Запуск таймера до ближайшей даты выхода
+function startTimer() {
+  clearTimeout(embargoTimer);
+
+  const delay = Math.min(Math.max(nextEmbargoAt - Date.now(), 0), MAX_TIMER_DELAY);
+  embargoTimer = setTimeout(fireEmbargoEnd, delay);
+  embargoTimer.unref();
+}
+
+// Запоминание даты выхода скрытого трека (таймер ставится на ближайшую)
+// После срабатывания фиды пересобираются и заново регистрируют оставшиеся даты
+export function scheduleEmbargoEnd(date) {
+  const time = date.getTime();
+  if (nextEmbargoAt !== null && nextEmbargoAt <= time) return;
+
+  nextEmbargoAt = time;
+  startTimer();
+
+  if (config.advanced.verboseLogging) {
+    console.log(`⏰ Следующая отложенная публикация: ${date.toISOString()}`);
+  }
+}
+
+// Подписка на окончание эмбарго
+export function onEmbargoEnd(listener) {
+  embargoListeners.add(listener);
+  return () => embargoListeners.delete(listener);
+}
@@ -2,35 +2,151 @@
 import express from 'express';
 import fs from 'fs/promises';
 import path from 'path';
-import { parseFile } from 'music-metadata';
+import crypto from 'crypto';
 import { XMLBuilder } from 'fast-xml-parser';
 import { fileURLToPath } from 'url';
 import sharp from 'sharp';
-import crypto from 'crypto';
 import https from 'https';
 import http from 'http';
 
 // Загружаем конфиг
 import config from './config.js';
+import { accessControl, initAccessControl, isAdminAuthConfigured, mediaUrl } from './access.js';
+import { initLibrary, rescanLibrary, getLibraryEntries, getLibraryEntry, getLibraryEntryById, getLibraryVersion, onLibraryChange } from './library.js';
+import {
+  MAIN_FEED_SLUG,
+  getMainFeed,
+  getFeeds,
+  getFeed,
+  getFeedPath,
+  getFeedCacheKey,
+  matchesFolderFilter,
+  matchesTrackFilter,
+  applyFeedQuery,
+  matchesFeedQuery,
+  sortFeedItems,
+} from './feeds.js';
+import { loadRegistry, flushRegistry, getTrackById } from './registry.js';
+import { loadOverrides, getOverride } from './overrides.js';
+import { createAdminRouter } from './admin.js';
+import { escapeHtml } from './html.js';
+import { createApiRouter } from './api.js';
+import { getPublishDate, scheduleEmbargoEnd, onEmbargoEnd } from './schedule.js';
+import { FEED_NAMESPACES, buildChannelTags, buildItemTags, getPodcastGuid, loadPodcastGuids, textToHtml } from './podcast.js';
+import { buildChaptersJson, formatChapterList } from './chapters.js';
+import { TRANSCRIPT_FORMATS, getTranscriptFormats, renderTranscript } from './transcripts.js';
+import { MIME_TYPES_BY_EXTENSION, getAudioMimeType, isCompatibleType } from './formats.js';
+import { validateFeed, formatReport } from './validator.js';
+import {
+  FEED_FORMATS,
+  OPML_MIME_TYPE,
+  negotiateFeedFormat,
+  buildJsonFeed,
+  buildAtomFeed,
+  buildM3uPlaylist,
+  buildXspfPlaylist,
+  buildOpml,
+} from './outputs.js';
+import { createCachedBody, sendCachedBody } from './delivery.js';
+import { getHubUrls, isFeedWatched, detectFeedChanges, publishFeedChanges, resumePendingDeliveries, flushFeedState, flushPendingDeliveries } from './notify.js';
+import { CLIENT_LABELS, loadStats, flushStats, downloadStats, getStatsSummary } from './stats.js';
+import {
+  FEED_HISTORY_NAMESPACE,
+  FULL_ARCHIVE,
+  FULL_ARCHIVE_FILENAME,
+  getPageCount,
+  getPageItems,
+  getPageLinks,
+  getHistoryMarker,
+  getItemPage,
+  parsePage,
+} from './paging.js';
+import {
+  cropToSquare,
+  resolveTrackCover,
+  getChannelCoverFilename,
+  getCoverRendition,
+  touchCover,
+  initCoverCache,
+  onCoversExpired,
+  getLastCoverCleanup,
+} from './covers.js';
+import {
+  initTranscoder,
+  isStreamFormat,
+  getStreamMimeType,
+  getEnclosureFormat,
+  getTranscodedSize,
+  getTranscodeError,
+  queueTranscode,
+  onTranscodeReady,
+  sendTranscoded,
+} from './transcoder.js';
 
 const app = express();
 
+// Доверяем X-Forwarded-For только от указанных прокси
+app.set('trust proxy', config.advanced.trustedProxies?.length ? config.advanced.trustedProxies : false);
+
 // Настройки из конфига
 const PORT = process.env.PORT || config.server.port;
 const HOST = config.server.host || 'localhost'; // Для прослушивания
 const TRACKS_DIR = config.paths.tracksDir;
 const COVERS_CACHE_DIR = config.paths.coversCacheDir;
+const DATA_DIR = config.paths.dataDir;
+
+// Сборщик XML для RSS
+const rssBuilder = new XMLBuilder({
+  ignoreAttributes: false,
+  format: true,
+  suppressEmptyNode: true,
+  attributeNamePrefix: '@_',
+  cdataPropName: '__cdata'
+});
 
-// Кэш для RSS-данных
-let rssCache = {
-  data: null,
-  lastUpdated: 0,
-  fileHash: '',
-  cacheDuration: config.cache.rssCacheDuration || 5 * 60 * 1000,
-};
+// Кэш RSS для каждого фида (и каждой комбинации фильтров из запроса, см. getFeedCacheKey):
+// ключ -> { feed, data, outputs, signature, baseUrl, lastUpdated, lastRequested, lastModified, version, cacheDuration, skipped, building }
+// outputs - готовые тела ответов (createCachedBody): "<формат>:<страница>" -> тело, собираются при первом запросе
+// signature - хэш содержимого фида без lastBuildDate, lastModified - когда содержимое последний раз менялось
+// version - версия индекса библиотеки, из которой собран фид
+const rssCaches = new Map();
 
-// Кэш для GUID файлов
-const fileGuidCache = new Map();
+// Вытеснение давно не запрашивавшихся фидов с фильтрами сверх cache.maxFilteredFeeds
+function evictFilteredFeeds() {
+  const filtered = [...rssCaches.entries()].filter(([, rssCache]) => rssCache.feed.query && !rssCache.building);
+  const excess = filtered.length - (config.cache.maxFilteredFeeds ?? 50);
+  if (excess <= 0) return;
+  
+  filtered
+    .sort(([, a], [, b]) => a.lastRequested - b.lastRequested)
+    .slice(0, excess)
+    .forEach(([key]) => rssCaches.delete(key));
+}
+
+// Получение (или создание) кэша фида
+function getRssCache(feed) {
+  const key = getFeedCacheKey(feed);
+  if (!rssCaches.has(key)) {
+    if (feed.query) {
+      evictFilteredFeeds();
+    }
+    rssCaches.set(key, {
+      feed,
+      data: null,
+      outputs: new Map(),
+      signature: '',
+      baseUrl: '',
+      lastUpdated: 0,
+      lastRequested: 0,
+      lastModified: null,
+      version: -1,
+      cacheDuration: config.cache.rssCacheDuration || 5 * 60 * 1000,
+      skipped: new Map(),
+      building: null,
+    });
+  }
+  return rssCaches.get(key);
+}
 
 // Функция для получения baseUrl на основе запроса
 function getBaseUrl(req) {
@@ -83,7 +199,7 @@ async function downloadImage(url) {
 
 // Создаем нужные папки
 async function initDirs() {
-  const dirs = [TRACKS_DIR, COVERS_CACHE_DIR];
+  const dirs = [TRACKS_DIR, COVERS_CACHE_DIR, DATA_DIR];
   
   for (const dir of dirs) {
     try {
@@ -110,119 +226,34 @@ function formatDuration(seconds) {
   return `${mins}:${secs.toString().padStart(2, '0')}`;
 }
 
-// Парсинг информации из имени папки/файла
-function parseTrackInfo(folderName, fileName) {
-  const separator = config.fileParsing.separator;
-  let artist = config.rss.author;
-  let title = path.parse(fileName).name;
-  
-  const folderParts = folderName.split(separator);
-  if (folderParts.length >= 2) {
-    artist = folderParts[0].trim();
-    title = folderParts.slice(1).join(separator).trim();
-  }
-  
-  return { artist, title };
-}
-
-// Генерация стабильного GUID
-function generateStableGuid(filePath, stat) {
-  try {
-    const fileKey = `${filePath}:${stat.size}`;
-    
-    if (fileGuidCache.has(fileKey)) {
-      return fileGuidCache.get(fileKey);
-    }
-    
-    const hash = crypto.createHash('sha256').update(fileKey).digest('hex');
-    const uuid = `${hash.substring(0, 8)}-${hash.substring(8, 12)}-${hash.substring(12, 16)}-${hash.substring(16, 20)}-${hash.substring(20, 32)}`;
-    const guid = `urn:uuid:${uuid}`;
-    
-    fileGuidCache.set(fileKey, guid);
-    return guid;
-  } catch (error) {
-    const backupHash = crypto.createHash('md5').update(filePath).digest('hex');
-    return `urn:uuid:${backupHash.substring(0, 8)}-${backupHash.substring(8, 12)}-${backupHash.substring(12, 16)}-${backupHash.substring(16, 20)}-${backupHash.substring(20, 32)}`;
-  }
-}
-
-// Функция для обрезки изображения в квадрат
-async function cropToSquare(imageBuffer, size = 3000) {
-  try {
-    const image = sharp(imageBuffer);
-    const metadata = await image.metadata();
-    
-    // Если изображение уже квадратное и нужного размера
-    if (metadata.width === metadata.height && metadata.width === size) {
-      return await image.jpeg({ quality: 90 }).toBuffer();
-    }
-    
-    // Определяем режим обрезки
-    const cropMode = config.rss.youtube.cropMode || 'crop';
-    
-    if (cropMode === 'crop') {
-      // Режим обрезки: обрезаем до квадрата по центру
-      const minSize = Math.min(metadata.width, metadata.height);
-      const left = Math.floor((metadata.width - minSize) / 2);
-      const top = Math.floor((metadata.height - minSize) / 2);
-      
-      return await image
-        .extract({ left, top, width: minSize, height: minSize })
-        .resize(size, size, { fit: 'fill' })
-        .jpeg({ quality: 90 })
-        .toBuffer();
-    } else {
-      // Режим background: сохраняем пропорции, добавляем фон
-      const ratio = Math.min(size / metadata.width, size / metadata.height);
-      const newWidth = Math.round(metadata.width * ratio);
-      const newHeight = Math.round(metadata.height * ratio);
-      
-      return await image
-        .resize(newWidth, newHeight, { fit: 'contain', background: { r: 255, g: 255, b: 255, alpha: 1 } })
-        .extend({
-          top: Math.floor((size - newHeight) / 2),
-          bottom: Math.ceil((size - newHeight) / 2),
-          left: Math.floor((size - newWidth) / 2),
-          right: Math.ceil((size - newWidth) / 2),
-          background: { r: 255, g: 255, b: 255, alpha: 1 }
-        })
-        .jpeg({ quality: 90 })
-        .toBuffer();
-    }
-  } catch (error) {
-    throw new Error(`Ошибка обрезки изображения: ${error.message}`);
-  }
-}
-
 // Скачивание и обработка обложки канала
-async function processChannelCover(baseUrl) {
+async function processChannelCover(baseUrl, channelImage) {
   try {
-    if (!config.rss.channelImage) {
+    if (!channelImage) {
       return '';
     }
     
-    // Создаем хэш URL обложки канала
-    const coverHash = crypto.createHash('md5').update(config.rss.channelImage).digest('hex').substring(0, 12);
-    const coverFilename = `channel_${coverHash}_${config.rss.youtube.coverSize}.jpg`;
+    const coverFilename = getChannelCoverFilename(channelImage);
     const coverPath = path.join(COVERS_CACHE_DIR, coverFilename);
     
     // Проверяем, существует ли уже обработанная обложка
     try {
       await fs.access(coverPath);
+      await touchCover(coverFilename);
       if (config.advanced.verboseLogging) {
         console.log(`🎨 Используется кэшированная обложка канала`);
       }
-      return `${baseUrl}/covers_cache/${coverFilename}`;
+      return mediaUrl(baseUrl, `/covers_cache/${coverFilename}`);
     } catch (e) {
       // Обложка не существует, нужно скачать и обработать
     }
     
     // Скачиваем обложку канала
     if (config.advanced.verboseLogging) {
-      console.log(`⬇️  Скачиваем обложку канала: ${config.rss.channelImage}`);
+      console.log(`⬇️  Скачиваем обложку канала: ${channelImage}`);
     }
     
-    const imageBuffer = await downloadImage(config.rss.channelImage);
+    const imageBuffer = await downloadImage(channelImage);
     
     // Обрезаем до квадрата
     const squareImage = await cropToSquare(imageBuffer, config.rss.youtube.coverSize);
@@ -234,7 +265,7 @@ async function processChannelCover(baseUrl) {
       console.log(`✅ Обложка канала обработана и сохранена`);
     }
     
-    return `${baseUrl}/covers_cache/${coverFilename}`;
+    return mediaUrl(baseUrl, `/covers_cache/${coverFilename}`);
     
   } catch (error) {
     if (config.advanced.verboseLogging) {
@@ -244,38 +275,39 @@ async function processChannelCover(baseUrl) {
   }
 }
 
-// Обработка обложки трека из ID3 тегов
-async function processTrackCover(metadata, filePath, stat, baseUrl) {
+// Обработка обложки трека: загруженной в панели, из тегов, картинки рядом с треком или заглушки
+async function processTrackCover(entry, baseUrl) {
+  const filePath = entry.file.path;
+  
   try {
-    // Если в треке нет обложки
-    if (!metadata.common?.picture?.[0]?.data) {
+    // Выбираем источник обложки
+    const cover = await resolveTrackCover(entry);
+    if (!cover) {
       return null;
     }
     
-    const picture = metadata.common.picture[0];
-    
-    // Создаем уникальное имя файла на основе хэша файла
-    const fileHash = crypto.createHash('md5').update(`${filePath}:${stat.size}`).digest('hex').substring(0, 12);
-    const coverFilename = `track_${fileHash}_${config.rss.youtube.coverSize}.jpg`;
+    const coverFilename = cover.filename;
     const coverPath = path.join(COVERS_CACHE_DIR, coverFilename);
     
     // Проверяем, существует ли уже обработанная обложка
     try {
       await fs.access(coverPath);
+      await touchCover(coverFilename);
       if (config.advanced.verboseLogging) {
         console.log(`🎨 Используется кэшированная обложка для ${path.basename(filePath)}`);
       }
-      return `${baseUrl}/covers_cache/${coverFilename}`;
+      return mediaUrl(baseUrl, `/covers_cache/${coverFilename}`);
     } catch (e) {
       // Обложка не существует, обрабатываем
     }
     
     if (config.advanced.verboseLogging) {
-      console.log(`✂️  Обрабатываем обложку для ${path.basename(filePath)}`);
+      console.log(`✂️  Обрабатываем обложку для ${path.basename(filePath)} (${cover.source})`);
     }
     
     // Обрезаем до квадрата
-    const squareImage = await cropToSquare(picture.data, config.rss.youtube.coverSize);
+    const imageData = await cover.load();
+    const squareImage = await cropToSquare(imageData, config.rss.youtube.coverSize);
     
     // Сохраняем
     await sharp(squareImage).toFile(coverPath);
@@ -284,7 +316,7 @@ async function processTrackCover(metadata, filePath, stat, baseUrl) {
       console.log(`✅ Обложка сохранена: ${coverFilename}`);
     }
     
-    return `${baseUrl}/covers_cache/${coverFilename}`;
+    return mediaUrl(baseUrl, `/covers_cache/${coverFilename}`);
     
   } catch (error) {
     if (config.advanced.verboseLogging) {
@@ -294,119 +326,250 @@ async function processTrackCover(metadata, filePath, stat, baseUrl) {
   }
 }
 
-// Поиск аудиофайлов
-async function findAudioFiles() {
-  const files = [];
+// Поиск совместимых альтернатив (MP3/M4A с тем же именем в той же папке)
+// Возвращает карту: путь исходного файла -> файл-альтернатива
+function findAlternatives(audioFiles) {
+  const byBaseName = new Map();
   
-  try {
-    const entries = await fs.readdir(TRACKS_DIR, { withFileTypes: true });
+  for (const file of audioFiles) {
+    const parsed = path.parse(file.path);
+    const key = path.join(parsed.dir, parsed.name);
+    if (!byBaseName.has(key)) byBaseName.set(key, []);
+    byBaseName.get(key).push(file);
+  }
+  
+  const alternatives = new Map();
+  
+  for (const group of byBaseName.values()) {
+    if (group.length < 2) continue;
     
-    for (const entry of entries) {
-      const entryPath = path.join(TRACKS_DIR, entry.name);
-      
-      if (entry.isDirectory()) {
-        const subEntries = await fs.readdir(entryPath);
-        for (const subEntry of subEntries) {
-          if (/\.(mp3|m4a|flac|wav|ogg)$/i.test(subEntry)) {
-            files.push({
-              path: path.join(entryPath, subEntry),
-              folder: entry.name,
-              filename: subEntry
-            });
-          }
-        }
-      } else if (/\.(mp3|m4a|flac|wav|ogg)$/i.test(entry.name)) {
-        files.push({
-          path: entryPath,
-          folder: '',
-          filename: entry.name
-        });
-      }
-    }
-  } catch (error) {
-    if (config.advanced.verboseLogging) {
-      console.error('❌ Ошибка чтения папки tracks:', error);
+    const compatible = group.find(f => isCompatibleType(MIME_TYPES_BY_EXTENSION[path.extname(f.path).toLowerCase()]));
+    if (!compatible) continue;
+    
+    for (const file of group) {
+      if (file !== compatible) alternatives.set(file.path, compatible);
     }
   }
   
-  return files;
+  return alternatives;
+}
+
+// Ссылка на файл в папке tracks
+function trackFileUrl(baseUrl, file) {
+  return mediaUrl(baseUrl, `/tracks/${encodeURIComponent(file.folder ? path.join(file.folder, file.filename) : file.filename)}`);
 }
 
-// Получение хэша содержимого папки
-async function getTracksFolderHash() {
+// id трека по запросу к /tracks (null, если файла нет в библиотеке)
+function getTrackIdByRequest(req) {
+  let relativePath;
   try {
-    const files = await findAudioFiles();
-    const fileInfo = files.map(f => `${f.path}:${f.filename}`).sort().join('|');
-    return crypto.createHash('md5').update(fileInfo).digest('hex');
-  } catch (error) {
-    return Date.now().toString();
+    relativePath = decodeURIComponent(req.path).replace(/^\/+/, '');
+  } catch (e) {
+    return null;
+  }
+  return getLibraryEntry(relativePath)?.track?.id || null;
+}
+
+// Участники выпуска для podcast:person из ID3 тегов (артист и композиторы)
+function getTrackPersons(channel, metadata, artist) {
+  if (channel.podcast?.trackPersons === false) return [];
+  
+  const persons = artist ? [{ name: artist, role: 'musician', group: 'music' }] : [];
+  for (const composer of metadata.common?.composer || []) {
+    if (composer && composer !== artist) {
+      persons.push({ name: composer, role: 'composer', group: 'music' });
+    }
   }
+  return persons;
+}
+
+// Ссылки на текст трека для podcast:transcript (форматы из rss.transcripts.formats)
+function getTrackTranscripts(entry, baseUrl, language) {
+  const formats = config.rss.transcripts?.formats || Object.keys(TRANSCRIPT_FORMATS);
+  
+  return getTranscriptFormats(entry.transcript)
+    .filter((format) => formats.includes(format))
+    .map((format) => ({
+      url: mediaUrl(baseUrl, `/transcripts/${entry.track.id}.${format}`),
+      type: TRANSCRIPT_FORMATS[format].mimeType,
+      language,
+      rel: TRANSCRIPT_FORMATS[format].rel,
+    }));
 }
 
 // Генерация RSS данных
-async function generateRssData(baseUrl) {
+// skipped - необязательная карта для причин пропуска треков (относительный путь -> причина)
+// itemPaths - необязательная карта item -> относительный путь файла (для проверки фида)
+async function generateRssData(baseUrl, feed = getMainFeed(), skipped = new Map(), itemPaths = new Map()) {
   const now = new Date();
+  const channel = feed.channel;
   
-  // Ищем аудиофайлы
-  const audioFiles = await findAudioFiles();
+  // Берем треки из индекса библиотеки (без сканирования папки)
+  const allEntries = getLibraryEntries();
   
-  if (audioFiles.length === 0) {
+  if (allEntries.length === 0) {
     throw new Error('No audio files found in tracks folder');
   }
   
+  // Оставляем только прочитанные без ошибок файлы из папки фида
+  const entries = allEntries.filter(entry => !entry.error && matchesFolderFilter(feed, entry.file));
+  const audioFiles = entries.map(entry => entry.file);
+  
   // Обрабатываем обложку канала
   let channelCoverUrl = '';
-  if (config.rss.channelImage) {
-    channelCoverUrl = await processChannelCover(baseUrl);
+  if (channel.channelImage) {
+    channelCoverUrl = await processChannelCover(baseUrl, channel.channelImage);
   }
   
+  // Режим совместимости форматов с YouTube
+  const compatibilityMode = config.rss.youtube.compatibilityMode || 'off';
+  const alternatives = compatibilityMode === 'alternative' ? findAlternatives(audioFiles) : new Map();
+  const usedAsAlternative = new Set([...alternatives.values()].map(f => f.path));
+  
   // Обрабатываем файлы
   const items = [];
   
-  for (let i = 0; i < audioFiles.length; i++) {
-    const file = audioFiles[i];
+  // Значения для сортировки по параметрам запроса: item -> { date, title, artist, duration }
+  const sortValues = new Map();
+  
+  for (const entry of entries) {
+    const { file, stat, metadata, track } = entry;
+    
+    // Файл уже используется как альтернатива для другого формата
+    if (usedAsAlternative.has(file.path)) {
+      continue;
+    }
     
     try {
-      const fileUrl = `${baseUrl}/tracks/${encodeURIComponent(file.folder ? path.join(file.folder, file.filename) : file.filename)}`;
-      const stat = await fs.stat(file.path);
-      const metadata = await parseFile(file.path);
+      // Информация из пути к файлу
+      const { title, album } = entry.info;
+      
+      // Правки из панели управления (важнее всего) и поля из файлов-спутников (важнее тегов)
+      const override = getOverride(track.id);
+      const sidecar = entry.sidecar?.data || {};
+      if (override.hidden) {
+        skipped.set(file.relativePath, 'скрыт в панели управления');
+        continue;
+      }
+      if (sidecar.hidden) {
+        skipped.set(file.relativePath, 'скрыт в файле-спутнике (hidden: true)');
+        continue;
+      }
+      
+      // Отложенная публикация: трек появится в фиде после даты выхода
+      const publishDate = getPublishDate(entry, override);
+      if (publishDate && publishDate > now) {
+        skipped.set(file.relativePath, `публикация запланирована на ${publishDate.toLocaleString()}`);
+        scheduleEmbargoEnd(publishDate);
+        continue;
+      }
+      
+      const artist = override.artist || sidecar.artist || metadata.common?.artist || entry.info.artist;
+      
+      // Проверяем фильтры фида по артисту и альбому
+      const trackFilterInfo = {
+        artist,
+        album: sidecar.album || metadata.common?.album || album,
+      };
+      if (!matchesTrackFilter(feed, trackFilterInfo)) {
+        continue;
+      }
       
-      // Парсим информацию
-      const { artist, title } = parseTrackInfo(file.folder, file.filename);
+      // Фильтры из параметров запроса (/rss.xml?genre=...&since=30d)
+      const pubDate = publishDate || new Date(track.firstSeen);
+      const trackQueryInfo = {
+        ...trackFilterInfo,
+        genres: metadata.common?.genre,
+        year: metadata.common?.year,
+        relativePath: file.relativePath,
+        duration: metadata.format?.duration,
+        date: pubDate,
+      };
+      if (!matchesFeedQuery(feed, trackQueryInfo, now.getTime())) {
+        continue;
+      }
+      
+      // Определяем, что отдавать в enclosure
+      let enclosureUrl = trackFileUrl(baseUrl, file);
+      let enclosureType = getAudioMimeType(metadata, file.path);
+      let enclosureLength = stat.size;
+      
+      // Lossless-исходники можно отдавать в транскодированном виде
+      // Трек появляется в фиде, когда транскодированный файл готов и известен его точный размер
+      const streamFormat = getEnclosureFormat(file.path);
+      if (streamFormat) {
+        const transcodedSize = await getTranscodedSize(track, streamFormat);
+        if (transcodedSize === null) {
+          const transcodeError = getTranscodeError(track, streamFormat);
+          skipped.set(file.relativePath, transcodeError
+            ? `не удалось транскодировать в ${streamFormat}: ${transcodeError}`
+            : `ожидает транскодирования в ${streamFormat}`);
+          queueTranscode(file.path, track, streamFormat);
+          continue;
+        }
+        enclosureUrl = mediaUrl(baseUrl, `/stream/${track.id}.${streamFormat}`);
+        enclosureType = getStreamMimeType(streamFormat);
+        enclosureLength = transcodedSize;
+      }
       
+      if (compatibilityMode !== 'off' && !isCompatibleType(enclosureType)) {
+        const alternative = alternatives.get(file.path);
+        
+        if (!alternative) {
+          skipped.set(file.relativePath, `формат ${enclosureType} не поддерживается YouTube`);
+          if (config.advanced.verboseLogging) {
+            console.log(`⏭️  Пропускаем ${file.filename}: формат ${enclosureType} не поддерживается YouTube`);
+          }
+          continue;
+        }
+        
+        const alternativeStat = await fs.stat(alternative.path);
+        enclosureUrl = trackFileUrl(baseUrl, alternative);
+        enclosureType = MIME_TYPES_BY_EXTENSION[path.extname(alternative.path).toLowerCase()];
+        enclosureLength = alternativeStat.size;
+      }
+
       // Обрабатываем обложку трека
       let coverUrl = null;
       if (config.rss.youtube.generateSquareCovers) {
-        coverUrl = await processTrackCover(metadata, file.path, stat, baseUrl);
+        coverUrl = await processTrackCover(entry, baseUrl);
       }
       
-      // Если у трека нет обложки, используем обложку канала
+      // Если обложку получить не удалось (или заглушки отключены), используем обложку канала
       if (!coverUrl && channelCoverUrl) {
         coverUrl = channelCoverUrl;
       }
       
-      // Создаем стабильный GUID
-      const guidValue = generateStableGuid(file.path, stat);
-      
       // Создаем item для RSS
+      const itemTitle = override.title || sidecar.title || metadata.common?.title || title;
+      const trackDescription = override.description || sidecar.description || metadata.common?.comment?.[0] || `${title} by ${artist}`;
+      
+      // Главы трека (cue, chapters.json, ID3 CHAP): ссылка на JSON глав и список глав в описании
+      const chapters = entry.chapters?.chapters || [];
+      const chapterList = chapters.length && config.rss.chapters?.inDescription !== false
+        ? formatChapterList(chapters, config.rss.chapters?.heading)
+        : null;
+      const description = chapterList ? `${trackDescription}\n\n${chapterList}` : trackDescription;
+      const notesHtml = override.description ? null : sidecar.html;
+      
       const item = {
-        title: metadata.common?.title || title,
-        pubDate: stat.mtime.toUTCString(),
-        link: fileUrl,
+        title: itemTitle,
+        pubDate: pubDate.toUTCString(),
+        link: sidecar.link || enclosureUrl,
         
         guid: {
-          '#text': guidValue,
+          '#text': track.guid,
           '@_isPermaLink': 'false'
         },
         
         'itunes:duration': formatDuration(metadata.format?.duration),
-        'itunes:author': metadata.common?.artist || artist,
-        'itunes:explicit': config.rss.explicit,
-        description: metadata.common?.comment?.[0] || `${title} by ${artist}`,
+        'itunes:author': artist,
+        'itunes:explicit': override.explicit || sidecar.explicit || channel.explicit,
+        description,
         enclosure: {
-          '@_type': 'audio/mpeg',
-          '@_url': fileUrl,
-          '@_length': stat.size
+          '@_type': enclosureType,
+          '@_url': enclosureUrl,
+          '@_length': enclosureLength
         }
       };
       
@@ -415,7 +578,25 @@ async function generateRssData(baseUrl) {
         item['itunes:image'] = { '@_href': coverUrl };
       }
       
+      // Теги iTunes и Podcasting 2.0: номер выпуска и сезон из правок, файла-спутника или тегов (номер трека и диска)
+      // Заметки из файла-спутника (Markdown) попадают в content:encoded (если описание не задано в панели)
+      const fromTags = channel.episodeNumbersFromTags;
+      Object.assign(item, buildItemTags({
+        title: itemTitle,
+        description,
+        html: notesHtml && chapterList ? `${notesHtml}\n${textToHtml(chapterList)}` : notesHtml,
+        episode: override.episode || sidecar.episode || (fromTags ? metadata.common?.track?.no : null),
+        season: override.season || sidecar.season || (fromTags ? metadata.common?.disk?.no : null),
+        episodeType: override.episodeType || sidecar.episodeType,
+        block: override.block || sidecar.block,
+        persons: sidecar.persons || getTrackPersons(channel, metadata, artist),
+        chaptersUrl: sidecar.chaptersUrl || (chapters.length ? mediaUrl(baseUrl, `/chapters/${track.id}.json`) : null),
+        transcripts: sidecar.transcripts || getTrackTranscripts(entry, baseUrl, channel.language),
+      }));
+      
       items.push(item);
+      itemPaths.set(item, file.relativePath);
+      sortValues.set(item, { date: pubDate, title: itemTitle, artist, duration: metadata.format?.duration });
       
       if (config.advanced.verboseLogging) {
         console.log(`📝 Добавлен трек: ${item.title}${coverUrl ? ' (с обложкой)' : ' (без обложки)'}`);
@@ -429,49 +610,46 @@ async function generateRssData(baseUrl) {
     }
   }
   
-  // Сортируем по дате (новые сверху)
-  items.sort((a, b) => new Date(b.pubDate) - new Date(a.pubDate));
+  // Сортируем (по умолчанию по дате, новые сверху) и ограничиваем по параметрам запроса sort, order, limit
+  const sortedItems = sortFeedItems(feed, items, (item) => sortValues.get(item));
   
-  // Ограничиваем количество
-  const maxItems = Math.min(items.length, config.advanced.maxTracksInRSS);
-  const limitedItems = items.slice(0, maxItems);
+  // В основной фид попадает первая страница (maxTracksInRSS), остальные треки - на следующих страницах и в полном архиве
+  sortedItems.forEach((item, index) => {
+    const page = getItemPage(index);
+    if (page > 1) {
+      skipped.set(itemPaths.get(item), `не входит в лимит maxTracksInRSS (${config.advanced.maxTracksInRSS}) - в архиве: ?page=${page} и /${FULL_ARCHIVE_FILENAME}`);
+    }
+  });
   
   // Собираем RSS
+  const channelImageUrl = channelCoverUrl || channel.channelImage;
+  // podcast:guid не зависит от адреса запроса и фильтров: только baseUrl из конфига (если задан) и slug фида
+  const podcastGuid = getPodcastGuid(channel, feed.slug, `${config.server.baseUrl || baseUrl}${getFeedPath({ slug: feed.slug })}`);
   const rssData = {
     rss: {
       '@_version': '2.0',
-      '@_xmlns:itunes': 'http://www.itunes.com/dtds/podcast-1.0.dtd',
+      ...FEED_NAMESPACES,
       channel: {
-        title: config.rss.title,
-        link: config.rss.link,
-        description: config.rss.description,
-        language: config.rss.language,
-        copyright: config.rss.copyright,
+        title: channel.title,
+        link: channel.link,
+        description: channel.description,
+        language: channel.language,
+        copyright: channel.copyright,
         lastBuildDate: now.toUTCString(),
-        webMaster: `${config.rss.email} (${config.rss.author})`,
+        webMaster: `${channel.email} (${channel.author})`,
         
         // Обложка канала (обязательно квадратная)
         image: {
-          url: channelCoverUrl || config.rss.channelImage,
-          title: config.rss.title,
-          link: config.rss.link
+          url: channelImageUrl,
+          title: channel.title,
+          link: channel.link
         },
         
-        // iTunes обложка канала
-        'itunes:image': {
-          '@_href': channelCoverUrl || config.rss.channelImage
-        },
+        // Теги iTunes, atom:link и Podcasting 2.0
+        ...buildChannelTags(channel, `${baseUrl}${getFeedPath(feed)}`, channelImageUrl, podcastGuid),
         
-        'itunes:owner': {
-          'itunes:name': config.rss.author,
-          'itunes:email': config.rss.email
-        },
-        'itunes:author': config.rss.author,
-        'itunes:explicit': config.rss.explicit,
-        'itunes:category': {
-          '@_text': config.rss.category
-        },
-        item: limitedItems
+        // Все треки; на страницы они делятся при отдаче (renderFeed)
+        item: sortedItems
       }
     }
   };
@@ -479,85 +657,347 @@ async function generateRssData(baseUrl) {
   return rssData;
 }
 
-// Основной RSS эндпоинт с кэшированием
-app.get('/rss.xml', async (req, res) => {
-  try {
-    // Автоматически определяем baseUrl на основе запроса
-    const baseUrl = getBaseUrl(req);
-    const now = Date.now();
-    
+// Сборка RSS фида и XML (параллельные вызовы для одного фида объединяются)
+function buildFeedCache(feed, baseUrl) {
+  const rssCache = getRssCache(feed);
+  if (rssCache.building) {
+    return rssCache.building;
+  }
+  
+  const version = getLibraryVersion();
+  
+  rssCache.building = (async () => {
     if (config.advanced.verboseLogging) {
-      console.log(`🌐 Используется baseUrl: ${baseUrl} (определен из запроса)`);
+      console.log(`🔄 Обновление RSS кэша (${getFeedCacheKey(feed)})...`);
     }
     
-    // Получаем текущий хэш папки с треками
-    const currentFolderHash = await getTracksFolderHash();
+    const skipped = new Map();
+    const itemPaths = new Map();
+    const data = await generateRssData(baseUrl, feed, skipped, itemPaths);
     
-    // Проверяем, нужно ли обновить кэш
-    const shouldRefreshCache = 
-      !rssCache.data ||
-      (now - rssCache.lastUpdated) > rssCache.cacheDuration ||
-      currentFolderHash !== rssCache.fileHash;
+    // Если содержимое не изменилось, оставляем прежнюю дату сборки:
+    // тогда у фида остается тот же ETag и агрегаторы получают 304
+    const { lastBuildDate, ...content } = data.rss.channel;
+    const signature = crypto.createHash('sha1').update(JSON.stringify(content)).digest('hex');
+    if (signature === rssCache.signature && rssCache.lastModified) {
+      data.rss.channel.lastBuildDate = rssCache.lastModified.toUTCString();
+    } else {
+      rssCache.signature = signature;
+      rssCache.lastModified = new Date(lastBuildDate);
+    }
     
-    if (shouldRefreshCache) {
-      if (config.advanced.verboseLogging) {
-        console.log(`🔄 Обновление RSS кэша...`);
-      }
-      
-      rssCache.data = await generateRssData(baseUrl);
-      rssCache.lastUpdated = now;
-      rssCache.fileHash = currentFolderHash;
-      
-      if (config.advanced.verboseLogging) {
-        console.log(`✅ RSS сгенерирован: ${rssCache.data.rss.channel.item.length} треков`);
+    // Изменился состав выпусков - уведомляем хабы WebSub и вебхуки (фиды с фильтрами из запроса не отслеживаются,
+    // остальные - только если их есть кому уведомлять)
+    if (!feed.query && isFeedWatched(feed.slug)) {
+      const changes = await detectFeedChanges(feed.slug, data.rss.channel.item, { itemPaths, baseUrl });
+      if (changes) {
+        publishFeedChanges(feed, baseUrl, changes);
       }
-    } else if (config.advanced.verboseLogging) {
-      console.log(`💾 Используется кэшированный RSS (возраст: ${Math.round((now - rssCache.lastUpdated) / 1000)}с)`);
     }
     
-    // Генерируем XML
-    const builder = new XMLBuilder({
-      ignoreAttributes: false,
-      format: true,
-      suppressEmptyNode: true,
-      attributeNamePrefix: '@_'
-    });
+    rssCache.feed = feed;
+    rssCache.data = data;
+    rssCache.outputs = new Map();
+    rssCache.skipped = skipped;
+    rssCache.baseUrl = baseUrl;
+    rssCache.lastUpdated = Date.now();
+    rssCache.version = version;
+    
+    if (config.advanced.verboseLogging) {
+      console.log(`✅ RSS сгенерирован (${getFeedCacheKey(feed)}): ${data.rss.channel.item.length} треков`);
+    }
+    
+    return rssCache;
+  })().finally(() => {
+    rssCache.building = null;
+  });
+  
+  return rssCache.building;
+}
+
+// Фид в формате format (rss, json, atom или плейлист m3u8, xspf) для страницы page (номер или FULL_ARCHIVE)
+// Страницы ссылаются друг на друга по RFC 5005, полный архив помечается fh:complete
+function renderFeed({ data, feed, baseUrl }, format, page) {
+  const filename = page === FULL_ARCHIVE ? FULL_ARCHIVE_FILENAME : FEED_FORMATS[format].filename;
+  const feedUrl = `${baseUrl}${getFeedPath(feed, filename)}`;
+  const pageUrl = (number) => number === 1 ? feedUrl : `${feedUrl}${feedUrl.includes('?') ? '&' : '?'}page=${number}`;
+  
+  const items = data.rss.channel.item;
+  const links = getPageLinks(pageUrl, page, getPageCount(items.length));
+  const selfUrl = page === FULL_ARCHIVE ? feedUrl : pageUrl(page);
+  const historyMarker = getHistoryMarker(page);
+  const pageData = { rss: { ...data.rss, channel: { ...data.rss.channel, item: getPageItems(items, page) } } };
+  const hubs = getHubUrls();
+  
+  if (format === 'json') {
+    return buildJsonFeed(pageData, feedUrl, links, hubs);
+  }
+  if (format === 'atom') {
+    return buildAtomFeed(pageData, selfUrl, links, historyMarker, hubs);
+  }
+  if (format === 'm3u8') {
+    return buildM3uPlaylist(pageData);
+  }
+  if (format === 'xspf') {
+    return buildXspfPlaylist(pageData, selfUrl);
+  }
+  
+  const channel = pageData.rss.channel;
+  channel['atom:link'] = [
+    { ...channel['atom:link'], '@_href': selfUrl },
+    ...links.map(link => ({ '@_href': link.href, '@_rel': link.rel, '@_type': FEED_FORMATS.rss.mimeType })),
+    ...hubs.map(hub => ({ '@_href': hub, '@_rel': 'hub' })),
+  ];
+  if (historyMarker) {
+    pageData.rss['@_xmlns:fh'] = FEED_HISTORY_NAMESPACE;
+    channel[historyMarker] = '';
+  }
+  
+  return rssBuilder.build(pageData);
+}
+
+// Готовое тело фида (собирается при первом запросе формата и страницы и хранится до пересборки)
+function getFeedOutput(rssCache, format, page) {
+  const key = `${format}:${page}`;
+  if (!rssCache.outputs.has(key)) {
+    rssCache.outputs.set(key, createCachedBody(renderFeed(rssCache, format, page)));
+  }
+  return rssCache.outputs.get(key);
+}
+
+// Фоновая пересборка фида (ошибки только логируются)
+function rebuildFeedInBackground(feed, baseUrl) {
+  buildFeedCache(feed, baseUrl).catch((error) => {
+    console.error(`❌ Ошибка фоновой генерации RSS (${feed.slug}):`, error);
+  });
+}
+
+// Получение RSS фида из кэша
+// Первый запрос ждет сборки, дальше отдается готовый XML, а устаревший фид пересобирается в фоне
+async function getFeedRssData(feed, baseUrl) {
+  const rssCache = getRssCache(feed);
+  rssCache.lastRequested = Date.now();
+  
+  if (!rssCache.data) {
+    return buildFeedCache(feed, baseUrl);
+  }
+  
+  const age = Date.now() - rssCache.lastUpdated;
+  const isStale = rssCache.version !== getLibraryVersion() || age > rssCache.cacheDuration;
+  
+  if (isStale) {
+    rebuildFeedInBackground(feed, baseUrl);
+  } else if (config.advanced.verboseLogging) {
+    console.log(`💾 Используется кэшированный RSS ${getFeedCacheKey(feed)} (возраст: ${Math.round(age / 1000)}с)`);
+  }
+  
+  return rssCache;
+}
+
+// Отдача фида в формате format (rss, json, atom, m3u8 или xspf)
+// page - FULL_ARCHIVE для полного архива, иначе номер страницы берется из ?page=
+// Фильтры из параметров запроса (artist, genre, since, ...) дают отдельный фид со своим кэшем
+async function sendFeed(req, res, feed, format = 'rss', page = parsePage(req.query.page)) {
+  if (page === null) {
+    return res.status(400).send('Invalid page');
+  }
+  
+  try {
+    feed = applyFeedQuery(feed, req.query);
+  } catch (error) {
+    return res.status(error.status || 400).send(error.message);
+  }
+  
+  // Автоматически определяем baseUrl на основе запроса
+  const baseUrl = getBaseUrl(req);
+  
+  if (config.advanced.verboseLogging) {
+    console.log(`🌐 Используется baseUrl: ${baseUrl} (определен из запроса)`);
+  }
+  
+  const rssCache = await getFeedRssData(feed, baseUrl);
+  
+  if (page !== FULL_ARCHIVE && page > getPageCount(rssCache.data.rss.channel.item.length)) {
+    return res.status(404).send('Page Not Found');
+  }
+  
+  // Готовый фид с ETag, ответом 304 на условный запрос и сжатием
+  await sendCachedBody(req, res, getFeedOutput(rssCache, format, page), {
+    contentType: `${FEED_FORMATS[format].mimeType}; charset=utf-8`,
+    lastModified: rssCache.lastModified,
+    maxAge: Math.round(rssCache.cacheDuration / 1000),
+  });
+}
+
+// Пересборка в фоне всех фидов, которые уже запрашивались
+// Фиды с фильтрами из запроса не пересобираются, а удаляются: их соберет следующий запрос
+function rebuildAllFeeds() {
+  for (const [key, rssCache] of rssCaches) {
+    if (rssCache.feed.query) {
+      rssCaches.delete(key);
+    } else if (rssCache.data) {
+      rebuildFeedInBackground(rssCache.feed, rssCache.baseUrl);
+    }
+  }
+}
+
+// При изменении библиотеки
+onLibraryChange(rebuildAllFeeds);
+
+// Наступила дата выхода отложенного трека
+onEmbargoEnd(rebuildAllFeeds);
+
+// Устаревшие обложки удалены из кэша - пересоздаем их пересборкой фидов
+onCoversExpired(rebuildAllFeeds);
+
+// Транскодированные файлы готовы - треки с ними попадают в фиды
+onTranscodeReady(rebuildAllFeeds);
+
+// Основной RSS эндпоинт с кэшированием
+app.get('/rss.xml', accessControl('feed'), async (req, res) => {
+  try {
+    await sendFeed(req, res, getMainFeed());
+  } catch (error) {
+    console.error('❌ Ошибка генерации RSS:', error);
+    res.status(500).send('Server Error');
+  }
+});
+
+// Полный архив основного фида: все треки без лимита maxTracksInRSS
+app.get(`/${FULL_ARCHIVE_FILENAME}`, accessControl('feed'), async (req, res) => {
+  try {
+    await sendFeed(req, res, getMainFeed(), 'rss', FULL_ARCHIVE);
+  } catch (error) {
+    console.error('❌ Ошибка генерации полного архива:', error);
+    res.status(500).send('Server Error');
+  }
+});
+
+// JSON Feed и Atom основного фида
+app.get('/feed.json', accessControl('feed'), async (req, res) => {
+  try {
+    await sendFeed(req, res, getMainFeed(), 'json');
+  } catch (error) {
+    console.error('❌ Ошибка генерации JSON Feed:', error);
+    res.status(500).send('Server Error');
+  }
+});
+
+app.get('/atom.xml', accessControl('feed'), async (req, res) => {
+  try {
+    await sendFeed(req, res, getMainFeed(), 'atom');
+  } catch (error) {
+    console.error('❌ Ошибка генерации Atom:', error);
+    res.status(500).send('Server Error');
+  }
+});
+
+// Плейлисты основного фида для медиаплееров: те же треки, фильтры и порядок, что и в /rss.xml
+app.get('/playlist.m3u8', accessControl('feed'), async (req, res) => {
+  try {
+    await sendFeed(req, res, getMainFeed(), 'm3u8');
+  } catch (error) {
+    console.error('❌ Ошибка генерации плейлиста M3U8:', error);
+    res.status(500).send('Server Error');
+  }
+});
+
+app.get('/playlist.xspf', accessControl('feed'), async (req, res) => {
+  try {
+    await sendFeed(req, res, getMainFeed(), 'xspf');
+  } catch (error) {
+    console.error('❌ Ошибка генерации плейлиста XSPF:', error);
+    res.status(500).send('Server Error');
+  }
+});
+
+// Список всех фидов сервера в OPML (подписка на все фиды сразу)
+app.get('/opml', accessControl('feed'), async (req, res) => {
+  try {
+    const baseUrl = getBaseUrl(req);
+    const feeds = [...(await getFeeds()).values()].map((feed) => ({
+      title: feed.channel.title,
+      description: feed.channel.description,
+      xmlUrl: `${baseUrl}${getFeedPath(feed)}`,
+      htmlUrl: feed.channel.link,
+      language: feed.channel.language,
+    }));
     
-    const xml = builder.build(rssCache.data);
+    const cached = createCachedBody(buildOpml(config.rss.title, feeds));
+    await sendCachedBody(req, res, cached, {
+      contentType: `${OPML_MIME_TYPE}; charset=utf-8`,
+      maxAge: Math.round((config.cache.rssCacheDuration || 5 * 60 * 1000) / 1000),
+    });
+  } catch (error) {
+    console.error('❌ Ошибка генерации OPML:', error);
+    res.status(500).send('Server Error');
+  }
+});
+
+// Основной фид в формате из заголовка Accept (RSS, JSON Feed или Atom)
+app.get('/feed', accessControl('feed'), async (req, res) => {
+  try {
+    res.vary('Accept');
+    await sendFeed(req, res, getMainFeed(), negotiateFeedFormat(req));
+  } catch (error) {
+    console.error('❌ Ошибка генерации фида:', error);
+    res.status(500).send('Server Error');
+  }
+});
+
+// Дополнительные фиды (из конфига и по папкам): rss.xml, rss-full.xml, feed.json, atom.xml, feed (по Accept)
+// и плейлисты playlist.m3u8, playlist.xspf
+app.get('/feeds/:slug/:filename(rss.xml|rss-full.xml|feed.json|atom.xml|feed|playlist.m3u8|playlist.xspf)', accessControl('feed'), async (req, res) => {
+  try {
+    const feed = await getFeed(req.params.slug);
+    if (!feed) {
+      return res.status(404).send('Feed Not Found');
+    }
     
-    // Добавляем заголовки
-    res.setHeader('Content-Type', 'application/rss+xml; charset=utf-8');
-    res.setHeader('Cache-Control', 'public, max-age=300');
-    res.setHeader('Last-Modified', new Date(rssCache.lastUpdated).toUTCString());
+    if (req.params.filename === FULL_ARCHIVE_FILENAME) {
+      return await sendFeed(req, res, feed, 'rss', FULL_ARCHIVE);
+    }
     
-    res.send(xml);
+    let format = Object.keys(FEED_FORMATS).find((key) => FEED_FORMATS[key].filename === req.params.filename);
+    if (!format) {
+      res.vary('Accept');
+      format = negotiateFeedFormat(req);
+    }
     
+    await sendFeed(req, res, feed, format);
   } catch (error) {
-    console.error('❌ Ошибка генерации RSS:', error);
+    console.error(`❌ Ошибка генерации фида (${req.params.slug}):`, error);
     res.status(500).send('Server Error');
   }
 });
 
+// Сверка библиотеки с папкой, сброс кэша всех фидов и пересборка указанного (по умолчанию основного)
+async function refreshFeeds(baseUrl, feed = getMainFeed()) {
+  await rescanLibrary();
+  rssCaches.clear();
+  return buildFeedCache(feed, baseUrl);
+}
+
 // Эндпоинт для принудительного обновления кэша
-app.get('/refresh-rss', async (req, res) => {
+// По умолчанию пересобирается основной фид, другой можно указать через ?feed=slug
+app.get('/refresh-rss', accessControl('admin'), async (req, res) => {
   try {
     const baseUrl = getBaseUrl(req);
-    const currentFolderHash = await getTracksFolderHash();
+    const feed = await getFeed(req.query.feed || MAIN_FEED_SLUG);
     
-    rssCache.data = null;
-    rssCache.lastUpdated = 0;
-    rssCache.fileHash = '';
+    if (!feed) {
+      return res.status(404).json({ success: false, error: 'Feed not found' });
+    }
     
-    const rssData = await generateRssData(baseUrl);
-    rssCache.data = rssData;
-    rssCache.lastUpdated = Date.now();
-    rssCache.fileHash = currentFolderHash;
+    const rssCache = await refreshFeeds(baseUrl, feed);
     
     res.json({
       success: true,
       message: 'RSS кэш обновлен',
       baseUrl: baseUrl,
-      itemsCount: rssData.rss.channel.item.length,
+      feed: feed.slug,
+      itemsCount: getPageItems(rssCache.data.rss.channel.item, 1).length,
+      archiveCount: rssCache.data.rss.channel.item.length,
       refreshedAt: new Date().toISOString()
     });
     
@@ -567,15 +1007,180 @@ app.get('/refresh-rss', async (req, res) => {
   }
 });
 
+// Проверка фида: та же сборка, что и для /rss.xml, плюс список проблем
+async function runValidation(baseUrl, feed) {
+  const skipped = new Map();
+  const itemPaths = new Map();
+  const data = await generateRssData(baseUrl, feed, skipped, itemPaths);
+  const result = await validateFeed(data, { baseUrl, itemPaths, skippedPaths: [...skipped.keys()] });
+  
+  return {
+    feed: feed.slug,
+    baseUrl,
+    ...result,
+    skipped: [...skipped].map(([path, reason]) => ({ path, reason })),
+  };
+}
+
+// Проверка фида на проблемы, из-за которых YouTube и каталоги его отклоняют
+app.get('/validate', accessControl('admin'), async (req, res) => {
+  try {
+    const feed = await getFeed(req.query.feed || MAIN_FEED_SLUG);
+    if (!feed) {
+      return res.status(404).json({ success: false, error: 'Feed not found' });
+    }
+    
+    res.json(await runValidation(getBaseUrl(req), feed));
+  } catch (error) {
+    console.error('❌ Ошибка проверки фида:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Транскодированные версии треков
+app.get('/stream/:id.:format', accessControl('media'), downloadStats((req) => req.params.id), async (req, res) => {
+  try {
+    const { id, format } = req.params;
+    const track = getTrackById(id);
+    
+    if (!track || !isStreamFormat(format)) {
+      return res.status(404).send('Not Found');
+    }
+    
+    const sourcePath = path.join(TRACKS_DIR, track.path);
+    try {
+      await fs.access(sourcePath);
+    } catch (e) {
+      return res.status(404).send('Not Found');
+    }
+    
+    await sendTranscoded(req, res, sourcePath, track, format);
+    
+  } catch (error) {
+    console.error('❌ Ошибка транскодирования:', error);
+    if (!res.headersSent) {
+      res.status(500).send('Server Error');
+    }
+  }
+});
+
+// Главы трека в формате Podcasting 2.0: /chapters/<guid трека>.json (urn:uuid: в начале можно не указывать)
+app.get('/chapters/:guid.json', accessControl('media'), async (req, res) => {
+  try {
+    const id = req.params.guid.replace(/^urn:uuid:/, '');
+    const entry = getLibraryEntryById(id);
+    
+    if (!entry?.chapters?.chapters.length) {
+      return res.status(404).send('Not Found');
+    }
+    
+    // Главы могут прийти из отдельного файла, поэтому проверка свежести - только по ETag
+    const cached = createCachedBody(JSON.stringify(buildChaptersJson(entry.chapters.chapters), null, 2));
+    await sendCachedBody(req, res, cached, {
+      contentType: 'application/json+chapters; charset=utf-8',
+      maxAge: Math.round((config.cache.rssCacheDuration || 5 * 60 * 1000) / 1000),
+    });
+  } catch (error) {
+    console.error('❌ Ошибка отдачи глав:', error);
+    if (!res.headersSent) {
+      res.status(500).send('Server Error');
+    }
+  }
+});
+
+// Текст трека: /transcripts/<guid трека>.<vtt|srt|txt> (urn:uuid: в начале можно не указывать)
+// Субтитры (vtt, srt) есть только у текста с таймингом
+app.get('/transcripts/:guid.:format(vtt|srt|txt)', accessControl('media'), async (req, res) => {
+  try {
+    const id = req.params.guid.replace(/^urn:uuid:/, '');
+    const entry = getLibraryEntryById(id);
+    const { format } = req.params;
+    
+    if (!entry || !getTranscriptFormats(entry.transcript).includes(format)) {
+      return res.status(404).send('Not Found');
+    }
+    
+    const cached = createCachedBody(renderTranscript(entry.transcript, format));
+    await sendCachedBody(req, res, cached, {
+      contentType: `${TRANSCRIPT_FORMATS[format].mimeType}; charset=utf-8`,
+      maxAge: Math.round((config.cache.rssCacheDuration || 5 * 60 * 1000) / 1000),
+    });
+  } catch (error) {
+    console.error('❌ Ошибка отдачи текста трека:', error);
+    if (!res.headersSent) {
+      res.status(500).send('Server Error');
+    }
+  }
+});
+
+// Обложки нужного размера и формата: /covers/<id трека или channel>/<размер>.<jpeg|webp|avif>
+// Со ссылкой ?v=<версия> ответ кэшируется навсегда, без нее - проверяется по ETag
+app.get('/covers/:id/:size.:format', accessControl('media'), async (req, res) => {
+  try {
+    const size = Number(req.params.size);
+    const rendition = await getCoverRendition(req.params.id, size, req.params.format, req.query.feed);
+    
+    if (!rendition) {
+      return res.status(404).send('Not Found');
+    }
+    
+    const stat = await fs.stat(rendition.filePath);
+    res.setHeader('ETag', `"${rendition.version}-${size}.${req.params.format}-${Math.floor(stat.mtimeMs).toString(36)}"`);
+    res.setHeader('Last-Modified', stat.mtime.toUTCString());
+    res.setHeader('Cache-Control', req.query.v === rendition.version
+      ? 'public, max-age=31536000, immutable'
+      : 'public, no-cache');
+    res.type(rendition.mimeType);
+    
+    await touchCover(rendition.filePath);
+    
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    
+    res.setHeader('Content-Length', stat.size);
+    res.send(await fs.readFile(rendition.filePath));
+    
+  } catch (error) {
+    console.error('❌ Ошибка обработки обложки:', error);
+    if (!res.headersSent) {
+      res.status(500).send('Server Error');
+    }
+  }
+});
+
+// Панель управления треками
+app.use('/admin', accessControl('admin'), createAdminRouter({
+  getBaseUrl,
+  refreshFeeds,
+  getSkippedReasons: () => getRssCache(getMainFeed()).skipped,
+}));
+
+// API управления треками (те же права, что и у панели)
+app.use('/api', accessControl('admin'), createApiRouter({
+  getBaseUrl,
+  refreshFeeds,
+}));
+
 // Статические файлы
-app.use('/tracks', express.static(TRACKS_DIR));
-app.use('/covers_cache', express.static(COVERS_CACHE_DIR));
+// Скачивания учитываются в статистике (stats.js) после отправки ответа
+app.use('/tracks', accessControl('media'), downloadStats(getTrackIdByRequest), express.static(TRACKS_DIR));
+app.use('/covers_cache', accessControl('media'), (req, res, next) => {
+  // Запрошенная обложка не будет вытеснена из кэша первой
+  touchCover(req.path).finally(next);
+}, express.static(COVERS_CACHE_DIR));
 
 // Информационная страница
-app.get('/', (req, res) => {
+app.get('/', accessControl('admin'), async (req, res) => {
   const baseUrl = getBaseUrl(req);
+  const rssCache = getRssCache(getMainFeed());
+  const feeds = [...(await getFeeds()).values()].filter(feed => feed.slug !== MAIN_FEED_SLUG);
   const cacheAge = rssCache.lastUpdated ? Math.round((Date.now() - rssCache.lastUpdated) / 1000) : 0;
-  const itemsCount = rssCache.data?.rss?.channel?.item?.length || 0;
+  const archiveCount = rssCache.data?.rss?.channel?.item?.length || 0;
+  const itemsCount = getPageItems(rssCache.data?.rss?.channel?.item || [], 1).length;
+  const coverCleanup = getLastCoverCleanup();
+  const downloads = getStatsSummary();
+  const topTracks = downloads.tracks.slice(0, config.stats?.topTracks ?? 20);
   
   res.send(`
     <!DOCTYPE html>
@@ -597,6 +1202,9 @@ app.get('/', (req, res) => {
         .features { background: #f0fff0; padding: 10px; border-radius: 5px; margin: 10px 0; }
         .feature-item { margin: 5px 0; }
         .base-url-info { background: #fff8e1; padding: 10px; border-radius: 5px; margin: 10px 0; }
+        .stats { border-collapse: collapse; width: 100%; font-size: 14px; }
+        .stats th, .stats td { border-bottom: 1px solid #ddd; padding: 5px; text-align: left; }
+        .stats td.num { text-align: right; }
       </style>
     </head>
     <body>
@@ -611,12 +1219,52 @@ app.get('/', (req, res) => {
         
         <h2>📡 RSS Feed URL:</h2>
         <code class="url">${baseUrl}/rss.xml</code>
-        <p><a href="${baseUrl}/rss.xml" target="_blank" class="btn">Открыть RSS</a></p>
+        <p>
+          <a href="${baseUrl}/rss.xml" target="_blank" class="btn">Открыть RSS</a>
+          <a href="${baseUrl}/feed.json" target="_blank" class="btn">JSON Feed</a>
+          <a href="${baseUrl}/atom.xml" target="_blank" class="btn">Atom</a>
+          <a href="${baseUrl}/playlist.m3u8" class="btn">M3U8</a>
+          <a href="${baseUrl}/playlist.xspf" class="btn">XSPF</a>
+          <a href="${baseUrl}/opml" class="btn">OPML</a>
+        </p>
+        <p><small>Адрес ${baseUrl}/feed отдает RSS, JSON Feed или Atom в зависимости от заголовка Accept.
+          Плейлисты M3U8 и XSPF - для медиаплееров, OPML - все фиды сервера для подписки в агрегаторе</small></p>
+        
+        ${feeds.length > 0 ? `
+        <h2>📚 Другие фиды:</h2>
+        <ul>
+          ${feeds.map(feed => `
+          <li>
+            <strong>${escapeHtml(feed.channel.title)}</strong><br>
+            <code class="url">${baseUrl}${getFeedPath(feed)}</code>
+          </li>`).join('')}
+        </ul>
+        ` : ''}
         
         <h2>📊 Статус:</h2>
         <p>Возраст кэша: <strong>${cacheAge} секунд</strong></p>
-        <p>Треков в RSS: <strong>${itemsCount}</strong></p>
+        <p>Треков в RSS: <strong>${itemsCount}</strong>${archiveCount > itemsCount ? ` (всего ${archiveCount}: остальные на страницах <code>?page=2</code>... и в <a href="${baseUrl}/${FULL_ARCHIVE_FILENAME}">полном архиве</a>)` : ''}</p>
+        <p>Кэш обложек: ${coverCleanup ? `<strong>${coverCleanup.files} файлов, ${coverCleanup.sizeMB} из ${config.cache.maxSizeMB} МБ</strong> после очистки ${new Date(coverCleanup.at).toLocaleString()}` : '<strong>очистка еще не выполнялась</strong>'} (<a href="${baseUrl}/api/covers/stats">подробнее</a>)</p>
         <a href="${baseUrl}/refresh-rss" class="btn btn-refresh">🔄 Обновить RSS</a>
+        <a href="${baseUrl}/admin" class="btn">🎛️ Управление треками</a>
+        <a href="${baseUrl}/validate" class="btn">🩺 Проверить фид</a>
+        
+        <h2>📈 Скачивания:</h2>
+        <p>Всего: <strong>${downloads.totals.downloads}</strong>${downloads.since ? ` с ${new Date(downloads.since).toLocaleDateString()}` : ''}
+          (${Object.entries(CLIENT_LABELS).map(([type, label]) => `${label}: ${downloads.totals.clients[type] || 0}`).join(', ')}).
+          Запросов ботов: ${downloads.botRequests} (<a href="${baseUrl}/api/stats">JSON</a>)</p>
+        ${topTracks.length > 0 ? `
+        <table class="stats">
+          <tr><th>Трек</th><th>Скачиваний</th>${Object.values(CLIENT_LABELS).map(label => `<th>${label}</th>`).join('')}<th>Последнее</th></tr>
+          ${topTracks.map(track => `
+          <tr>
+            <td>${escapeHtml(track.title ? `${track.artist ? `${track.artist} - ` : ''}${track.title}` : track.path || track.id)}</td>
+            <td class="num"><strong>${track.downloads}</strong></td>
+            ${Object.keys(CLIENT_LABELS).map(type => `<td class="num">${track.clients[type] || 0}</td>`).join('')}
+            <td>${track.lastDownload ? new Date(track.lastDownload).toLocaleString() : ''}</td>
+          </tr>`).join('')}
+        </table>
+        ` : '<p><small>Скачиваний пока не было</small></p>'}
         
         <h2>🎯 Особенности:</h2>
         <div class="features">
@@ -651,11 +1299,77 @@ app.get('/', (req, res) => {
 });
 
 // Запуск сервера
+// Значение аргумента командной строки: --name value
+function getCliArgument(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+// Проверка фидов из командной строки: node server.js --validate [--feed slug] [--base-url URL]
+// Код выхода 1, если найдены ошибки
+async function validateFromCli() {
+  const baseUrl = getCliArgument('--base-url') || config.server.baseUrl || `http://localhost:${PORT}`;
+  const slug = getCliArgument('--feed');
+  
+  const feeds = slug ? [await getFeed(slug)] : [...(await getFeeds()).values()];
+  if (!feeds[0]) {
+    console.error(`❌ Фид не найден: ${slug}`);
+    return 1;
+  }
+  
+  let hasErrors = false;
+  for (const feed of feeds) {
+    const result = await runValidation(baseUrl, feed);
+    console.log(formatReport(feed.slug, result));
+    hasErrors = hasErrors || !result.valid;
+  }
+  
+  return hasErrors ? 1 : 0;
+}
+
 async function startServer() {
   await initDirs();
+  await initAccessControl();
+  await loadRegistry();
+  await initTranscoder();
+  await loadOverrides();
+  await initLibrary();
+  await initCoverCache();
+  await loadStats();
+  await loadPodcastGuids();
   
-  // Не инициализируем кэш при запуске, так как baseUrl зависит от запроса
-  if (config.advanced.verboseLogging) {
+  if (process.argv.includes('--validate')) {
+    const exitCode = await validateFromCli();
+    await flushRegistry();
+    process.exit(exitCode);
+  }
+  
+  // Повторы уведомлений, не доставленных до прошлой остановки
+  await resumePendingDeliveries();
+  
+  // Сохраняем реестр треков, статистику скачиваний, состав фидов и очередь уведомлений при остановке сервера
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+      Promise.all([
+        flushRegistry().catch((error) => console.error('❌ Ошибка сохранения реестра треков:', error)),
+        flushStats().catch((error) => console.error('❌ Ошибка сохранения статистики скачиваний:', error)),
+        flushFeedState().catch(() => {}),
+        flushPendingDeliveries().catch(() => {}),
+      ]).finally(() => process.exit(0));
+    });
+  }
+  
+  if (!isAdminAuthConfigured()) {
+    console.log('⚠️  Не заданы ни логин (advanced.basicAuth), ни токен API (advanced.apiToken): загрузка, удаление и правка треков отключены');
+  }
+  
+  // Если baseUrl задан в конфиге - собираем все фиды заранее,
+  // иначе кэш появится после первого запроса (baseUrl зависит от запроса)
+  if (config.server.baseUrl) {
+    for (const feed of (await getFeeds()).values()) {
+      rebuildFeedInBackground(feed, config.server.baseUrl);
+    }
+  } else if (config.advanced.verboseLogging) {
     console.log(`⚠️  Кэш не инициализирован при запуске (нужен первый запрос для определения baseUrl)`);
   }
   
@@ -669,6 +1383,11 @@ async function startServer() {
 
 📡 RSS Feed URL: будет определен автоматически при запросе
 🔧 Управление кэшем: /refresh-rss
+📰 Другие форматы: /feed.json (JSON Feed), /atom.xml (Atom), /feed (по заголовку Accept)
+📚 Архив: /rss.xml?page=N (по maxTracksInRSS треков) и /rss-full.xml (все треки)
+🩺 Проверка фида: /validate (или node server.js --validate)
+📈 Статистика скачиваний: /api/stats
+🖼️  Обложки любого размера: /covers/<id трека или channel>/<размер>.<jpeg|webp|avif>
 📧 Email для YouTube: ${config.rss.email}
 
 ⚙️ Определение адреса: ${config.server.baseUrl ? 'фиксированный из конфига' : 'автоматически из запроса'}
@@ -686,7 +1405,7 @@ async function startServer() {
 💡 Советы:
    - Добавьте обложки в MP3 файлы через ID3 теги
    - YouTube создаст квадратные видео из обложек
-   - После добавления файлов обновите RSS через /refresh-rss
+   - Новые файлы подхватываются автоматически, /refresh-rss - принудительная пересборка
    - Для внешнего доступа настройте проброс порта ${PORT} на роутере
     `);
   });
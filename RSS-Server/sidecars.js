@@ -0,0 +1,281 @@
+// sidecars.js - Файлы-спутники с метаданными треков: "track.mp3.yml", "track.json" и meta.json папки
+import fs from 'fs/promises';
+import path from 'path';
+import YAML from 'yaml';
+import { marked } from 'marked';
+
+import { sanitizeHtml } from './html.js';
+
+// Файл-спутник трека: первый найденный из списка ("track.mp3" -> "track.mp3.yml", ..., "track.json")
+const TRACK_SIDECAR_SUFFIXES = ['.yml', '.yaml', '.json'];
+
+// Файл папки: общие поля для всех треков папки и поля отдельных треков (tracks: { "file.mp3": {...} })
+const FOLDER_META_NAMES = ['meta.json', 'meta.yml', 'meta.yaml'];
+
+// Разобранные meta.json папок: путь -> { mtimeMs, data, errors }
+const folderMetaCache = new Map();
+
+// Подписи файлов-спутников, ошибки которых уже выведены в лог: путь трека -> подпись
+const loggedErrors = new Map();
+
+// Допустимые значения
+const EPISODE_TYPES = ['full', 'trailer', 'bonus'];
+const EXPLICIT_VALUES = { true: 'yes', false: 'no', yes: 'yes', no: 'no', clean: 'no' };
+
+// Проверки полей: значение -> нормализованное значение или undefined (ошибка message)
+const isUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (e) {
+    return false;
+  }
+};
+
+const string = (value) => typeof value === 'string' && value.trim() ? value : undefined;
+const url = (value) => typeof value === 'string' && isUrl(value) ? value : undefined;
+const boolean = (value) => typeof value === 'boolean' ? value : undefined;
+const positiveInteger = (value) => Number.isInteger(value) && value > 0 ? value : undefined;
+const oneOf = (values) => (value) => values.includes(value) ? value : undefined;
+
+// Массив объектов: обязательные поля и проверки полей
+function objectList(fields, required) {
+  return (value) => {
+    if (!Array.isArray(value)) return undefined;
+
+    const result = [];
+    for (const item of value) {
+      if (!item || typeof item !== 'object' || required.some((field) => item[field] === undefined)) return undefined;
+
+      const normalized = {};
+      for (const [field, check] of Object.entries(fields)) {
+        if (item[field] === undefined) continue;
+        normalized[field] = check(item[field]);
+        if (normalized[field] === undefined) return undefined;
+      }
+      result.push(normalized);
+    }
+    return result;
+  };
+}
+
+// Схема файла-спутника: поле -> { check, message }
+const SIDECAR_SCHEMA = {
+  title: { check: string, message: 'непустая строка' },
+  artist: { check: string, message: 'непустая строка' },
+  album: { check: string, message: 'непустая строка' },
+  description: { check: string, message: 'непустая строка' },
+  notes: { check: string, message: 'непустая строка (Markdown)' },
+  link: { check: url, message: 'http(s) ссылка' },
+  explicit: {
+    check: (value) => {
+      const key = String(value).toLowerCase();
+      return Object.hasOwn(EXPLICIT_VALUES, key) ? EXPLICIT_VALUES[key] : undefined;
+    },
+    message: 'true/false, yes/no или clean',
+  },
+  episode: { check: positiveInteger, message: 'целое число больше 0' },
+  season: { check: positiveInteger, message: 'целое число больше 0' },
+  episodeType: { check: oneOf(EPISODE_TYPES), message: EPISODE_TYPES.join(', ') },
+  block: { check: boolean, message: 'true или false' },
+  hidden: { check: boolean, message: 'true или false' },
+  publishDate: {
+    // YAML сам превращает даты без кавычек в Date
+    check: (value) => {
+      const date = value instanceof Date ? value : typeof value === 'string' ? new Date(value) : null;
+      return date && !Number.isNaN(date.getTime()) ? date.toISOString() : undefined;
+    },
+    message: 'дата (2024-05-01 или 2024-05-01T18:00:00+03:00)',
+  },
+  chaptersUrl: { check: url, message: 'http(s) ссылка' },
+  transcripts: {
+    check: objectList({ url, type: string, language: string, rel: string }, ['url', 'type']),
+    message: 'список { url, type, language, rel }',
+  },
+  persons: {
+    check: objectList({ name: string, role: string, group: string, href: url, img: url }, ['name']),
+    message: 'список { name, role, group, href, img }',
+  },
+};
+
+// Проверка данных по схеме: { data (только корректные поля), errors }
+// Некорректные и неизвестные поля пропускаются с ошибкой, остальные применяются
+export function validateSidecar(raw, source) {
+  const data = {};
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { data, errors: [`${source}: ожидается объект с полями`] };
+  }
+
+  for (const [field, value] of Object.entries(raw)) {
+    const rule = Object.hasOwn(SIDECAR_SCHEMA, field) ? SIDECAR_SCHEMA[field] : null;
+    if (!rule) {
+      errors.push(`${source}: неизвестное поле ${field}`);
+      continue;
+    }
+    if (value === null || value === undefined) continue;
+
+    const normalized = rule.check(value);
+    if (normalized === undefined) {
+      errors.push(`${source}: ${field} - ожидается ${rule.message}`);
+      continue;
+    }
+    data[field] = normalized;
+  }
+
+  return { data, errors };
+}
+
+// Разбор YAML или JSON по расширению
+async function parseFile(filePath) {
+  const text = await fs.readFile(filePath, 'utf8');
+  return path.extname(filePath) === '.json' ? JSON.parse(text) : YAML.parse(text);
+}
+
+// Первый существующий файл из списка: { filePath, mtimeMs } или null
+async function findFile(candidates) {
+  for (const filePath of candidates) {
+    try {
+      const stat = await fs.stat(filePath);
+      if (stat.isFile()) return { filePath, mtimeMs: stat.mtimeMs };
+    } catch (e) {
+      // Нет такого файла
+    }
+  }
+  return null;
+}
+
+// Файл рядом с треком с одним из окончаний: { filePath, mtimeMs } или null
+// Сначала "track.mp3<окончание>", затем "track<окончание>" (главы, субтитры и т.п.)
+export async function findCompanionFile(filePath, suffixes) {
+  const { dir, name, base } = path.parse(filePath);
+  return findFile([
+    ...suffixes.map((suffix) => path.join(dir, `${base}${suffix}`)),
+    ...suffixes.map((suffix) => path.join(dir, `${name}${suffix}`)),
+  ]);
+}
+
+// Текст файла рядом с треком: UTF-8 без BOM, а если в нем битые символы - Windows-1251 (cue и lrc из старых программ)
+export async function readCompanionText(filePath) {
+  const buffer = await fs.readFile(filePath);
+  const text = buffer.toString('utf8');
+  return (text.includes('\uFFFD') ? new TextDecoder('windows-1251').decode(buffer) : text).replace(/^\uFEFF/, '');
+}
+
+// Файлы-спутники трека: { track, folder } (каждый - { filePath, mtimeMs } или null)
+async function findSidecarFiles(filePath) {
+  const { dir } = path.parse(filePath);
+
+  return {
+    track: await findCompanionFile(filePath, TRACK_SIDECAR_SUFFIXES),
+    folder: await findFile(FOLDER_META_NAMES.map((metaName) => path.join(dir, metaName))),
+  };
+}
+
+// Подпись файлов-спутников трека (пути и время изменения) или null, если их нет
+// По ней индекс библиотеки понимает, что метаданные нужно перечитать (порядок файлов - как в readSidecar)
+export async function getSidecarSignature(filePath) {
+  const { track, folder } = await findSidecarFiles(filePath);
+  const files = [folder, track].filter(Boolean);
+  return files.length ? files.map((file) => `${file.filePath}:${file.mtimeMs}`).join('|') : null;
+}
+
+// Чтение и проверка meta.json папки (кэшируется до изменения файла)
+async function readFolderMeta({ filePath, mtimeMs }) {
+  const cached = folderMetaCache.get(filePath);
+  if (cached?.mtimeMs === mtimeMs) return cached;
+
+  const source = path.basename(filePath);
+  let meta;
+  try {
+    const raw = await parseFile(filePath);
+    const { tracks, ...defaults } = raw && typeof raw === 'object' ? raw : {};
+    const validated = validateSidecar(defaults, source);
+
+    meta = { mtimeMs, data: validated.data, errors: validated.errors, tracks: new Map() };
+    for (const [filename, fields] of Object.entries(tracks && typeof tracks === 'object' ? tracks : {})) {
+      meta.tracks.set(filename, validateSidecar(fields, `${source} (${filename})`));
+    }
+  } catch (error) {
+    meta = { mtimeMs, data: {}, errors: [`${source}: ${error.message}`], tracks: new Map() };
+  }
+
+  folderMetaCache.set(filePath, meta);
+  return meta;
+}
+
+// Markdown в HTML для content:encoded (HTML внутри Markdown очищается по белому списку)
+function renderMarkdown(markdown) {
+  return sanitizeHtml(marked.parse(markdown, { gfm: true, breaks: true })).trim();
+}
+
+// Текст из HTML (описание, если в спутнике есть только notes)
+function htmlToText(html) {
+  return html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|h[1-6]|li|blockquote|pre)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Чтение файлов-спутников трека: { signature, files, data, errors } или null
+// Поля объединяются: meta.json папки < его раздел tracks для этого файла < файл-спутник трека
+// Из notes (Markdown) добавляется html для content:encoded
+export async function readSidecar(filePath) {
+  const { track, folder } = await findSidecarFiles(filePath);
+  if (!track && !folder) return null;
+
+  const data = {};
+  const errors = [];
+  const files = [];
+
+  if (folder) {
+    const meta = await readFolderMeta(folder);
+    const trackMeta = meta.tracks.get(path.basename(filePath));
+
+    Object.assign(data, meta.data, trackMeta?.data);
+    errors.push(...meta.errors, ...(trackMeta?.errors || []));
+    files.push(folder);
+  }
+
+  if (track) {
+    const source = path.basename(track.filePath);
+    try {
+      const validated = validateSidecar(await parseFile(track.filePath), source);
+      Object.assign(data, validated.data);
+      errors.push(...validated.errors);
+    } catch (error) {
+      errors.push(`${source}: ${error.message}`);
+    }
+    files.push(track);
+  }
+
+  if (data.notes) {
+    data.html = renderMarkdown(data.notes);
+    data.description = data.description || htmlToText(data.html);
+  }
+
+  // Ошибки выводятся один раз, пока файлы не изменятся; полный список - в /validate
+  const signature = files.map((file) => `${file.filePath}:${file.mtimeMs}`).join('|');
+  if (errors.length && loggedErrors.get(filePath) !== signature) {
+    for (const error of errors) {
+      console.log(`⚠️  Ошибка в файле-спутнике трека ${path.basename(filePath)}: ${error}`);
+    }
+    loggedErrors.set(filePath, signature);
+  } else if (!errors.length) {
+    loggedErrors.delete(filePath);
+  }
+
+  return {
+    signature,
+    files: files.map((file) => file.filePath),
+    data,
+    errors,
+  };
+}
@@ -0,0 +1,258 @@
+// stats.js - Статистика скачиваний треков: уникальные скачивания, фильтр ботов и типы клиентов
+import fs from 'fs/promises';
+import path from 'path';
+
+import config from './config.js';
+import { getLibraryEntryById } from './library.js';
+import { getTrackById } from './registry.js';
+
+const STATS_FILE = path.join(config.paths.dataDir, 'stats.json');
+
+// Типы клиентов по User-Agent (проверяются по порядку, первый подходящий)
+// bot - не считается скачиванием, учитывается только общее количество запросов ботов
+const CLIENT_TYPES = [
+  { type: 'youtube', pattern: /youtube|google-?podcast/i },
+  { type: 'bot', pattern: /bot\b|bot\/|crawl|spider|slurp|curl|wget|python|java\/|go-http|okhttp|httpclient|axios|node-fetch|headless|phantom|facebookexternalhit|preview|monitor|uptime|feedvalidator/i },
+  { type: 'app', pattern: /podcast|applecoremedia|itunes|overcast|pocket ?casts|castbox|castro|spotify|podbean|player ?fm|antennapod|podverse|fountain|stitcher|deezer|downcast|podkicker|gpodder/i },
+  { type: 'player', pattern: /vlc|mpv|kodi|foobar|winamp|lavf|gstreamer|mplayer|music player daemon|sonos|roku|audacious|clementine|strawberry/i },
+  { type: 'browser', pattern: /mozilla\/.*(chrome|firefox|safari|edg|opera)/i },
+];
+
+// Названия типов клиентов (для страницы статуса)
+export const CLIENT_LABELS = {
+  youtube: 'YouTube',
+  app: 'Подкаст-приложения',
+  player: 'Плееры',
+  browser: 'Браузеры',
+  other: 'Другие',
+};
+
+// Статистика треков: id трека -> { downloads, bytes, clients: { тип -> число }, days: { 'YYYY-MM-DD' -> число }, firstDownload, lastDownload }
+// downloads - уникальные скачивания, bytes - все отправленные байты (включая повторные запросы Range
+// внутри одного скачивания), поэтому bytes / downloads не равно размеру файла
+const trackStats = new Map();
+
+// Запросы ботов (всего)
+let botRequests = 0;
+
+// С какого момента ведется статистика
+let since = null;
+
+// Недавние скачивания для объединения запросов Range: "id|ip|user-agent" -> { lastSeen }
+// Порядок вставки совпадает с порядком lastSeen (запись переставляется в конец при каждом запросе)
+const recentDownloads = new Map();
+
+// Больше записей о недавних скачиваниях не храним: вытесняются самые старые
+const MAX_RECENT_DOWNLOADS = 100000;
+
+// Таймер отложенного сохранения
+let saveTimer = null;
+
+// Очередь записей на диск
+let writeChain = Promise.resolve();
+
+// Настройки статистики
+function getSettings() {
+  return config.stats || {};
+}
+
+// Тип клиента по User-Agent
+export function classifyClient(userAgent) {
+  if (!userAgent) return 'other';
+  return CLIENT_TYPES.find(({ pattern }) => pattern.test(userAgent))?.type || 'other';
+}
+
+// Загрузка статистики с диска
+export async function loadStats() {
+  try {
+    const data = JSON.parse(await fs.readFile(STATS_FILE, 'utf8'));
+    for (const [id, stats] of Object.entries(data.tracks || {})) {
+      trackStats.set(id, stats);
+    }
+    botRequests = data.botRequests || 0;
+    since = data.since || null;
+
+    if (config.advanced.verboseLogging) {
+      console.log(`📈 Загружена статистика скачиваний: ${trackStats.size} треков`);
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('❌ Ошибка чтения статистики скачиваний:', error.message);
+    }
+  }
+}
+
+// Запись статистики на диск (через временный файл)
+function writeStats() {
+  writeChain = writeChain.catch(() => {}).then(async () => {
+    const data = {
+      version: 1,
+      since,
+      botRequests,
+      tracks: Object.fromEntries(trackStats),
+    };
+
+    const tmpFile = `${STATS_FILE}.tmp`;
+    await fs.mkdir(path.dirname(STATS_FILE), { recursive: true });
+    await fs.writeFile(tmpFile, JSON.stringify(data, null, 2));
+    await fs.rename(tmpFile, STATS_FILE);
+  });
+  return writeChain;
+}
+
+// Отложенное сохранение: скачивания за несколько секунд записываются один раз
+function scheduleSave() {
+  if (saveTimer) return;
+
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    writeStats().catch((error) => {
+      console.error('❌ Ошибка сохранения статистики скачиваний:', error);
+    });
+  }, 10 * 1000);
+  saveTimer.unref();
+}
+
+// Немедленное сохранение (при остановке сервера)
+export async function flushStats() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+  await writeStats();
+}
+
+// Окно объединения запросов в одно скачивание (мс)
+function getDedupeWindow() {
+  return getSettings().dedupeWindow || 24 * 60 * 60 * 1000;
+}
+
+// Удаление устаревших записей о недавних скачиваниях и самых старых сверх MAX_RECENT_DOWNLOADS
+// Записи идут от старых к новым, поэтому обход останавливается на первой актуальной
+function pruneRecentDownloads(now) {
+  for (const [key, recent] of recentDownloads) {
+    if (recentDownloads.size <= MAX_RECENT_DOWNLOADS && now - recent.lastSeen <= getDedupeWindow()) break;
+    recentDownloads.delete(key);
+  }
+}
+
+// Счетчики по дням: храним только последние historyDays дней
+function addDay(stats, now) {
+  const day = new Date(now).toISOString().slice(0, 10);
+  stats.days[day] = (stats.days[day] || 0) + 1;
+
+  const historyDays = getSettings().historyDays ?? 30;
+  const oldest = new Date(now - historyDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  for (const key of Object.keys(stats.days)) {
+    if (key < oldest) delete stats.days[key];
+  }
+}
+
+// Учет запроса медиафайла трека
+// Запросы Range с того же IP и User-Agent в пределах dedupeWindow считаются одним скачиванием
+export function recordDownload(trackId, { ip, userAgent, bytes }) {
+  const now = Date.now();
+  const client = classifyClient(userAgent);
+  since = since || new Date(now).toISOString();
+
+  if (client === 'bot') {
+    botRequests++;
+    scheduleSave();
+    return;
+  }
+
+  const key = `${trackId}|${ip}|${userAgent || ''}`;
+  const recent = recentDownloads.get(key);
+
+  if (!trackStats.has(trackId)) {
+    trackStats.set(trackId, { downloads: 0, bytes: 0, clients: {}, days: {}, firstDownload: null, lastDownload: null });
+  }
+  const stats = trackStats.get(trackId);
+  stats.bytes += bytes;
+
+  if (!recent || now - recent.lastSeen > getDedupeWindow()) {
+    stats.downloads++;
+    stats.clients[client] = (stats.clients[client] || 0) + 1;
+    addDay(stats, now);
+    stats.firstDownload = stats.firstDownload || new Date(now).toISOString();
+    stats.lastDownload = new Date(now).toISOString();
+  }
+  recentDownloads.delete(key);
+  recentDownloads.set(key, { lastSeen: now });
+  pruneRecentDownloads(now);
+
+  scheduleSave();
+}
+
+// Размер куска тела ответа в байтах (строки - в кодировке записи)
+function getChunkLength(chunk, encoding) {
+  if (typeof chunk === 'string') {
+    return Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+  }
+  return chunk?.length || 0;
+}
+
+// Middleware для маршрута медиафайлов: учитывает успешные GET после отправки ответа
+// getTrackId(req) - id трека по запросу или null (файл не из библиотеки)
+export function downloadStats(getTrackId) {
+  return (req, res, next) => {
+    if (getSettings().enabled === false || req.method !== 'GET') {
+      return next();
+    }
+
+    // Считаем байты тела, которые реально ушли в ответ: у потоковой отдачи (/stream) нет Content-Length
+    let bytes = 0;
+    const { write, end } = res;
+    res.write = function (chunk, encoding, ...rest) {
+      bytes += getChunkLength(chunk, encoding);
+      return write.call(this, chunk, encoding, ...rest);
+    };
+    res.end = function (chunk, encoding, ...rest) {
+      if (chunk && typeof chunk !== 'function') bytes += getChunkLength(chunk, encoding);
+      return end.call(this, chunk, encoding, ...rest);
+    };
+
+    res.on('finish', () => {
+      if (res.statusCode !== 200 && res.statusCode !== 206) return;
+
+      const trackId = getTrackId(req);
+      if (!trackId) return;
+
+      recordDownload(trackId, {
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+        bytes,
+      });
+    });
+    next();
+  };
+}
+
+// Сводка: { since, botRequests, totals: { downloads, bytes, clients }, tracks: [{ id, guid, title, artist, path, ...статистика }] }
+// bytes - отправленные байты без учета объединения запросов (см. trackStats)
+// Треки отсортированы по количеству скачиваний; у удаленных из библиотеки треков title и artist пустые
+export function getStatsSummary() {
+  const totals = { downloads: 0, bytes: 0, clients: {} };
+  const tracks = [];
+
+  for (const [id, stats] of trackStats) {
+    totals.downloads += stats.downloads;
+    totals.bytes += stats.bytes;
+    for (const [client, count] of Object.entries(stats.clients)) {
+      totals.clients[client] = (totals.clients[client] || 0) + count;
+    }
+
+    const entry = getLibraryEntryById(id);
+    tracks.push({
+      id,
+      guid: getTrackById(id)?.guid || null,
+      title: entry ? entry.metadata?.common?.title || entry.info.title : null,
+      artist: entry ? entry.metadata?.common?.artist || entry.info.artist : null,
+      path: entry?.file.relativePath || getTrackById(id)?.path || null,
+      ...stats,
+    });
+  }
+
+  tracks.sort((a, b) => b.downloads - a.downloads);
+  return { since, botRequests, totals, tracks };
+}
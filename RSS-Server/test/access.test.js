@@ -0,0 +1,77 @@
+// access.test.js - Белый список IP и подписанные ссылки на медиафайлы
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import config from '../config.js';
+
+config.advanced.basicAuth = { username: 'admin', password: 'secret' };
+config.advanced.signedMediaUrls = { enabled: true, secret: 'test-secret', ttl: 24 * 60 * 60 * 1000 };
+
+const { buildBlockList, isIpInList, initAccessControl, mediaUrl, accessControl } = await import('../access.js');
+await initAccessControl();
+
+// Запрос к middleware: возвращает статус ответа или 'next'
+function runMiddleware(middleware, { url, ip = '203.0.113.5', headers = {} }) {
+  const query = Object.fromEntries(new URL(url, 'http://localhost').searchParams);
+  const req = { originalUrl: url, query, ip, method: 'GET', get: (name) => headers[name.toLowerCase()] };
+  let result = 'next';
+  const res = {
+    setHeader() {},
+    status(code) {
+      result = code;
+      return this;
+    },
+    send() {},
+  };
+  middleware(req, res, () => {});
+  return result;
+}
+
+test('подсети IPv4 и IPv6, IPv4-mapped адреса', () => {
+  const list = buildBlockList(['10.0.0.0/8', '192.168.1.100', '2001:db8::/32']);
+
+  assert.equal(isIpInList(list, '10.20.30.40'), true);
+  assert.equal(isIpInList(list, '::ffff:10.1.2.3'), true);
+  assert.equal(isIpInList(list, '192.168.1.100'), true);
+  assert.equal(isIpInList(list, '192.168.1.101'), false);
+  assert.equal(isIpInList(list, '2001:db8::1'), true);
+  assert.equal(isIpInList(list, '2001:db9::1'), false);
+  assert.equal(isIpInList(list, 'not-an-ip'), false);
+});
+
+test('некорректные записи пропускаются, а не роняют сервер', (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+  const list = buildBlockList(['10.0.0.0/abc', '10.0.0.0/', '1.2.3.4/33', '::1/129', 'localhost', '127.0.0.1']);
+
+  assert.equal(log.mock.callCount(), 5);
+
+  assert.equal(isIpInList(list, '10.0.0.1'), false);
+  assert.equal(isIpInList(list, '1.2.3.4'), false);
+  assert.equal(isIpInList(list, '127.0.0.1'), true);
+});
+
+test('подписанная ссылка открывает медиафайл без логина', () => {
+  const url = mediaUrl('http://localhost:3000', '/tracks/Artist%20-%20Title%2Ftrack.mp3');
+  const { pathname, search } = new URL(url);
+
+  assert.match(search, /^\?exp=\d+&sig=[\w-]+$/);
+  assert.equal(runMiddleware(accessControl('media'), { url: `${pathname}${search}` }), 'next');
+});
+
+test('неверная или просроченная подпись требует логин', () => {
+  const { pathname, searchParams } = new URL(mediaUrl('http://localhost:3000', '/tracks/a.mp3'));
+  const exp = searchParams.get('exp');
+  const sig = searchParams.get('sig');
+
+  assert.equal(runMiddleware(accessControl('media'), { url: `${pathname}?exp=${exp}&sig=${sig}x` }), 401);
+  assert.equal(runMiddleware(accessControl('media'), { url: `/tracks/b.mp3?exp=${exp}&sig=${sig}` }), 401);
+  assert.equal(runMiddleware(accessControl('media'), { url: `${pathname}?exp=${Date.now() - 1000}&sig=${sig}` }), 401);
+});
+
+test('базовая аутентификация', () => {
+  const authorization = (user, password) => `Basic ${Buffer.from(`${user}:${password}`).toString('base64')}`;
+
+  assert.equal(runMiddleware(accessControl('admin'), { url: '/admin', headers: { authorization: authorization('admin', 'secret') } }), 'next');
+  assert.equal(runMiddleware(accessControl('admin'), { url: '/admin', headers: { authorization: authorization('admin', 'wrong') } }), 401);
+  assert.equal(runMiddleware(accessControl('admin'), { url: '/admin' }), 401);
+});
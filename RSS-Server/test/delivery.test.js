@@ -0,0 +1,94 @@
+// delivery.test.js - ETag, условные запросы (304) и сжатие готовых фидов
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import zlib from 'zlib';
+import express from 'express';
+
+import { createCachedBody, sendCachedBody } from '../delivery.js';
+
+const LAST_MODIFIED = new Date('2026-01-15T12:00:00Z');
+const feed = createCachedBody(`<rss>${'<item>выпуск</item>'.repeat(200)}</rss>`);
+const small = createCachedBody('<rss></rss>');
+
+let server;
+let port;
+
+before(async () => {
+  const app = express();
+  app.get('/feed.xml', (req, res) => sendCachedBody(req, res, feed, { contentType: 'application/rss+xml', lastModified: LAST_MODIFIED, maxAge: 300 }));
+  app.get('/small.xml', (req, res) => sendCachedBody(req, res, small, { contentType: 'application/rss+xml', maxAge: 300 }));
+
+  server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  port = server.address().port;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+// Запрос без автоматической распаковки: { status, headers, body }
+function request(path, { method = 'GET', headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path, method, headers }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+test('ответ 200 со строгим ETag, Last-Modified и Content-Length', async () => {
+  const response = await request('/feed.xml');
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.etag, `"${feed.etag}"`);
+  assert.equal(response.headers['last-modified'], LAST_MODIFIED.toUTCString());
+  assert.equal(response.headers['cache-control'], 'public, max-age=300');
+  assert.equal(Number(response.headers['content-length']), feed.body.length);
+  assert.deepEqual(response.body, feed.body);
+});
+
+test('If-None-Match и If-Modified-Since дают 304 без тела', async () => {
+  const byEtag = await request('/feed.xml', { headers: { 'If-None-Match': `"${feed.etag}"` } });
+  assert.equal(byEtag.status, 304);
+  assert.equal(byEtag.body.length, 0);
+
+  const byDate = await request('/feed.xml', { headers: { 'If-Modified-Since': LAST_MODIFIED.toUTCString() } });
+  assert.equal(byDate.status, 304);
+
+  const changed = await request('/feed.xml', { headers: { 'If-None-Match': '"stale"' } });
+  assert.equal(changed.status, 200);
+});
+
+test('у сжатого ответа свой ETag, и 304 только для той же кодировки', async () => {
+  const gzip = await request('/feed.xml', { headers: { 'Accept-Encoding': 'gzip' } });
+  assert.equal(gzip.status, 200);
+  assert.equal(gzip.headers['content-encoding'], 'gzip');
+  assert.equal(gzip.headers.etag, `"${feed.etag}-gzip"`);
+  assert.match(gzip.headers.vary, /Accept-Encoding/);
+  assert.deepEqual(zlib.gunzipSync(gzip.body), feed.body);
+
+  const brotli = await request('/feed.xml', { headers: { 'Accept-Encoding': 'br, gzip' } });
+  assert.equal(brotli.headers['content-encoding'], 'br');
+  assert.deepEqual(zlib.brotliDecompressSync(brotli.body), feed.body);
+
+  const sameEncoding = await request('/feed.xml', { headers: { 'Accept-Encoding': 'gzip', 'If-None-Match': gzip.headers.etag } });
+  assert.equal(sameEncoding.status, 304);
+
+  const otherEncoding = await request('/feed.xml', { headers: { 'Accept-Encoding': 'br', 'If-None-Match': gzip.headers.etag } });
+  assert.equal(otherEncoding.status, 200);
+});
+
+test('маленькие фиды не сжимаются, HEAD отдает только заголовки', async () => {
+  const response = await request('/small.xml', { headers: { 'Accept-Encoding': 'gzip' } });
+  assert.equal(response.headers['content-encoding'], undefined);
+  assert.equal(response.headers.etag, `"${small.etag}"`);
+  assert.equal(response.headers['last-modified'], undefined);
+
+  const head = await request('/feed.xml', { method: 'HEAD', headers: { 'Accept-Encoding': 'gzip' } });
+  assert.equal(head.status, 200);
+  assert.equal(head.body.length, 0);
+  assert.ok(Number(head.headers['content-length']) > 0);
+});
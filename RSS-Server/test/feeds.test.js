@@ -0,0 +1,86 @@
+// feeds.test.js - Фильтры фида из параметров запроса: разбор, ошибки 400, отбор и сортировка треков
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getMainFeed, getFeedPath, getFeedCacheKey, applyFeedQuery, matchesFeedQuery, sortFeedItems } from '../feeds.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-06-01T00:00:00Z');
+
+const feed = getMainFeed();
+
+// Ошибка разбора параметров: статус и текст
+function queryError(params) {
+  try {
+    applyFeedQuery(feed, params);
+  } catch (error) {
+    return { status: error.status, message: error.message };
+  }
+  return null;
+}
+
+test('без параметров фид не меняется', () => {
+  assert.equal(applyFeedQuery(feed, {}), feed);
+  assert.equal(applyFeedQuery(feed, { artist: '  ', unknown: 'x' }), feed);
+});
+
+test('каноничная строка запроса: порядок параметров, нормализованные значения, последний из повторов', () => {
+  const filtered = applyFeedQuery(feed, {
+    limit: '5', artist: ['Первый', ' Второй '], year: '2020-2020', maxDuration: '1:02:03', since: '2026-01-01',
+  });
+
+  assert.equal(filtered.queryString, 'artist=%D0%92%D1%82%D0%BE%D1%80%D0%BE%D0%B9&year=2020&since=2026-01-01T00%3A00%3A00.000Z&maxDuration=3723&limit=5');
+  assert.deepEqual(filtered.query.year, { from: 2020, to: 2020 });
+  assert.equal(filtered.query.maxDuration, 3723);
+  assert.equal(filtered.query.limit, 5);
+
+  assert.equal(getFeedPath(filtered), `/rss.xml?${filtered.queryString}`);
+  assert.equal(getFeedCacheKey(filtered), `main?${filtered.queryString}`);
+  assert.equal(getFeedCacheKey(applyFeedQuery(feed, { year: '2020' })), getFeedCacheKey(applyFeedQuery(feed, { year: '2020-2020' })));
+});
+
+test('некорректные значения - ошибка 400 с названием параметра', () => {
+  for (const [name, value] of [
+    ['year', '20'], ['year', '2020-21'], ['since', 'вчера'], ['since', '30x'], ['minDuration', '1:2:3:4'],
+    ['maxDuration', '-5'], ['limit', '0'], ['limit', 'all'], ['sort', 'size'], ['order', 'up'],
+  ]) {
+    const error = queryError({ [name]: value });
+    assert.equal(error?.status, 400, `${name}=${value}`);
+    assert.match(error.message, new RegExp(`Некорректный ${name}`));
+  }
+});
+
+test('отбор треков: текст без учета регистра, папка, годы, длительность и since', () => {
+  const track = {
+    artist: 'The Band', album: 'Live', genres: ['Rock', 'Blues'], year: 2019,
+    relativePath: 'Concerts/2019/live.mp3', duration: 300, date: new Date(NOW - 10 * DAY),
+  };
+  const matches = (params) => matchesFeedQuery(applyFeedQuery(feed, params), track, NOW);
+
+  assert.equal(matches({ artist: 'the band', genre: 'blues' }), true);
+  assert.equal(matches({ album: 'Studio' }), false);
+  assert.equal(matches({ folder: 'Concerts/' }), true);
+  assert.equal(matches({ folder: 'Concert' }), false);
+  assert.equal(matches({ year: '2018-2020' }), true);
+  assert.equal(matches({ year: '2020' }), false);
+  assert.equal(matches({ minDuration: '5:00', maxDuration: '300' }), true);
+  assert.equal(matches({ minDuration: '301' }), false);
+  assert.equal(matches({ since: '2w' }), true);
+  assert.equal(matches({ since: '1w' }), false);
+  assert.equal(matches({ since: '2026-05-01' }), true);
+  assert.equal(matchesFeedQuery(applyFeedQuery(feed, { since: '1d' }), { ...track, date: null }, NOW), false);
+});
+
+test('сортировка и limit', () => {
+  const items = [
+    { title: 'b', date: 2, duration: 30 },
+    { title: 'A', date: 3, duration: 10 },
+    { title: 'c 10', date: 1, duration: 20 },
+    { title: 'c 9', date: 4, duration: 40 },
+  ];
+  const titles = (params) => sortFeedItems(applyFeedQuery(feed, params), items, (item) => item).map((item) => item.title);
+
+  assert.deepEqual(titles({}), ['c 9', 'A', 'b', 'c 10']);
+  assert.deepEqual(titles({ sort: 'title' }), ['A', 'b', 'c 9', 'c 10']);
+  assert.deepEqual(titles({ sort: 'duration', order: 'asc', limit: '2' }), ['A', 'c 10']);
+});
@@ -0,0 +1,156 @@
+// notify.test.js - Сравнение выпусков фида с прошлой сборкой и адреса в уведомлениях
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+import config from '../config.js';
+
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'notify-'));
+config.paths.dataDir = dataDir;
+config.server.baseUrl = '';
+config.advanced.verboseLogging = false;
+config.push = { webhooks: [], websub: { hubs: [] }, secret: 'test-secret', retry: { attempts: 1 } };
+
+const { detectFeedChanges, publishFeedChanges, signWebhookPayload, flushFeedState, isFeedWatched } = await import('../notify.js');
+
+const FIRST_BASE = 'http://first.example:3000';
+
+// Выпуск фида в том виде, в котором его собирает generateRssData
+function item(id, baseUrl = FIRST_BASE, overrides = {}) {
+  return {
+    title: `Трек ${id}`,
+    description: `Описание ${id}`,
+    pubDate: 'Mon, 01 Jun 2026 12:00:00 GMT',
+    guid: { '#text': `urn:uuid:${id}`, '@_isPermaLink': 'false' },
+    enclosure: { '@_url': `${baseUrl}/tracks/${id}.mp3?exp=1&sig=abc`, '@_length': 1000, '@_type': 'audio/mpeg' },
+    'itunes:image': { '@_href': `${baseUrl}/covers_cache/${id}.jpg` },
+    ...overrides,
+  };
+}
+
+// Сохраненное состояние, когда в нем появится фид slug (запись идет в фоне)
+async function readSavedState(slug) {
+  for (let i = 0; i < 100; i++) {
+    const saved = JSON.parse(await fs.readFile(path.join(dataDir, 'feed-state.json'), 'utf8'));
+    if (saved.feeds[slug]) return saved;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  return null;
+}
+
+// Карта выпуск -> относительный путь файла
+const pathsOf = (items) => new Map(items.map((entry) => [entry, `${entry.guid['#text'].slice(9)}.mp3`]));
+
+before(async () => {
+  // Состояние старой версии: подписи другого вида не должны выдать все выпуски за измененные
+  await fs.writeFile(path.join(dataDir, 'feed-state.json'), JSON.stringify({
+    version: 1,
+    feeds: { old: { 'urn:uuid:a': { signature: 'устаревшая', title: 'Трек a' } } },
+  }));
+});
+
+after(async () => {
+  // Состав фидов пишется в фоне: удаляем папку только после последней записи
+  await flushFeedState();
+  await fs.rm(dataDir, { recursive: true, force: true, maxRetries: 5 });
+});
+
+test('после обновления версии состояния выпуски запоминаются заново без уведомлений', async () => {
+  const items = [item('a')];
+  assert.equal(await detectFeedChanges('old', items, { itemPaths: pathsOf(items), baseUrl: FIRST_BASE }), null);
+
+  const changed = [item('a', FIRST_BASE, { title: 'Новое название' })];
+  const changes = await detectFeedChanges('old', changed, { itemPaths: pathsOf(changed) });
+  assert.deepEqual(changes.updated.map((entry) => entry.title), ['Новое название']);
+});
+
+test('первая сборка фида только запоминает состав', async () => {
+  const items = [item('a'), item('b')];
+  assert.equal(await detectFeedChanges('main', items, { itemPaths: pathsOf(items) }), null);
+
+  const saved = await readSavedState('main');
+  assert.equal(saved.version, 2);
+  assert.equal(saved.baseUrl, FIRST_BASE);
+  assert.deepEqual(Object.keys(saved.feeds.main), ['urn:uuid:a', 'urn:uuid:b']);
+});
+
+test('другой адрес запроса, подпись ссылок и обложка - не изменение выпуска', async () => {
+  const items = [
+    item('a', 'https://other.example', { 'itunes:image': { '@_href': 'https://other.example/covers_cache/new.jpg' } }),
+    item('b', 'http://127.0.0.1:3000'),
+  ];
+  items[0].enclosure['@_url'] = items[0].enclosure['@_url'].replace('exp=1&sig=abc', 'exp=2&sig=def');
+
+  assert.equal(await detectFeedChanges('main', items, { itemPaths: pathsOf(items), baseUrl: 'https://other.example' }), null);
+});
+
+test('добавленные, измененные и удаленные выпуски', async () => {
+  const moved = item('a');
+  const items = [moved, item('c')];
+  const itemPaths = pathsOf(items);
+  itemPaths.set(moved, 'Папка/a.mp3');
+
+  const changes = await detectFeedChanges('main', items, { itemPaths });
+  assert.deepEqual(changes.added.map((entry) => entry.title), ['Трек c']);
+  assert.deepEqual(changes.updated.map((entry) => entry.title), ['Трек a']);
+  assert.deepEqual(changes.removed, [{ guid: 'urn:uuid:b', title: 'Трек b' }]);
+
+  const resized = [item('a', FIRST_BASE, { enclosure: { ...moved.enclosure, '@_length': 2000 } }), item('c')];
+  const resizedPaths = pathsOf(resized);
+  resizedPaths.set(resized[0], 'Папка/a.mp3');
+  assert.equal((await detectFeedChanges('main', resized, { itemPaths: resizedPaths })).updated.length, 1);
+});
+
+test('за фидом следим, только если есть хабы или вебхук для его slug', () => {
+  assert.equal(isFeedWatched('main'), false);
+
+  config.push.webhooks = ['http://127.0.0.1/all', { url: 'http://127.0.0.1/jazz', feeds: ['jazz'] }];
+  assert.equal(isFeedWatched('rock'), true);
+  config.push.webhooks = [{ url: 'http://127.0.0.1/jazz', feeds: ['jazz'] }];
+  assert.equal(isFeedWatched('rock'), false);
+  assert.equal(isFeedWatched('jazz'), true);
+
+  config.push.webhooks = [];
+  config.push.websub.hubs = ['http://127.0.0.1/hub'];
+  assert.equal(isFeedWatched('rock'), true);
+  config.push.websub.hubs = [];
+});
+
+test('вебхук: постоянный адрес сервера в ссылках и подпись тела', async (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+  const received = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      received.push({ headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+      res.writeHead(204).end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  config.push.webhooks = [`http://127.0.0.1:${server.address().port}/webhook`];
+
+  try {
+    const feed = { slug: 'main', channel: { title: 'Канал' } };
+    publishFeedChanges(feed, 'https://request.example', { added: [item('d', 'https://request.example')], updated: [], removed: [] });
+
+    for (let i = 0; i < 100 && received.length === 0; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+
+    assert.equal(log.mock.calls[0].arguments[0], '📣 Фид main изменился: +1 ~0 -0');
+
+    const [{ headers, body }] = received;
+    const payload = JSON.parse(body);
+    assert.equal(payload.feed.url, `${FIRST_BASE}/rss.xml`);
+    assert.equal(payload.added[0].url, `${FIRST_BASE}/tracks/d.mp3?exp=1&sig=abc`);
+    assert.equal(payload.added[0].guid, 'urn:uuid:d');
+    assert.equal(headers['x-webhook-signature'], `sha256=${signWebhookPayload('test-secret', headers['x-webhook-timestamp'], body)}`);
+  } finally {
+    config.push.webhooks = [];
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
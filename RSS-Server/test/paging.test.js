@@ -0,0 +1,62 @@
+// paging.test.js - Страницы фида и ссылки навигации RFC 5005
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import config from '../config.js';
+
+config.advanced.maxTracksInRSS = 10;
+
+const {
+  FULL_ARCHIVE, getPageCount, parsePage, getItemPage, getPageItems, getPageLinks, getHistoryMarker,
+} = await import('../paging.js');
+
+const pageUrl = (page) => `http://example.com/rss.xml?page=${page}`;
+
+// Ссылки страницы в виде { rel -> номер страницы }
+function linksOf(page, pageCount) {
+  return Object.fromEntries(getPageLinks(pageUrl, page, pageCount).map((link) => [link.rel, Number(new URL(link.href).searchParams.get('page'))]));
+}
+
+test('разбиение на страницы по maxTracksInRSS', () => {
+  const items = Array.from({ length: 25 }, (_, index) => index);
+
+  assert.equal(getPageCount(0), 1);
+  assert.equal(getPageCount(10), 1);
+  assert.equal(getPageCount(25), 3);
+  assert.deepEqual(getPageItems(items, 1), items.slice(0, 10));
+  assert.deepEqual(getPageItems(items, 3), items.slice(20));
+  assert.deepEqual(getPageItems(items, 4), []);
+  assert.equal(getPageItems(items, FULL_ARCHIVE), items);
+  assert.equal(getItemPage(0), 1);
+  assert.equal(getItemPage(9), 1);
+  assert.equal(getItemPage(10), 2);
+});
+
+test('номер страницы из ?page=', () => {
+  assert.equal(parsePage(undefined), 1);
+  assert.equal(parsePage(''), 1);
+  assert.equal(parsePage('3'), 3);
+  assert.equal(parsePage('0'), null);
+  assert.equal(parsePage('-1'), null);
+  assert.equal(parsePage('2abc'), null);
+  assert.equal(parsePage('1e3'), null);
+  assert.equal(parsePage('10000000'), null);
+});
+
+test('первая страница - текущий фид со ссылкой на архив', () => {
+  assert.deepEqual(linksOf(1, 3), { first: 1, last: 3, next: 2, 'prev-archive': 2 });
+  assert.equal(getHistoryMarker(1), null);
+});
+
+test('архивные страницы ссылаются на текущий фид и соседние архивы', () => {
+  assert.deepEqual(linksOf(2, 3), { first: 1, last: 3, next: 3, 'prev-archive': 3, previous: 1, current: 1 });
+  // Более новая страница 1 - не архив, поэтому next-archive есть только начиная с третьей
+  assert.deepEqual(linksOf(3, 3), { first: 1, last: 3, previous: 2, current: 1, 'next-archive': 2 });
+  assert.equal(getHistoryMarker(2), 'fh:archive');
+});
+
+test('без ссылок для одной страницы и полного архива', () => {
+  assert.deepEqual(getPageLinks(pageUrl, 1, 1), []);
+  assert.deepEqual(getPageLinks(pageUrl, FULL_ARCHIVE, 3), []);
+  assert.equal(getHistoryMarker(FULL_ARCHIVE), 'fh:complete');
+});
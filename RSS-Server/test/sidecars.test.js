@@ -0,0 +1,111 @@
+// sidecars.test.js - Проверка полей файлов-спутников, объединение с meta.json папки и очистка HTML из notes
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import { validateSidecar, readSidecar, getSidecarSignature } from '../sidecars.js';
+import { sanitizeHtml } from '../html.js';
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sidecars-'));
+});
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+test('корректные поля нормализуются, некорректные и неизвестные пропускаются с ошибкой', () => {
+  const { data, errors } = validateSidecar({
+    title: 'Выпуск',
+    explicit: 'Clean',
+    episode: 3,
+    season: 0,
+    episodeType: 'bonus',
+    publishDate: new Date('2024-05-01T15:00:00Z'),
+    link: 'ftp://example.com',
+    persons: [{ name: 'Ведущий', role: 'host', href: 'https://example.com' }],
+    transcripts: [{ type: 'text/vtt' }],
+    rating: 5,
+  }, 'track.yml');
+
+  assert.deepEqual(data, {
+    title: 'Выпуск',
+    explicit: 'no',
+    episode: 3,
+    episodeType: 'bonus',
+    publishDate: '2024-05-01T15:00:00.000Z',
+    persons: [{ name: 'Ведущий', role: 'host', href: 'https://example.com' }],
+  });
+  assert.deepEqual(errors, [
+    'track.yml: season - ожидается целое число больше 0',
+    'track.yml: link - ожидается http(s) ссылка',
+    'track.yml: transcripts - ожидается список { url, type, language, rel }',
+    'track.yml: неизвестное поле rating',
+  ]);
+});
+
+test('ключи прототипа не считаются допустимыми значениями и полями', () => {
+  const { data, errors } = validateSidecar(JSON.parse('{"explicit": "constructor", "toString": 1, "__proto__": {"title": "x"}}'), 'track.json');
+
+  assert.deepEqual(data, {});
+  assert.deepEqual(errors, [
+    'track.json: explicit - ожидается true/false, yes/no или clean',
+    'track.json: неизвестное поле toString',
+    'track.json: неизвестное поле __proto__',
+  ]);
+  assert.deepEqual(validateSidecar([], 'track.json').errors, ['track.json: ожидается объект с полями']);
+});
+
+test('meta.json папки < его раздел tracks < файл-спутник трека; notes в HTML и описание', async () => {
+  const trackPath = path.join(dir, 'song.mp3');
+  await fs.writeFile(path.join(dir, 'meta.json'), JSON.stringify({
+    artist: 'Папка',
+    album: 'Альбом',
+    tracks: { 'song.mp3': { artist: 'Раздел tracks', episode: 2 }, 'constructor': { title: 'x' } },
+  }));
+  await fs.writeFile(`${trackPath}.yml`, 'title: Песня\nepisode: 5\nnotes: |\n  Первый **абзац**\n\n  Второй\n');
+
+  const sidecar = await readSidecar(trackPath);
+  assert.equal(sidecar.data.title, 'Песня');
+  assert.equal(sidecar.data.artist, 'Раздел tracks');
+  assert.equal(sidecar.data.album, 'Альбом');
+  assert.equal(sidecar.data.episode, 5);
+  assert.equal(sidecar.data.html, '<p>Первый <strong>абзац</strong></p>\n<p>Второй</p>');
+  assert.equal(sidecar.data.description, 'Первый абзац\n\nВторой');
+  assert.deepEqual(sidecar.errors, []);
+  assert.equal(sidecar.signature, await getSidecarSignature(trackPath));
+
+  // Трек с именем ключа прототипа получает только общие поля папки
+  const other = await readSidecar(path.join(dir, 'toString'));
+  assert.deepEqual(other.data, { artist: 'Папка', album: 'Альбом' });
+});
+
+test('ошибка разбора файла не мешает остальным полям и выводится в лог один раз', async (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+  const trackPath = path.join(dir, 'broken.mp3');
+  await fs.writeFile(`${trackPath}.json`, '{ "title": ');
+
+  const sidecar = await readSidecar(trackPath);
+  assert.equal(sidecar.data.album, 'Альбом');
+  assert.equal(sidecar.errors.length, 1);
+  assert.match(sidecar.errors[0], /^broken\.mp3\.json: /);
+
+  await readSidecar(trackPath);
+  assert.equal(log.mock.callCount(), 1);
+  assert.match(log.mock.calls[0].arguments[0], /broken\.mp3\.json/);
+});
+
+test('HTML из Markdown очищается по белому списку', () => {
+  assert.equal(
+    sanitizeHtml('<p onclick="x()">Текст<script>alert(1)</script><!-- скрыто --></p><style>p{}</style>'),
+    '<p>Текст</p>',
+  );
+  assert.equal(
+    sanitizeHtml('<a href="https://example.com/?a=1&amp;b=2" target="_blank">ok</a> <a href="javascript:alert(1)">js</a> <a href="jav&#x61;script:1">entity</a> <a href="java\tscript:1">tab</a>'),
+    '<a href="https://example.com/?a=1&amp;b=2">ok</a> <a>js</a> <a>entity</a> <a>tab</a>',
+  );
+  assert.equal(sanitizeHtml('<img src=x onerror=alert(1)><iframe src="https://e.com"></iframe><custom>текст</custom>'), '<img>текст');
+  assert.equal(sanitizeHtml('1 < 2 > 0 ]]> <br/>'), '1 &lt; 2 &gt; 0 ]]&gt; <br>');
+});
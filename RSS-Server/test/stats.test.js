@@ -0,0 +1,97 @@
+// stats.test.js - Типы клиентов, объединение запросов в одно скачивание и подсчет отправленных байт
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+import config from '../config.js';
+
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'stats-'));
+config.paths.dataDir = dataDir;
+config.advanced.verboseLogging = false;
+config.stats = { enabled: true, dedupeWindow: 100 };
+
+const { classifyClient, recordDownload, downloadStats, getStatsSummary } = await import('../stats.js');
+
+// Статистика трека из сводки
+const statsOf = (id) => getStatsSummary().tracks.find((track) => track.id === id);
+
+after(() => fs.rm(dataDir, { recursive: true, force: true, maxRetries: 5 }));
+
+test('тип клиента по User-Agent: первый подходящий по порядку', () => {
+  assert.equal(classifyClient('AppleCoreMedia/1.0.0.20E247 (iPhone; U; CPU OS 16_4 like Mac OS X)'), 'app');
+  assert.equal(classifyClient('Mozilla/5.0 (Linux; Android 13) AntennaPod/3.2.0'), 'app');
+  assert.equal(classifyClient('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120.0 Safari/537.36'), 'browser');
+  assert.equal(classifyClient('Googlebot/2.1 (+http://www.google.com/bot.html)'), 'bot');
+  assert.equal(classifyClient('Mozilla/5.0 (compatible; YouTube podcast fetcher)'), 'youtube');
+  assert.equal(classifyClient('curl/8.5.0'), 'bot');
+  assert.equal(classifyClient('VLC/3.0.20 LibVLC/3.0.20'), 'player');
+  assert.equal(classifyClient('Что-то свое'), 'other');
+  assert.equal(classifyClient(undefined), 'other');
+});
+
+test('запросы Range с того же IP и User-Agent в пределах окна - одно скачивание', async () => {
+  const client = { ip: '10.0.0.1', userAgent: 'Overcast/3.0' };
+  recordDownload('dedupe', { ...client, bytes: 100 });
+  recordDownload('dedupe', { ...client, bytes: 200 });
+  recordDownload('dedupe', { ...client, ip: '10.0.0.2', bytes: 300 });
+
+  let stats = statsOf('dedupe');
+  assert.equal(stats.downloads, 2);
+  assert.equal(stats.bytes, 600);
+  assert.deepEqual(stats.clients, { app: 2 });
+  assert.equal(stats.title, null);
+
+  // После окна тот же клиент - новое скачивание
+  await new Promise((resolve) => setTimeout(resolve, 150));
+  recordDownload('dedupe', { ...client, bytes: 50 });
+
+  stats = statsOf('dedupe');
+  assert.equal(stats.downloads, 3);
+  assert.equal(stats.bytes, 650);
+  assert.equal(Object.values(stats.days).reduce((sum, count) => sum + count, 0), 3);
+});
+
+test('боты не считаются скачиваниями, только общим числом запросов', () => {
+  const before = getStatsSummary().botRequests;
+  recordDownload('bot', { ip: '10.0.0.3', userAgent: 'Googlebot/2.1', bytes: 1000 });
+
+  assert.equal(getStatsSummary().botRequests, before + 1);
+  assert.equal(statsOf('bot'), undefined);
+});
+
+test('учитываются байты, реально отправленные в ответ, в том числе без Content-Length', async () => {
+  const app = express();
+  app.get('/stream/:id', downloadStats((req) => req.params.id), (req, res) => {
+    res.type('audio/ogg');
+    res.write(Buffer.alloc(1000));
+    res.write('ё');
+    res.end(Buffer.alloc(500));
+  });
+  app.get('/missing/:id', downloadStats((req) => req.params.id), (req, res) => res.status(404).send('Not Found'));
+
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+
+  // GET с User-Agent плеера: тело целиком
+  const request = (pathname) => new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: server.address().port, path: pathname, headers: { 'user-agent': 'mpv 0.37' } }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res));
+    }).on('error', reject);
+  });
+
+  try {
+    const res = await request('/stream/streamed');
+    assert.equal(res.headers['content-length'], undefined);
+    await request('/missing/missing');
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+
+  assert.equal(statsOf('streamed').bytes, 1502);
+  assert.equal(statsOf('missing'), undefined);
+});
@@ -0,0 +1,132 @@
+// transcripts.test.js - Разбор VTT, SRT, LRC и SYLT/USLT и отдача текста в vtt, srt и txt
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import { readTranscript, renderTranscript, getTranscriptFormats, getTranscriptFileSignature } from '../transcripts.js';
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'transcripts-'));
+});
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+// Трек с файлом текста рядом: путь к треку
+async function trackWith(name, suffix, text) {
+  const trackPath = path.join(dir, `${name}.mp3`);
+  await fs.writeFile(`${trackPath}${suffix}`, text);
+  return trackPath;
+}
+
+// Фрейм SYLT в UTF-8 с метками в миллисекундах: [[текст, мс], ...]
+function syltFrame(lines, timestampFormat = 2) {
+  const parts = [Buffer.from([3]), Buffer.from('rus'), Buffer.from([timestampFormat, 1]), Buffer.from('описание\0')];
+  for (const [text, ms] of lines) {
+    const time = Buffer.alloc(4);
+    time.writeUInt32BE(ms);
+    parts.push(Buffer.from(`${text}\0`), time);
+  }
+  return { id: 'SYLT', data: Buffer.concat(parts) };
+}
+
+// Фрейм USLT в UTF-8
+function usltFrame(text) {
+  return { id: 'USLT', data: Buffer.concat([Buffer.from([3]), Buffer.from('rus'), Buffer.from(`\0${text}`)]) };
+}
+
+test('WebVTT: служебные блоки пропускаются, настройки после времени игнорируются', async () => {
+  const trackPath = await trackWith('vtt', '.vtt', [
+    'WEBVTT', '', 'NOTE комментарий', '', 'STYLE', '::cue { color: red }', '',
+    'intro', '00:00:01.000 --> 00:00:02.500 align:start', '<v Ведущий>Привет', '',
+    '01:02.5 --> 01:04.000', 'Две', 'строки', '',
+    '00:05.000 --> 00:06.000', '',
+  ].join('\r\n'));
+
+  const transcript = await readTranscript(trackPath, { format: { duration: 100 } }, null);
+  assert.equal(transcript.source, 'vtt');
+  assert.equal(transcript.signature, await getTranscriptFileSignature(trackPath));
+  assert.deepEqual(transcript.cues, [
+    { start: 1, end: 2.5, text: '<v Ведущий>Привет' },
+    { start: 62.5, end: 64, text: 'Две\nстроки' },
+  ]);
+  assert.deepEqual(getTranscriptFormats(transcript), ['vtt', 'srt', 'txt']);
+});
+
+test('SRT: запятая в миллисекундах и часы', async () => {
+  const trackPath = await trackWith('srt', '.srt', '1\n00:00:01,200 --> 00:00:03,000\n<i>Первая</i>\n\n2\n01:00:00,000 --> 01:00:01,5\nВторая\n');
+
+  const transcript = await readTranscript(trackPath, null, null);
+  assert.equal(transcript.source, 'srt');
+  assert.deepEqual(transcript.cues, [
+    { start: 1.2, end: 3, text: '<i>Первая</i>' },
+    { start: 3600, end: 3601.5, text: 'Вторая' },
+  ]);
+});
+
+test('LRC: несколько меток в строке, offset, пословные метки, конец по следующей строке и длительности', async () => {
+  const trackPath = await trackWith('lrc', '.lrc', [
+    '[ar:Артист]', '[offset:+500]',
+    '[00:10.00][00:30.00]Припев',
+    '[00:20.5]<00:20.50>Куплет <00:21.00>слово',
+    'без метки',
+  ].join('\n'));
+
+  const transcript = await readTranscript(trackPath, { format: { duration: 40 } }, null);
+  assert.equal(transcript.source, 'lrc');
+  assert.deepEqual(transcript.cues, [
+    { start: 9.5, end: 20, text: 'Припев' },
+    { start: 20, end: 29.5, text: 'Куплет слово' },
+    { start: 29.5, end: 40, text: 'Припев' },
+  ]);
+});
+
+test('файл без строк с временем - ошибка, форматов для отдачи нет', async (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+  const trackPath = await trackWith('empty', '.srt', 'просто текст');
+
+  const transcript = await readTranscript(trackPath, null, null);
+  assert.equal(transcript.error, 'не найдено ни одной строки с временем');
+  assert.deepEqual(getTranscriptFormats(transcript), []);
+  assert.equal(log.mock.callCount(), 1);
+});
+
+test('SYLT важнее USLT, последняя строка без длительности трека показывается 5 секунд', async () => {
+  const id3Tag = { frames: [usltFrame('Текст песни'), syltFrame([['Вторая', 4000], ['Первая', 1500], ['', 3000]])] };
+
+  const transcript = await readTranscript(path.join(dir, 'sylt.mp3'), null, id3Tag);
+  assert.equal(transcript.source, 'sylt');
+  assert.equal(transcript.signature, null);
+  assert.deepEqual(transcript.cues, [
+    { start: 1.5, end: 4, text: 'Первая' },
+    { start: 4, end: 9, text: 'Вторая' },
+  ]);
+});
+
+test('SYLT с метками в кадрах MPEG не поддерживается - берется USLT; LRC внутри USLT разбирается', async () => {
+  const plain = await readTranscript(path.join(dir, 'uslt.mp3'), null, { frames: [syltFrame([['x', 1]], 1), usltFrame('Текст\nпесни')] });
+  assert.deepEqual(plain, { source: 'lyrics', text: 'Текст\nпесни', signature: null });
+  assert.deepEqual(getTranscriptFormats(plain), ['txt']);
+
+  const lrc = await readTranscript(path.join(dir, 'uslt.mp3'), { format: { duration: 10 } }, { frames: [usltFrame('[00:01.00]Раз\n[00:02.00]Два')] });
+  assert.deepEqual(lrc.cues, [{ start: 1, end: 2, text: 'Раз' }, { start: 2, end: 10, text: 'Два' }]);
+
+  // Без ID3 - тексты песен других форматов
+  const mp4 = await readTranscript(path.join(dir, 'song.m4a'), { common: { lyrics: [{ text: 'Из MP4' }] } }, null);
+  assert.equal(mp4.text, 'Из MP4');
+  assert.equal(await readTranscript(path.join(dir, 'none.mp3'), null, null), null);
+});
+
+test('отдача в vtt, srt и txt', () => {
+  const transcript = { cues: [{ start: 0.5, end: 3661.25, text: '<v Ведущий>A & B < C' }, { start: 3662, end: 3663, text: '{\\an8}Конец' }] };
+
+  assert.equal(renderTranscript(transcript, 'vtt'),
+    'WEBVTT\n\n00:00:00.500 --> 01:01:01.250\n<v Ведущий>A &amp; B &lt; C\n\n01:01:02.000 --> 01:01:03.000\n{\\an8}Конец\n');
+  assert.equal(renderTranscript(transcript, 'srt'),
+    '1\n00:00:00,500 --> 01:01:01,250\nA & B < C\n\n2\n01:01:02,000 --> 01:01:03,000\nКонец\n');
+  assert.equal(renderTranscript(transcript, 'txt'), 'A & B < C\nКонец\n');
+  assert.equal(renderTranscript({ text: 'Текст' }, 'txt'), 'Текст\n');
+});
@@ -0,0 +1,336 @@
+// transcoder.js - Транскодирование lossless-исходников через ffmpeg с кэшированием на диске
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+
+import config from './config.js';
+
+const TRANSCODE_CACHE_DIR = config.paths.transcodeCacheDir;
+
+// Поддерживаемые форматы: параметры ffmpeg и MIME-тип
+const FORMATS = {
+  mp3: { codec: 'libmp3lame', muxer: 'mp3', mimeType: 'audio/mpeg', extraArgs: [] },
+  // Фрагментированный MP4, чтобы его можно было писать в поток без перемотки
+  m4a: { codec: 'aac', muxer: 'ipod', mimeType: 'audio/x-m4a', extraArgs: ['-movflags', 'frag_keyframe+empty_moov'] },
+  opus: { codec: 'libopus', muxer: 'opus', mimeType: 'audio/ogg', extraArgs: [] },
+};
+
+// Текущие задачи транскодирования: путь в кэше -> { promise, output }
+const jobs = new Map();
+
+// Файлы кэша, которые сейчас отдаются клиентам: путь в кэше -> число ответов
+const streaming = new Map();
+
+// Очередь фонового транскодирования
+const backgroundQueue = [];
+let backgroundRunning = false;
+
+// Ошибки фонового транскодирования: путь в кэше -> сообщение
+// Повторной попытки нет, пока не изменится исходник (отпечаток входит в путь)
+const failures = new Map();
+
+// Подписчики на готовность транскодированных файлов
+const readyListeners = new Set();
+
+// Доступен ли ffmpeg
+let ffmpegAvailable = false;
+
+// Настройки транскодирования
+function getSettings() {
+  return config.transcoding || {};
+}
+
+// Битрейт для формата
+function getBitrate(format) {
+  return getSettings().bitrates?.[format] || '192k';
+}
+
+// Поддерживается ли формат
+export function isStreamFormat(format) {
+  return Object.prototype.hasOwnProperty.call(FORMATS, format);
+}
+
+// MIME-тип транскодированного файла
+export function getStreamMimeType(format) {
+  return FORMATS[format]?.mimeType;
+}
+
+// В какой формат транскодировать исходник для RSS (или null, если отдавать как есть)
+export function getEnclosureFormat(filePath) {
+  const settings = getSettings();
+  if (!settings.enabled || !ffmpegAvailable) return null;
+
+  const ext = path.extname(filePath).toLowerCase().substring(1);
+  const format = settings.enclosureFormats?.[ext];
+  return isStreamFormat(format) ? format : null;
+}
+
+// Путь к файлу в кэше (отпечаток аудио в имени - при замене исходника кэш устаревает сам)
+function getCachePath(track, format) {
+  const bitrate = getBitrate(format);
+  return path.join(TRANSCODE_CACHE_DIR, `${track.id}_${track.fingerprint.substring(0, 12)}_${bitrate}.${format}`);
+}
+
+// Размер закэшированного файла (или null, если его еще нет)
+async function getCachedSize(cachePath) {
+  try {
+    const stat = await fs.stat(cachePath);
+    return stat.size;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Размер готового транскодированного файла для enclosure (null - файл еще не готов)
+// Пока файла нет, ссылка на /stream в фид не попадает: точного размера нет, а отдача на лету не поддерживает Range
+export async function getTranscodedSize(track, format) {
+  return getCachedSize(getCachePath(track, format));
+}
+
+// Ошибка фонового транскодирования трека (или null)
+export function getTranscodeError(track, format) {
+  return failures.get(getCachePath(track, format)) || null;
+}
+
+// Удаление самых давно использованных файлов при превышении лимита
+// Файлы, которые транскодируются или отдаются клиентам, не трогаем
+async function enforceCacheLimit() {
+  const maxBytes = (getSettings().maxSizeMB || 2000) * 1024 * 1024;
+
+  const entries = [];
+  for (const name of await fs.readdir(TRANSCODE_CACHE_DIR)) {
+    if (name.endsWith('.tmp')) continue;
+
+    const filePath = path.join(TRANSCODE_CACHE_DIR, name);
+    try {
+      const stat = await fs.stat(filePath);
+      entries.push({ filePath, size: stat.size, atimeMs: stat.atimeMs });
+    } catch (e) {
+      // Файл удален во время обхода
+    }
+  }
+
+  let total = entries.reduce((sum, e) => sum + e.size, 0);
+  entries.sort((a, b) => a.atimeMs - b.atimeMs);
+
+  for (const entry of entries) {
+    if (total <= maxBytes) break;
+    if (jobs.has(entry.filePath) || streaming.has(entry.filePath)) continue;
+
+    try {
+      await fs.unlink(entry.filePath);
+    } catch (e) {
+      continue;
+    }
+    total -= entry.size;
+
+    if (config.advanced.verboseLogging) {
+      console.log(`🧹 Удален из кэша транскодирования: ${path.basename(entry.filePath)}`);
+    }
+  }
+}
+
+// Запуск ffmpeg: результат пишется во временный файл, поток stdout можно параллельно отдавать клиенту
+function startTranscode(sourcePath, cachePath, format) {
+  const settings = getSettings();
+  const { codec, muxer, extraArgs } = FORMATS[format];
+  const tmpPath = `${cachePath}.tmp`;
+
+  const ffmpeg = spawn(settings.ffmpegPath || 'ffmpeg', [
+    '-hide_banner', '-loglevel', 'error',
+    '-i', sourcePath,
+    '-map', '0:a:0',
+    '-vn',
+    '-c:a', codec,
+    '-b:a', getBitrate(format),
+    ...extraArgs,
+    '-f', muxer,
+    'pipe:1',
+  ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+  const promise = new Promise((resolve, reject) => {
+    const file = createWriteStream(tmpPath);
+    let stderr = '';
+
+    ffmpeg.stderr.on('data', (chunk) => { stderr += chunk; });
+    ffmpeg.stdout.pipe(file);
+
+    ffmpeg.on('error', (error) => {
+      file.destroy();
+      reject(error);
+    });
+
+    ffmpeg.on('close', (code) => {
+      file.end(async () => {
+        try {
+          if (code !== 0) {
+            throw new Error(`ffmpeg завершился с кодом ${code}: ${stderr.trim()}`);
+          }
+          await fs.rename(tmpPath, cachePath);
+          resolve(cachePath);
+        } catch (error) {
+          await fs.unlink(tmpPath).catch(() => {});
+          reject(error);
+        }
+      });
+    });
+  });
+
+  const job = {
+    output: ffmpeg.stdout,
+    promise: promise
+      .then((result) => {
+        if (config.advanced.verboseLogging) {
+          console.log(`🎛️  Транскодирован: ${path.basename(sourcePath)} -> ${format}`);
+        }
+        // Вытеснение - отдельный шаг: его ошибка не делает готовый файл неудачным
+        enforceCacheLimit().catch((error) => {
+          console.error('❌ Ошибка очистки кэша транскодирования:', error.message);
+        });
+        return result;
+      })
+      .finally(() => jobs.delete(cachePath)),
+  };
+
+  jobs.set(cachePath, job);
+  return job;
+}
+
+// Обработка фоновой очереди (по одному файлу, чтобы не нагружать процессор)
+// Когда очередь пуста и хотя бы один файл готов - подписчики пересобирают фиды
+async function processBackgroundQueue() {
+  if (backgroundRunning) return;
+  backgroundRunning = true;
+
+  let ready = 0;
+  while (backgroundQueue.length > 0) {
+    const { sourcePath, track, format } = backgroundQueue.shift();
+    const cachePath = getCachePath(track, format);
+
+    try {
+      if (jobs.has(cachePath)) {
+        await jobs.get(cachePath).promise;
+      } else if ((await getCachedSize(cachePath)) === null) {
+        const job = startTranscode(sourcePath, cachePath, format);
+        job.output.resume();
+        await job.promise;
+      }
+      ready++;
+    } catch (error) {
+      failures.set(cachePath, error.message);
+      console.error(`❌ Ошибка транскодирования ${path.basename(sourcePath)}:`, error.message);
+    }
+  }
+
+  backgroundRunning = false;
+
+  if (ready > 0) {
+    for (const listener of readyListeners) {
+      try {
+        listener();
+      } catch (error) {
+        console.error('❌ Ошибка обработчика готовности транскодирования:', error);
+      }
+    }
+  }
+}
+
+// Постановка трека в очередь фонового транскодирования: трек попадет в фид, когда файл будет готов
+export function queueTranscode(sourcePath, track, format) {
+  const cachePath = getCachePath(track, format);
+  if (failures.has(cachePath)) return;
+  if (backgroundQueue.some((job) => getCachePath(job.track, job.format) === cachePath)) return;
+
+  backgroundQueue.push({ sourcePath, track, format });
+  processBackgroundQueue();
+}
+
+// Подписка на готовность транскодированных файлов
+export function onTranscodeReady(listener) {
+  readyListeners.add(listener);
+  return () => readyListeners.delete(listener);
+}
+
+// Проверка наличия ffmpeg при запуске
+export async function initTranscoder() {
+  const settings = getSettings();
+  if (!settings.enabled) return;
+
+  await fs.mkdir(TRANSCODE_CACHE_DIR, { recursive: true });
+
+  // Удаляем недописанные файлы от прошлого запуска
+  for (const name of await fs.readdir(TRANSCODE_CACHE_DIR)) {
+    if (name.endsWith('.tmp')) {
+      await fs.unlink(path.join(TRANSCODE_CACHE_DIR, name)).catch(() => {});
+    }
+  }
+
+  ffmpegAvailable = await new Promise((resolve) => {
+    const check = spawn(settings.ffmpegPath || 'ffmpeg', ['-version'], { stdio: 'ignore' });
+    check.on('error', () => resolve(false));
+    check.on('close', (code) => resolve(code === 0));
+  });
+
+  if (!ffmpegAvailable) {
+    console.log(`⚠️  ffmpeg не найден (${settings.ffmpegPath || 'ffmpeg'}), транскодирование отключено`);
+  } else if (config.advanced.verboseLogging) {
+    console.log(`🎛️  Транскодирование включено (ffmpeg: ${settings.ffmpegPath || 'ffmpeg'})`);
+  }
+}
+
+// Отдача транскодированного файла: из кэша (с поддержкой Range) или на лету
+export async function sendTranscoded(req, res, sourcePath, track, format) {
+  if (!getSettings().enabled || !ffmpegAvailable) {
+    return res.status(404).send('Transcoding disabled');
+  }
+
+  const cachePath = getCachePath(track, format);
+  const mimeType = FORMATS[format].mimeType;
+
+  const sendCached = async () => {
+    // Пока ответ не закрыт, файл не вытесняется из кэша
+    streaming.set(cachePath, (streaming.get(cachePath) || 0) + 1);
+    res.on('close', () => {
+      const count = streaming.get(cachePath) - 1;
+      if (count > 0) streaming.set(cachePath, count);
+      else streaming.delete(cachePath);
+    });
+
+    // Обновляем время доступа для вытеснения давно неиспользуемых файлов
+    const now = new Date();
+    const stat = await fs.stat(cachePath);
+    await fs.utimes(cachePath, now, stat.mtime);
+
+    res.sendFile(cachePath, { headers: { 'Content-Type': mimeType } });
+  };
+
+  if ((await getCachedSize(cachePath)) !== null) {
+    return sendCached();
+  }
+
+  // Файл уже транскодируется или клиент запрашивает часть файла - ждем готовности
+  const range = req.get('range');
+  const existingJob = jobs.get(cachePath);
+  if (existingJob || (range && range !== 'bytes=0-')) {
+    await (existingJob || startTranscode(sourcePath, cachePath, format)).promise;
+    return sendCached();
+  }
+
+  // Отдаем на лету, параллельно сохраняя результат в кэш
+  // (в фиде ссылка появляется только после транскодирования, сюда попадают прямые запросы)
+  const job = startTranscode(sourcePath, cachePath, format);
+
+  res.status(200);
+  res.setHeader('Content-Type', mimeType);
+  res.setHeader('Accept-Ranges', 'none');
+  job.output.pipe(res);
+
+  // Если клиент отключился - продолжаем транскодирование в кэш
+  res.on('close', () => job.output.unpipe(res));
+
+  job.promise.catch((error) => {
+    console.error(`❌ Ошибка транскодирования ${path.basename(sourcePath)}:`, error.message);
+    res.destroy();
+  });
+}
@@ -0,0 +1,227 @@
+// transcripts.js - Тексты и субтитры треков: файлы .vtt/.srt/.lrc рядом с треком, теги SYLT/USLT и тексты из тегов
+import path from 'path';
+
+import { findCompanionFile, readCompanionText } from './sidecars.js';
+import { decodeId3String, findId3Terminator, getId3TerminatorLength } from './id3.js';
+
+// Файлы с текстом рядом с треком (по порядку): "song.mp3" -> "song.mp3.vtt", ..., "song.lrc"
+const TRANSCRIPT_FILE_SUFFIXES = ['.vtt', '.srt', '.lrc'];
+
+// Форматы отдачи: MIME-тип и rel для podcast:transcript (субтитры с таймингом - captions)
+export const TRANSCRIPT_FORMATS = {
+  vtt: { mimeType: 'text/vtt', rel: 'captions', timed: true },
+  srt: { mimeType: 'application/x-subrip', rel: 'captions', timed: true },
+  txt: { mimeType: 'text/plain', timed: false },
+};
+
+// Сколько показывать последнюю строку, если длительность трека неизвестна (секунды)
+const LAST_CUE_DURATION = 5;
+
+// Строка LRC: одна или несколько меток [mm:ss.xx] перед текстом
+const LRC_LINE_PATTERN = /^((?:\[\d+:\d{1,2}(?:[.:]\d{1,3})?\])+)(.*)$/;
+
+// Подпись файла с текстом (путь и время изменения) или null - для отслеживания изменений
+export async function getTranscriptFileSignature(filePath) {
+  const file = await findCompanionFile(filePath, TRANSCRIPT_FILE_SUFFIXES);
+  return file ? `${file.filePath}:${file.mtimeMs}` : null;
+}
+
+// Время субтитров (01:02:03.456, 02:03,456) в секундах или null
+function parseCueTime(value) {
+  const match = /^(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, hours = 0, minutes, seconds, fraction] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(fraction.padEnd(3, '0')) / 1000;
+}
+
+// Разбор WebVTT и SRT: блоки, разделенные пустой строкой, со строкой "начало --> конец"
+// Блоки без времени (WEBVTT, NOTE, STYLE) пропускаются
+function parseSubtitles(text) {
+  const cues = [];
+
+  for (const block of text.split(/\r?\n\s*\r?\n/)) {
+    const lines = block.split(/\r?\n/);
+    const timingIndex = lines.findIndex((line) => line.includes('-->'));
+    if (timingIndex < 0) continue;
+
+    // После времени конца в VTT могут быть настройки (align:start и т.п.)
+    const [startValue, rest] = lines[timingIndex].split('-->');
+    const start = parseCueTime(startValue);
+    const end = parseCueTime(rest.trim().split(/\s+/)[0]);
+    const cueText = lines.slice(timingIndex + 1).join('\n').trim();
+    if (start === null || end === null || !cueText) continue;
+
+    cues.push({ start, end, text: cueText });
+  }
+
+  return cues;
+}
+
+// Разбор LRC: строки с метками [mm:ss.xx] (несколько меток - повтор строки), [offset:мс] сдвигает время
+// Пословные метки расширенного LRC (<mm:ss.xx>) убираются
+function parseLrc(text) {
+  const lines = [];
+  let offset = 0;
+
+  for (const line of text.split(/\r?\n/)) {
+    const offsetMatch = /^\[offset:\s*([+-]?\d+)\]/i.exec(line.trim());
+    if (offsetMatch) {
+      offset = Number(offsetMatch[1]) / 1000;
+      continue;
+    }
+
+    const match = LRC_LINE_PATTERN.exec(line.trim());
+    if (!match) continue;
+
+    const lineText = match[2].replace(/<\d+:\d{1,2}(?:[.:]\d{1,3})?>/g, '').trim();
+    for (const [, minutes, seconds, fraction = '0'] of match[1].matchAll(/\[(\d+):(\d{1,2})(?:[.:](\d{1,3}))?\]/g)) {
+      lines.push({ start: Number(minutes) * 60 + Number(seconds) + Number(`0.${fraction}`), text: lineText });
+    }
+  }
+
+  // Положительный offset в LRC означает, что текст должен появиться раньше
+  return lines.map((line) => ({ ...line, start: Math.max(line.start - offset, 0) }));
+}
+
+// Похож ли текст на LRC (некоторые программы записывают LRC в обычный текст песни)
+function looksLikeLrc(text) {
+  return text.split(/\r?\n/).filter((line) => LRC_LINE_PATTERN.test(line.trim())).length >= 2;
+}
+
+// Синхронизированный текст SYLT с метками в миллисекундах: [{ start, text }]
+// music-metadata отдает только строки без времени
+function parseSyltFrame(data) {
+  const encoding = data[0];
+  const timestampFormat = data[4];
+  // 1 - номера MPEG-кадров (не поддерживается), 2 - миллисекунды
+  if (timestampFormat !== 2) return [];
+
+  const terminatorLength = getId3TerminatorLength(encoding);
+  let offset = findId3Terminator(data, 6, encoding) + terminatorLength; // Пропускаем описание
+
+  const lines = [];
+  while (offset < data.length) {
+    const end = findId3Terminator(data, offset, encoding);
+    if (end + terminatorLength + 4 > data.length) break;
+
+    const text = decodeId3String(data.subarray(offset, end), encoding).trim();
+    const start = data.readUInt32BE(end + terminatorLength) / 1000;
+    lines.push({ start, text });
+    offset = end + terminatorLength + 4;
+  }
+
+  return lines.filter((line) => line.text);
+}
+
+// Несинхронизированный текст USLT: язык, описание и текст
+function parseUsltFrame(data) {
+  const encoding = data[0];
+  const textStart = findId3Terminator(data, 4, encoding) + getId3TerminatorLength(encoding);
+  return decodeId3String(data.subarray(textStart), encoding).trim();
+}
+
+// Строки с временем начала -> субтитры: каждая строка показывается до начала следующей
+function linesToCues(lines, duration) {
+  const sorted = lines.filter((line) => line.text).sort((a, b) => a.start - b.start);
+
+  return sorted.map((line, index) => {
+    const next = sorted[index + 1];
+    const end = next ? next.start : duration > line.start ? duration : line.start + LAST_CUE_DURATION;
+    return { start: line.start, end, text: line.text };
+  });
+}
+
+// Текст из тегов: SYLT, USLT (в том числе с LRC внутри) из ID3, затем тексты песен других форматов (MP4, APE)
+function readTagTranscript(metadata, id3Tag, duration) {
+  const frames = id3Tag?.frames || [];
+
+  const syncedLines = frames.filter((frame) => frame.id === 'SYLT').flatMap((frame) => parseSyltFrame(frame.data));
+  if (syncedLines.length) {
+    return { source: 'sylt', cues: linesToCues(syncedLines, duration) };
+  }
+
+  const lyrics = frames.filter((frame) => frame.id === 'USLT').map((frame) => parseUsltFrame(frame.data));
+  if (!id3Tag) {
+    // У не-ID3 форматов music-metadata кладет текст песни в common.lyrics
+    for (const value of metadata?.common?.lyrics || []) {
+      lyrics.push(String(typeof value === 'string' ? value : value?.text ?? '').trim());
+    }
+  }
+
+  const text = lyrics.find(Boolean);
+  if (!text) return null;
+
+  return looksLikeLrc(text)
+    ? { source: 'lyrics', cues: linesToCues(parseLrc(text), duration) }
+    : { source: 'lyrics', text };
+}
+
+// Текст трека: { source, signature, cues: [{ start, end, text }] или text, error } или null
+// Приоритет: .vtt/.srt/.lrc рядом с треком, SYLT, USLT и тексты песен из тегов
+// id3Tag - тег ID3v2 файла (id3.js) или null
+export async function readTranscript(filePath, metadata, id3Tag) {
+  const duration = metadata?.format?.duration;
+  const file = await findCompanionFile(filePath, TRANSCRIPT_FILE_SUFFIXES);
+
+  if (file) {
+    const signature = `${file.filePath}:${file.mtimeMs}`;
+    const source = path.extname(file.filePath).slice(1).toLowerCase();
+    try {
+      const text = await readCompanionText(file.filePath);
+      const cues = source === 'lrc' ? linesToCues(parseLrc(text), duration) : parseSubtitles(text);
+      if (!cues.length) {
+        throw new Error('не найдено ни одной строки с временем');
+      }
+      return { source, signature, cues };
+    } catch (error) {
+      console.log(`⚠️  Не удалось прочитать текст из ${path.basename(file.filePath)}: ${error.message}`);
+      return { source, signature, error: error.message };
+    }
+  }
+
+  const transcript = readTagTranscript(metadata, id3Tag, duration);
+  return transcript ? { ...transcript, signature: null } : null;
+}
+
+// Форматы, в которых можно отдать текст трека (субтитры - только при наличии времени)
+export function getTranscriptFormats(transcript) {
+  if (!transcript || transcript.error) return [];
+  return Object.keys(TRANSCRIPT_FORMATS).filter((format) => transcript.cues || !TRANSCRIPT_FORMATS[format].timed);
+}
+
+// Время для субтитров: 00:01:02.345 (VTT) или 00:01:02,345 (SRT)
+function formatCueTime(seconds, separator) {
+  const totalMs = Math.round(seconds * 1000);
+  const hours = String(Math.floor(totalMs / 3600000)).padStart(2, '0');
+  const minutes = String(Math.floor((totalMs % 3600000) / 60000)).padStart(2, '0');
+  const secs = String(Math.floor((totalMs % 60000) / 1000)).padStart(2, '0');
+  const ms = String(totalMs % 1000).padStart(3, '0');
+  return `${hours}:${minutes}:${secs}${separator}${ms}`;
+}
+
+// Текст без разметки субтитров (<i>, <v Speaker>, {\an8})
+function stripCueMarkup(text) {
+  return text.replace(/<[^>]+>/g, '').replace(/\{\\[^}]*\}/g, '');
+}
+
+// Текст строки для WebVTT: & и < вне разметки экранируются
+function escapeVttText(text) {
+  return text.replace(/&(?![a-z]+;|#\d+;)/gi, '&amp;').replace(/<(?![/a-z0-9])/gi, '&lt;');
+}
+
+// Текст трека в формате vtt, srt или txt
+export function renderTranscript(transcript, format) {
+  const { cues } = transcript;
+
+  switch (format) {
+    case 'vtt':
+      return `WEBVTT\n\n${cues.map((cue) =>
+        `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}\n${escapeVttText(cue.text)}`).join('\n\n')}\n`;
+    case 'srt':
+      return `${cues.map((cue, index) =>
+        `${index + 1}\n${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}\n${stripCueMarkup(cue.text)}`).join('\n\n')}\n`;
+    default:
+      return `${cues ? cues.map((cue) => stripCueMarkup(cue.text)).join('\n') : transcript.text}\n`;
+  }
+}
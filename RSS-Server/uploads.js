@@ -0,0 +1,159 @@
+// uploads.js - Прием загруженных аудиофайлов: проверка и размещение в библиотеке
+import fs from 'fs/promises';
+import path from 'path';
+import multer from 'multer';
+import { parseFile } from 'music-metadata';
+
+import config from './config.js';
+
+const TRACKS_DIR = config.paths.tracksDir;
+
+// Временная папка для загрузок (рядом со служебными данными, чтобы перенос был атомарным)
+const UPLOADS_TMP_DIR = path.join(config.paths.dataDir, 'uploads');
+
+// Поддерживаемые расширения для загрузки
+export const AUDIO_EXTENSIONS = ['.mp3', '.m4a', '.flac', '.wav', '.ogg'];
+
+// Ошибка загрузки с HTTP-статусом для ответа клиенту
+function uploadError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Загрузчик multer: файлы сначала попадают во временную папку
+export const audioUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(UPLOADS_TMP_DIR, { recursive: true })
+        .then(() => cb(null, UPLOADS_TMP_DIR))
+        .catch(cb);
+    },
+  }),
+  defParamCharset: 'utf8',
+  limits: {
+    fileSize: (config.upload?.maxSizeMB || 500) * 1024 * 1024,
+    files: config.upload?.maxFiles || 20,
+  },
+});
+
+// Запуск multer с преобразованием его ошибок в ошибки загрузки (со статусом 4xx)
+// maxSizeMB - лимит размера файла этого загрузчика (для сообщения об ошибке)
+export function receiveUpload(middleware, req, res, maxSizeMB = config.upload?.maxSizeMB || 500) {
+  return new Promise((resolve, reject) => {
+    middleware(req, res, (error) => {
+      if (!error) return resolve();
+
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        reject(uploadError(`Файл больше ${maxSizeMB} МБ`, 413));
+      } else if (error.code === 'LIMIT_FILE_COUNT') {
+        reject(uploadError(`За один раз можно загрузить не больше ${config.upload?.maxFiles || 20} файлов`, 400));
+      } else if (error instanceof multer.MulterError) {
+        reject(uploadError(`Ошибка загрузки: ${error.message}`, 400));
+      } else {
+        reject(error);
+      }
+    });
+  });
+}
+
+// Безопасное имя файла или папки (без путей и служебных символов)
+export function sanitizeFilename(name) {
+  return path.basename(String(name))
+    .replace(/[\\/:*?"<>|\x00-\x1f]/g, '_')
+    .replace(/^\.+/, '')
+    .trim() || 'upload';
+}
+
+// Свободное имя файла в папке: "name.mp3", "name (2).mp3", ...
+async function findFreeFilename(dir, filename) {
+  const { name, ext } = path.parse(filename);
+  let candidate = filename;
+
+  for (let i = 2; ; i++) {
+    try {
+      await fs.access(path.join(dir, candidate));
+      candidate = `${name} (${i})${ext}`;
+    } catch (e) {
+      return candidate;
+    }
+  }
+}
+
+// Проверка загруженного файла: поддерживаемый формат и читаемое аудио
+async function validateAudio(tmpPath, originalName) {
+  const ext = path.extname(originalName).toLowerCase();
+  if (!AUDIO_EXTENSIONS.includes(ext)) {
+    throw uploadError(`Неподдерживаемый формат ${ext || '(без расширения)'}, допустимы: ${AUDIO_EXTENSIONS.join(', ')}`, 415);
+  }
+
+  let metadata;
+  try {
+    metadata = await parseFile(tmpPath);
+  } catch (error) {
+    throw uploadError(`Файл поврежден или не является аудио: ${error.message}`, 422);
+  }
+
+  if (!metadata.format?.container || !(metadata.format.duration > 0)) {
+    throw uploadError('Файл поврежден или не является аудио: не удалось определить длительность', 422);
+  }
+
+  return metadata;
+}
+
+// Перенос файла (с копированием, если временная папка на другом диске)
+async function moveFile(from, to) {
+  try {
+    await fs.rename(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    await fs.copyFile(from, to);
+    await fs.unlink(from);
+  }
+}
+
+// Проверка и размещение загруженного файла в папку "{artist} - {title}"
+// fields - необязательные artist и title из формы (важнее тегов файла)
+export async function placeUploadedTrack(upload, fields = {}) {
+  try {
+    const metadata = await validateAudio(upload.path, upload.originalname);
+
+    const artist = String(fields.artist || '').trim() || metadata.common?.artist || config.rss.author;
+    const title = String(fields.title || '').trim() || metadata.common?.title || path.parse(upload.originalname).name;
+
+    const folderName = sanitizeFilename(`${artist}${config.fileParsing.separator}${title}`);
+    const folderPath = path.join(TRACKS_DIR, folderName);
+    await fs.mkdir(folderPath, { recursive: true });
+
+    const filename = await findFreeFilename(folderPath, sanitizeFilename(upload.originalname));
+    const filePath = path.join(folderPath, filename);
+    await moveFile(upload.path, filePath);
+
+    if (config.advanced.verboseLogging) {
+      console.log(`⬆️  Загружен трек: ${path.join(folderName, filename)}`);
+    }
+
+    return {
+      filePath,
+      relativePath: path.relative(TRACKS_DIR, filePath).split(path.sep).join('/'),
+      metadata,
+    };
+  } finally {
+    // Временный файл удаляется в любом случае (после переноса его уже нет)
+    await fs.unlink(upload.path).catch(() => {});
+  }
+}
+
+// Удаление файла трека и пустой папки, в которой он лежал
+export async function removeTrackFile(filePath) {
+  await fs.unlink(filePath);
+
+  const dir = path.dirname(filePath);
+  if (path.resolve(dir) !== path.resolve(TRACKS_DIR)) {
+    try {
+      await fs.rmdir(dir);
+    } catch (e) {
+      // Папка не пустая - оставляем
+    }
+  }
+}
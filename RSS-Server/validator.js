@@ -0,0 +1,351 @@
+// validator.js - Проверка собранного фида на проблемы, из-за которых YouTube и каталоги его отклоняют
+import fs from 'fs/promises';
+import path from 'path';
+import net from 'net';
+import dns from 'dns/promises';
+import sharp from 'sharp';
+import { parseFile } from 'music-metadata';
+
+import config from './config.js';
+import { getLibraryEntries } from './library.js';
+import { getAudioMimeType, isCompatibleType } from './formats.js';
+import { getStreamMimeType } from './transcoder.js';
+
+const TRACKS_DIR = config.paths.tracksDir;
+const COVERS_CACHE_DIR = config.paths.coversCacheDir;
+
+// Минимальный размер обложки (Apple Podcasts и YouTube)
+const MIN_COVER_SIZE = 1400;
+
+// Таймаут загрузки внешних изображений
+const FETCH_TIMEOUT = 10000;
+
+// Максимальный размер загружаемого изображения в мегабайтах (как у загрузки обложки в панели)
+const IMAGE_MAX_SIZE_MB = 20;
+
+// Формат itunes:duration: секунды, M:SS или H:MM:SS
+const DURATION_PATTERN = /^(\d+:)?[0-5]?\d:[0-5]\d$|^\d+$/;
+
+// Частные и служебные сети: адреса из них недоступны YouTube
+const PRIVATE_NETWORKS = new net.BlockList();
+for (const [address, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]) {
+  PRIVATE_NETWORKS.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::1', 128], ['::', 128], ['fc00::', 7], ['fe80::', 10]]) {
+  PRIVATE_NETWORKS.addSubnet(address, prefix, 'ipv6');
+}
+
+// Частный ли IP-адрес
+function isPrivateIp(address) {
+  const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+  return PRIVATE_NETWORKS.check(address, type);
+}
+
+// Сборщик проблем: { level: 'error' | 'warning', code, message, track: { guid, title, path } | null }
+function createReport() {
+  const problems = [];
+  const add = (level, code, message, track = null) => problems.push({ level, code, message, track });
+
+  return {
+    problems,
+    error: (code, message, track) => add('error', code, message, track),
+    warning: (code, message, track) => add('warning', code, message, track),
+  };
+}
+
+// Проверка адреса сервера: YouTube должен достучаться до фида и файлов из интернета
+async function checkBaseUrl(baseUrl, report) {
+  let url;
+  try {
+    url = new URL(baseUrl);
+  } catch (e) {
+    report.error('base-url-invalid', `Некорректный baseUrl: ${baseUrl}`);
+    return;
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+
+  if (net.isIP(hostname)) {
+    if (isPrivateIp(hostname)) {
+      report.error('base-url-private', `baseUrl указывает на локальный адрес ${hostname} - YouTube не сможет скачать фид`);
+    }
+  } else if (hostname === 'localhost' || !hostname.includes('.') || /\.(local|lan|home|internal)$/i.test(hostname)) {
+    report.error('base-url-private', `baseUrl указывает на локальное имя ${hostname} - YouTube не сможет скачать фид`);
+  } else {
+    try {
+      const addresses = await dns.lookup(hostname, { all: true });
+      if (addresses.every(({ address }) => isPrivateIp(address))) {
+        report.error('base-url-private', `${hostname} разрешается только в локальные адреса (${addresses.map(a => a.address).join(', ')})`);
+      }
+    } catch (error) {
+      report.warning('base-url-unresolved', `Не удалось разрешить имя ${hostname}: ${error.code || error.message}`);
+    }
+  }
+
+  if (url.protocol !== 'https:') {
+    report.warning('base-url-http', 'baseUrl без HTTPS - часть каталогов и приложений не примет фид');
+  }
+
+  if (!config.server.baseUrl) {
+    report.warning('base-url-auto', 'baseUrl определяется из запроса - задайте server.baseUrl, чтобы ссылки в фиде не зависели от того, откуда его открыли');
+  }
+}
+
+// Проверка обязательных полей канала
+function checkChannel(channel, report) {
+  const required = [
+    ['title', 'название канала (title)'],
+    ['description', 'описание канала (description)'],
+    ['itunes:author', 'автор (author)'],
+  ];
+
+  for (const [field, label] of required) {
+    if (!String(channel[field] ?? '').trim()) {
+      report.error('channel-missing-field', `Не заполнено ${label}`);
+    }
+  }
+
+  const email = channel['itunes:owner']?.['itunes:email'];
+  if (!email) {
+    report.error('channel-missing-email', 'Не указан email - YouTube не сможет подтвердить владение фидом');
+  } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    report.error('channel-invalid-email', `Некорректный email: ${email}`);
+  } else if (/@(exemple|example)\./i.test(email)) {
+    report.warning('channel-placeholder-email', `Email похож на пример из конфига: ${email}`);
+  }
+
+  if (!channel['itunes:category']?.['@_text']) {
+    report.warning('channel-missing-category', 'Не указана категория (category)');
+  }
+
+  if (!channel.item?.length) {
+    report.error('channel-empty', 'В фиде нет ни одного трека');
+  }
+}
+
+// Путь ссылки относительно baseUrl без параметров подписи (или null для внешних ссылок)
+function getLocalPath(url, baseUrl) {
+  if (!url.startsWith(baseUrl)) return null;
+  return decodeURIComponent(url.substring(baseUrl.replace(/\/+$/, '').length).split(/[?#]/)[0]);
+}
+
+// Чтение изображения по ссылке из фида (локальный кэш обложек или загрузка по сети)
+async function loadImage(imageUrl, baseUrl) {
+  const localPath = getLocalPath(imageUrl, baseUrl);
+  if (localPath?.startsWith('/covers_cache/')) {
+    return fs.readFile(path.join(COVERS_CACHE_DIR, path.basename(localPath)));
+  }
+
+  const response = await fetch(imageUrl, { signal: AbortSignal.timeout(FETCH_TIMEOUT) });
+  const maxBytes = IMAGE_MAX_SIZE_MB * 1024 * 1024;
+  if (!response.ok || Number(response.headers.get('content-length')) > maxBytes) {
+    await response.body?.cancel().catch(() => {});
+    throw new Error(response.ok ? `изображение больше ${IMAGE_MAX_SIZE_MB} МБ` : `HTTP ${response.status}`);
+  }
+
+  // Тело читается частями и не больше лимита: Content-Length может отсутствовать или быть неверным
+  // (выход из цикла по ошибке прерывает загрузку)
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw new Error(`изображение больше ${IMAGE_MAX_SIZE_MB} МБ`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Проверка обложки: доступность, квадрат и минимальный размер
+// Результаты кэшируются - обложка канала часто используется и для треков
+async function checkCover(imageUrl, baseUrl, report, track, imageCache) {
+  const label = track ? 'Обложка трека' : 'Обложка канала';
+
+  if (!imageCache.has(imageUrl)) {
+    imageCache.set(imageUrl, (async () => {
+      try {
+        const { width, height } = await sharp(await loadImage(imageUrl, baseUrl)).metadata();
+        return { width, height };
+      } catch (error) {
+        return { error: error.cause?.code || error.message };
+      }
+    })());
+  }
+
+  const image = await imageCache.get(imageUrl);
+
+  if (image.error) {
+    report.error(track ? 'cover-unreachable' : 'channel-image-unreachable', `${label} недоступна (${imageUrl}): ${image.error}`, track);
+    return;
+  }
+  if (image.width !== image.height) {
+    report.error('cover-not-square', `${label} не квадратная: ${image.width}×${image.height}`, track);
+  }
+  if (Math.min(image.width, image.height) < MIN_COVER_SIZE) {
+    report.error('cover-too-small', `${label} меньше ${MIN_COVER_SIZE}px: ${image.width}×${image.height}`, track);
+  }
+}
+
+// Фактический MIME-тип enclosure: по файлу из папки tracks или формату транскодирования
+async function detectEnclosureType(enclosureUrl, baseUrl, entry) {
+  const localPath = getLocalPath(enclosureUrl, baseUrl);
+  if (!localPath) return null;
+
+  const stream = localPath.match(/^\/stream\/[^/]+\.([a-z0-9]+)$/);
+  if (stream) {
+    return getStreamMimeType(stream[1]) || null;
+  }
+
+  if (localPath.startsWith('/tracks/')) {
+    const filePath = path.join(TRACKS_DIR, path.normalize(localPath.substring('/tracks/'.length)));
+
+    if (entry && path.resolve(filePath) === path.resolve(entry.file.path)) {
+      return getAudioMimeType(entry.metadata, filePath);
+    }
+    const metadata = await parseFile(filePath, { duration: false, skipCovers: true });
+    return getAudioMimeType(metadata, filePath);
+  }
+
+  return null;
+}
+
+// Проверка трека: длительность, тип файла и размер
+async function checkItem(item, entry, baseUrl, report, track) {
+  const duration = String(item['itunes:duration'] ?? '');
+  if (!DURATION_PATTERN.test(duration) || /^[0:]+$/.test(duration)) {
+    report.error('item-invalid-duration', `Некорректная длительность: "${duration}"`, track);
+  }
+
+  const enclosure = item.enclosure || {};
+  if (!enclosure['@_url']) {
+    report.error('item-missing-enclosure', 'Нет ссылки на аудиофайл (enclosure)', track);
+    return;
+  }
+
+  if (!(enclosure['@_length'] > 0)) {
+    report.warning('item-invalid-length', `Некорректный размер файла в enclosure: ${enclosure['@_length']}`, track);
+  }
+
+  try {
+    const actualType = await detectEnclosureType(enclosure['@_url'], baseUrl, entry);
+    if (actualType && actualType !== enclosure['@_type']) {
+      report.error('item-type-mismatch', `Тип в enclosure (${enclosure['@_type']}) не совпадает с файлом (${actualType})`, track);
+    }
+  } catch (error) {
+    report.error('item-enclosure-unreadable', `Не удалось прочитать файл из enclosure: ${error.message}`, track);
+  }
+
+  if (!isCompatibleType(enclosure['@_type'])) {
+    report.warning('item-incompatible-type', `Формат ${enclosure['@_type']} не принимается YouTube (см. rss.youtube.compatibilityMode)`, track);
+  }
+
+  if (!item.description) {
+    report.warning('item-missing-description', 'Нет описания', track);
+  }
+}
+
+// Проверка фида, собранного generateRssData
+// itemPaths - карта item -> относительный путь файла (чтобы указать, к какому треку относится проблема)
+// skippedPaths - пути треков, не попавших в фид (у них проверяются только файлы-спутники)
+export async function validateFeed(rssData, { baseUrl, itemPaths = new Map(), skippedPaths = [] }) {
+  const report = createReport();
+  const channel = rssData.rss.channel;
+  const items = channel.item || [];
+  const imageCache = new Map();
+  const entriesByPath = new Map(getLibraryEntries().map((entry) => [entry.file.relativePath, entry]));
+
+  await checkBaseUrl(baseUrl, report);
+  checkChannel(channel, report);
+
+  const channelImage = channel['itunes:image']?.['@_href'];
+  if (!channelImage) {
+    report.error('channel-image-missing', 'Не указана обложка канала (channelImage)');
+  } else {
+    await checkCover(channelImage, baseUrl, report, null, imageCache);
+  }
+
+  // GUID -> треки с этим GUID
+  const guids = new Map();
+
+  for (const item of items) {
+    const relativePath = itemPaths.get(item) || null;
+    const guid = item.guid?.['#text'] ?? item.guid;
+    const track = { guid, title: item.title, path: relativePath };
+
+    if (!guids.has(guid)) guids.set(guid, []);
+    guids.get(guid).push(track);
+
+    const entry = entriesByPath.get(relativePath);
+    await checkItem(item, entry, baseUrl, report, track);
+
+    // Ошибки в файлах-спутниках: некорректные поля не применены
+    for (const message of entry?.sidecar?.errors || []) {
+      report.error('sidecar-invalid', message, track);
+    }
+    if (entry?.chapters?.error) {
+      report.error('chapters-invalid', `Файл с главами не прочитан: ${entry.chapters.error}`, track);
+    }
+    if (entry?.transcript?.error) {
+      report.error('transcript-invalid', `Файл с текстом не прочитан: ${entry.transcript.error}`, track);
+    }
+
+    const cover = item['itunes:image']?.['@_href'];
+    if (cover && cover !== channelImage) {
+      await checkCover(cover, baseUrl, report, track, imageCache);
+    } else if (!cover) {
+      report.warning('item-missing-cover', 'Нет обложки трека и обложки канала', track);
+    }
+  }
+
+  // Ошибки в файлах-спутниках треков вне фида (например, скрытых через hidden в том же файле)
+  // Треки за лимитом maxTracksInRSS тоже в skipped, но они уже проверены как выпуски
+  const checkedPaths = new Set(itemPaths.values());
+  for (const relativePath of skippedPaths.filter((p) => !checkedPaths.has(p))) {
+    const entry = entriesByPath.get(relativePath);
+    const track = { guid: entry?.track?.guid || null, title: entry?.sidecar?.data.title || null, path: relativePath };
+    for (const message of entry?.sidecar?.errors || []) {
+      report.error('sidecar-invalid', message, track);
+    }
+  }
+
+  for (const [guid, tracks] of guids) {
+    if (!guid) {
+      for (const track of tracks) {
+        report.error('item-missing-guid', 'Нет GUID', track);
+      }
+    } else if (tracks.length > 1) {
+      for (const track of tracks) {
+        report.error('item-duplicate-guid', `GUID ${guid} повторяется у ${tracks.length} треков`, track);
+      }
+    }
+  }
+
+  const errors = report.problems.filter((p) => p.level === 'error').length;
+
+  return {
+    valid: errors === 0,
+    errors,
+    warnings: report.problems.length - errors,
+    items: items.length,
+    problems: report.problems,
+  };
+}
+
+// Текстовый отчет для консоли
+export function formatReport(feedSlug, result) {
+  const lines = [`📋 Проверка фида ${feedSlug}: ${result.items} треков, ошибок: ${result.errors}, предупреждений: ${result.warnings}`];
+
+  for (const problem of result.problems) {
+    const icon = problem.level === 'error' ? '❌' : '⚠️ ';
+    const track = problem.track ? ` [${problem.track.path || problem.track.title}]` : '';
+    lines.push(`${icon} ${problem.code}${track}: ${problem.message}`);
+  }
+
+  if (result.valid) {
+    lines.push('✅ Ошибок не найдено');
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,99 @@
+// webhook-receiver.js - Локальный приемник для проверки уведомлений (вебхуки и пинги WebSub)
+// Запуск: npm run receiver
+// Переменные окружения:
+//   RECEIVER_PORT  - порт (по умолчанию 4000)
+//   WEBHOOK_SECRET - секрет для проверки подписи (по умолчанию push.secret из конфига)
+//   FAIL_FIRST     - сколько первых запросов отклонить с ошибкой 503 (проверка повторов)
+// В конфиге: push.webhooks: ['http://localhost:4000/webhook'], push.websub.hubs: ['http://localhost:4000/hub']
+import http from 'http';
+import crypto from 'crypto';
+
+import config from './config.js';
+import { signWebhookPayload } from './notify.js';
+
+const PORT = Number(process.env.RECEIVER_PORT) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET ?? config.push?.secret ?? '';
+
+// Допустимое расхождение времени подписи (секунды)
+const MAX_CLOCK_SKEW = 5 * 60;
+
+let failuresLeft = Number(process.env.FAIL_FIRST) || 0;
+
+// Проверка подписи вебхука: null, если все в порядке, иначе причина
+function checkSignature(req, body) {
+  if (!SECRET) return null;
+
+  const timestamp = Number(req.headers['x-webhook-timestamp']);
+  const signature = String(req.headers['x-webhook-signature'] || '');
+  if (!timestamp || !signature.startsWith('sha256=')) {
+    return 'нет подписи';
+  }
+  if (Math.abs(Date.now() / 1000 - timestamp) > MAX_CLOCK_SKEW) {
+    return 'подпись устарела';
+  }
+
+  const expected = Buffer.from(`sha256=${signWebhookPayload(SECRET, timestamp, body)}`);
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return 'неверная подпись';
+  }
+  return null;
+}
+
+// Вебхук: проверка подписи и краткий вывод изменений
+function handleWebhook(req, res, body) {
+  const problem = checkSignature(req, body);
+  if (problem) {
+    console.log(`🚫 Вебхук отклонен: ${problem}`);
+    res.writeHead(401).end();
+    return;
+  }
+
+  const payload = JSON.parse(body);
+  console.log(`📨 Вебхук ${req.headers['x-webhook-event']} (${req.headers['x-webhook-delivery']}): фид ${payload.feed?.slug}`);
+  for (const [label, list] of [['➕', payload.added], ['✏️ ', payload.updated], ['➖', payload.removed]]) {
+    for (const item of list || []) {
+      console.log(`   ${label} ${item.title} (${item.guid})`);
+    }
+  }
+  res.writeHead(204).end();
+}
+
+// Пинг WebSub: hub.mode=publish и адрес фида
+function handleHub(req, res, body) {
+  const params = new URLSearchParams(body);
+  console.log(`📡 WebSub ${params.get('hub.mode')}: ${params.getAll('hub.url').join(', ')}`);
+  res.writeHead(204).end();
+}
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+
+    if (req.method !== 'POST' || !['/webhook', '/hub'].includes(req.url)) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.log(`💥 ${req.url}: имитация ошибки (осталось ${failuresLeft})`);
+      res.writeHead(503).end();
+      return;
+    }
+
+    try {
+      (req.url === '/webhook' ? handleWebhook : handleHub)(req, res, body);
+    } catch (error) {
+      console.error(`❌ ${req.url}: ${error.message}`);
+      res.writeHead(400).end();
+    }
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`👂 Приемник уведомлений: http://localhost:${PORT}/webhook и http://localhost:${PORT}/hub`);
+  console.log(SECRET ? '🔐 Подпись вебхуков проверяется' : '⚠️  Секрет не задан: подпись не проверяется');
+});